@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+/**
+ * Headless PDF export
+ *
+ * Opens the app in headless Chromium, imports a .brandbook file through the
+ * regular import button and saves the PDF produced by PdfModule.generatePdf().
+ *
+ * Run with: node bin/brandbook-pdf.js <file|dir...> [--out <file|dir>]
+ * Requires: playwright (npm install playwright && npx playwright install chromium)
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const BrandbookCore = require('../js/core.js');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_TIMEOUT = 120000;
+
+const USAGE = `Usage: brandbook-pdf <file|dir...> [options]
+
+Writes one PDF per .brandbook file. Directories are searched for *.brandbook files.
+
+Options:
+  --out <path>        Output file (single input) or directory (default: next to each input)
+  --base-url <url>    Use an already running app instead of serving this checkout
+  --timeout <ms>      Time limit per brandbook (default ${DEFAULT_TIMEOUT})
+
+Exit codes: 0 when every PDF was written, 1 if any failed, 2 on usage errors.`;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.json': 'application/json'
+};
+
+/**
+ * Split arguments into positionals and --options
+ */
+function parseArgs(args) {
+    const positionals = [];
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith('--')) {
+            positionals.push(arg);
+            continue;
+        }
+
+        const [name, inline] = arg.slice(2).split(/=(.*)/s);
+        if (inline !== undefined) {
+            options[name] = inline;
+        } else if (args[i + 1] !== undefined && !args[i + 1].startsWith('--')) {
+            options[name] = args[++i];
+        } else {
+            options[name] = true;
+        }
+    }
+
+    return { positionals, options };
+}
+
+function usageError(message) {
+    const error = new Error(message);
+    error.usage = true;
+    return error;
+}
+
+/**
+ * Expand directories into the .brandbook files they contain
+ */
+function collectInputs(paths) {
+    return paths.flatMap(input => {
+        if (!fs.existsSync(input)) {
+            throw usageError(`No such file or directory: ${input}`);
+        }
+        if (!fs.statSync(input).isDirectory()) {
+            return [input];
+        }
+        return fs.readdirSync(input)
+            .filter(name => name.endsWith('.brandbook'))
+            .sort()
+            .map(name => path.join(input, name));
+    });
+}
+
+/**
+ * Decide where each PDF goes
+ */
+function planJobs(inputs, out, isBatch) {
+    const pdfName = (input) => path.basename(input).replace(/\.(brandbook|json)$/i, '') + '.pdf';
+
+    if (out && !isBatch) {
+        return [{ input: inputs[0], output: out }];
+    }
+    if (out) {
+        fs.mkdirSync(out, { recursive: true });
+    }
+    return inputs.map(input => ({
+        input,
+        output: path.join(out || path.dirname(input), pdfName(input))
+    }));
+}
+
+/**
+ * Serve the checkout over HTTP (fonts and the sample logo are fetched, so file:// does not work)
+ * @returns {Promise<{url: string, close: Function}>}
+ */
+function startServer() {
+    const server = http.createServer((req, res) => {
+        const pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        const file = path.join(ROOT_DIR, pathname === '/' ? 'index.html' : pathname);
+
+        if (!file.startsWith(ROOT_DIR + path.sep) || !fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+        fs.createReadStream(file).pipe(res);
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}/`,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+/**
+ * Import one brandbook into a fresh browser context and save its PDF
+ */
+async function renderPdf(browser, baseUrl, job, timeout) {
+    // Fail fast (and with field-level messages) before starting the browser work
+    BrandbookCore.parseJson(fs.readFileSync(job.input, 'utf8'));
+
+    // A fresh context per brand keeps projects and storage from leaking between runs
+    const context = await browser.newContext({ viewport: { width: 1400, height: 900 }, acceptDownloads: true });
+    context.setDefaultTimeout(timeout);
+    const page = await context.newPage();
+
+    const pageErrors = [];
+    page.on('pageerror', error => pageErrors.push(error.message));
+
+    try {
+        await page.goto(baseUrl);
+        await page.waitForLoadState('networkidle');
+
+        await page.setInputFiles('#import-input', job.input);
+        const toast = page.locator('.toast.success, .toast.error').filter({ hasText: /import/i }).first();
+        await toast.waitFor();
+        if (await toast.evaluate(el => el.classList.contains('error'))) {
+            throw new Error(await toast.textContent());
+        }
+
+        // Imported fonts load asynchronously
+        await page.waitForLoadState('networkidle');
+        await page.evaluate(() => document.fonts.ready);
+
+        const [download] = await Promise.all([
+            page.waitForEvent('download'),
+            page.evaluate(() => PdfModule.generatePdf())
+        ]);
+
+        fs.mkdirSync(path.dirname(path.resolve(job.output)), { recursive: true });
+        await download.saveAs(job.output);
+    } catch (error) {
+        if (pageErrors.length > 0) {
+            error.message += `\n  Page errors: ${pageErrors.join('; ')}`;
+        }
+        throw error;
+    } finally {
+        await context.close();
+    }
+}
+
+async function main(argv) {
+    const { positionals, options } = parseArgs(argv);
+
+    if (options.help || positionals.length === 0) {
+        console.log(USAGE);
+        return options.help ? 0 : 2;
+    }
+
+    const timeout = options.timeout ? Number(options.timeout) : DEFAULT_TIMEOUT;
+    if (!Number.isFinite(timeout) || timeout <= 0) {
+        throw usageError('--timeout must be a positive number of milliseconds');
+    }
+
+    const isBatch = positionals.length > 1 || positionals.some(input => fs.existsSync(input) && fs.statSync(input).isDirectory());
+    const inputs = collectInputs(positionals);
+    if (inputs.length === 0) {
+        throw usageError('No .brandbook files found');
+    }
+    const jobs = planJobs(inputs, typeof options.out === 'string' ? options.out : null, isBatch);
+
+    // Loaded here so the usage text works without Playwright installed
+    const { chromium } = require('playwright');
+
+    const server = typeof options['base-url'] === 'string' ? null : await startServer();
+    const baseUrl = server ? server.url : options['base-url'];
+    let browser = null;
+    let failed = 0;
+    try {
+        browser = await chromium.launch({ headless: true });
+        for (const job of jobs) {
+            const started = Date.now();
+            try {
+                await renderPdf(browser, baseUrl, job, timeout);
+                console.log(`✓ ${job.input} → ${job.output} (${((Date.now() - started) / 1000).toFixed(1)}s)`);
+            } catch (error) {
+                failed++;
+                const message = error.errors
+                    ? error.errors.map(({ path: field, message: text }) => `${field || 'brandbook'} ${text}`).join('; ')
+                    : error.message;
+                console.error(`✗ ${job.input}: ${message}`);
+            }
+        }
+    } finally {
+        if (browser) {
+            await browser.close();
+        }
+        if (server) {
+            await server.close();
+        }
+    }
+
+    if (jobs.length > 1) {
+        console.log(`\n${jobs.length - failed} written, ${failed} failed`);
+    }
+    return failed > 0 ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+    .then(code => {
+        process.exitCode = code;
+    })
+    .catch(error => {
+        console.error(error.usage ? `${error.message}\n\n${USAGE}` : `Error: ${error.message}`);
+        process.exitCode = error.usage ? 2 : 1;
+    });
@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+/**
+ * Brandbook CLI
+ *
+ * Validates, inspects and shares .brandbook files without a browser,
+ * using the same core modules as the app.
+ *
+ * Run with: node bin/brandbook.js <command> [options]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BrandbookCore = require('../js/core.js');
+const AccessibilityModule = require('../js/accessibility.js');
+const ExportersModule = require('../js/exporters.js');
+
+// Matches `npm start`
+const DEFAULT_BASE_URL = 'http://localhost:8000/';
+
+// Formats available to `export` (Procreate swatches need JSZip, so they are browser-only)
+const EXPORT_FORMATS = {
+    tokens: { generate: brandbook => ExportersModule.toDesignTokensJson(brandbook) },
+    ...Object.fromEntries(ExportersModule.getHandoffFormats().map(format => [format.id, format])),
+    ase: { generate: ExportersModule.toAse },
+    gpl: { generate: ExportersModule.toGpl },
+    // Writes a directory tree (android/res/..., ios/Assets.xcassets/...)
+    mobile: { generate: ExportersModule.toMobileResources }
+};
+
+const USAGE = `Usage: brandbook <command> [options]
+
+Commands:
+  validate <file...>             Check .brandbook files against the schema
+  info <file> [--json]           Show brand name, palette, contrast and fonts
+  share-url <file> [--base-url <url>]
+                                 Print the share link (default base ${DEFAULT_BASE_URL})
+  decode-url <url|data> [--out <file>]
+                                 Turn a share link back into a .brandbook file
+  export <file> --format <format> [--out <file|dir>] [--naming kebab|camel|snake] [--prefix <name>]
+                                 Write another format (${Object.keys(EXPORT_FORMATS).join(', ')})
+
+Exit codes: 0 on success, 1 if a file is invalid, 2 on usage errors.`;
+
+/**
+ * Split arguments into positionals and --options
+ */
+function parseArgs(args) {
+    const positionals = [];
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith('--')) {
+            positionals.push(arg);
+            continue;
+        }
+
+        const [name, inline] = arg.slice(2).split(/=(.*)/s);
+        if (inline !== undefined) {
+            options[name] = inline;
+        } else if (args[i + 1] !== undefined && !args[i + 1].startsWith('--') && name !== 'json') {
+            options[name] = args[++i];
+        } else {
+            options[name] = true;
+        }
+    }
+
+    return { positionals, options };
+}
+
+function readBrandbook(file) {
+    return BrandbookCore.parseJson(fs.readFileSync(file, 'utf8'));
+}
+
+function formatError(error) {
+    if (!error.errors) return `  ${error.message}`;
+    return error.errors.map(({ path: field, message }) => `  ${field || 'brandbook'} ${message}`).join('\n');
+}
+
+function validate(files) {
+    if (files.length === 0) throw usageError('validate needs at least one file');
+
+    let failed = 0;
+    files.forEach(file => {
+        try {
+            readBrandbook(file);
+            console.log(`✓ ${file}`);
+        } catch (error) {
+            failed++;
+            console.error(`✗ ${file}`);
+            console.error(formatError(error));
+        }
+    });
+
+    if (files.length > 1) {
+        console.log(`\n${files.length - failed} valid, ${failed} invalid`);
+    }
+    return failed > 0 ? 1 : 0;
+}
+
+function info(file, options) {
+    if (!file) throw usageError('info needs a file');
+
+    const brandbook = readBrandbook(file);
+    const { pairs } = AccessibilityModule.getContrastMatrix(brandbook.colors);
+    const referenceContrast = (color, hex) => pairs.find(pair => pair.foreground === color && pair.background.hex === hex).ratio;
+
+    const colors = brandbook.colors.map(color => {
+        const onWhite = referenceContrast(color, '#FFFFFF');
+        const onBlack = referenceContrast(color, '#000000');
+        return {
+            id: color.id,
+            role: color.role,
+            hex: color.hex,
+            name: color.name,
+            contrast: {
+                white: { ratio: Number(onWhite.toFixed(2)), level: AccessibilityModule.getWcagLabel(onWhite) },
+                black: { ratio: Number(onBlack.toFixed(2)), level: AccessibilityModule.getWcagLabel(onBlack) }
+            }
+        };
+    });
+
+    const summary = {
+        name: brandbook.meta.name,
+        version: brandbook.version,
+        colors,
+        roleColors: BrandbookCore.getRoleColors(brandbook),
+        typography: Object.fromEntries(Object.entries(brandbook.typography).map(([type, font]) => [type, font.family])),
+        logo: brandbook.logo.svg ? 'svg' : brandbook.logo.png ? 'png' : null,
+        logoVariants: BrandbookCore.LOGO_VARIANTS
+            .filter(variant => BrandbookCore.getLogoVariantUrl(brandbook, variant.id))
+            .map(variant => variant.id),
+        failingPairs: pairs.filter(pair => !pair.levels.aa && pair.foreground.role !== 'reference' && pair.background.role !== 'reference').length
+    };
+
+    if (options.json) {
+        console.log(JSON.stringify(summary, null, 2));
+        return 0;
+    }
+
+    console.log(`${summary.name} (format ${summary.version})\n`);
+    console.log('Colors:');
+    colors.forEach(color => {
+        const label = `${color.hex}  ${color.role.padEnd(10)} ${color.name || color.id}`;
+        console.log(`  ${label.padEnd(44)} on white ${color.contrast.white.ratio.toFixed(2)} ${color.contrast.white.level.padEnd(8)} on black ${color.contrast.black.ratio.toFixed(2)} ${color.contrast.black.level}`);
+    });
+    console.log(`\nPalette pairs failing WCAG AA: ${summary.failingPairs}`);
+    console.log('\nTypography:');
+    Object.entries(summary.typography).forEach(([type, family]) => console.log(`  ${type.padEnd(10)} ${family}`));
+    console.log(`\nLogo: ${summary.logo ? summary.logo.toUpperCase() : 'none'}`);
+    if (summary.logoVariants.length > 0) {
+        console.log(`Logo variants: ${summary.logoVariants.join(', ')}`);
+    }
+    return 0;
+}
+
+function shareUrl(file, options) {
+    if (!file) throw usageError('share-url needs a file');
+
+    const baseUrl = typeof options['base-url'] === 'string' ? options['base-url'] : DEFAULT_BASE_URL;
+    console.log(BrandbookCore.generateShareUrl(readBrandbook(file), baseUrl));
+    return 0;
+}
+
+function decodeUrl(input, options) {
+    if (!input) throw usageError('decode-url needs a share URL or its data parameter');
+
+    const brandbook = BrandbookCore.decodeShareData(BrandbookCore.getShareDataFromUrl(input));
+    const json = BrandbookCore.toJson(brandbook);
+
+    if (typeof options.out === 'string') {
+        fs.writeFileSync(options.out, json + '\n');
+        console.log(`Wrote ${path.resolve(options.out)}`);
+    } else {
+        console.log(json);
+    }
+    return 0;
+}
+
+function exportFile(file, options) {
+    if (!file) throw usageError('export needs a file');
+
+    const format = EXPORT_FORMATS[options.format];
+    if (!format) {
+        throw usageError(`export needs --format (${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    }
+
+    const naming = options.naming || 'kebab';
+    if (!ExportersModule.getNamingConventions().some(convention => convention.id === naming)) {
+        throw usageError(`Unknown naming convention: ${naming}`);
+    }
+
+    const output = format.generate(readBrandbook(file), {
+        naming,
+        prefix: typeof options.prefix === 'string' ? options.prefix : (format.defaultPrefix ?? 'brand')
+    });
+    if (Array.isArray(output)) {
+        return writeFiles(output, options);
+    }
+    if (typeof output !== 'string') {
+        return writeBinary(output, options);
+    }
+    if (typeof options.out === 'string') {
+        fs.writeFileSync(options.out, output.endsWith('\n') ? output : output + '\n');
+        console.log(`Wrote ${path.resolve(options.out)}`);
+    } else {
+        process.stdout.write(output.endsWith('\n') ? output : output + '\n');
+    }
+    return 0;
+}
+
+function writeFiles(files, options) {
+    if (typeof options.out !== 'string') {
+        throw usageError(`--format ${options.format} writes several files; use --out <dir>`);
+    }
+    files.forEach(file => {
+        const target = path.join(options.out, file.name);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, file.content);
+    });
+    console.log(`Wrote ${files.length} files to ${path.resolve(options.out)}`);
+    return 0;
+}
+
+function writeBinary(bytes, options) {
+    if (typeof options.out === 'string') {
+        fs.writeFileSync(options.out, bytes);
+        console.log(`Wrote ${path.resolve(options.out)}`);
+    } else if (process.stdout.isTTY) {
+        throw usageError(`--format ${options.format} is binary; use --out <file> or redirect the output`);
+    } else {
+        process.stdout.write(bytes);
+    }
+    return 0;
+}
+
+function usageError(message) {
+    const error = new Error(message);
+    error.usage = true;
+    return error;
+}
+
+function main(argv) {
+    const [command, ...rest] = argv;
+    const { positionals, options } = parseArgs(rest);
+
+    try {
+        switch (command) {
+            case 'validate':
+                return validate(positionals);
+            case 'info':
+                return info(positionals[0], options);
+            case 'share-url':
+                return shareUrl(positionals[0], options);
+            case 'decode-url':
+                return decodeUrl(positionals[0], options);
+            case 'export':
+                return exportFile(positionals[0], options);
+            case undefined:
+            case 'help':
+            case '--help':
+            case '-h':
+                console.log(USAGE);
+                return command ? 0 : 2;
+            default:
+                throw usageError(`Unknown command: ${command}`);
+        }
+    } catch (error) {
+        if (error.usage) {
+            console.error(`${error.message}\n\n${USAGE}`);
+            return 2;
+        }
+        console.error(error.errors ? `Error: invalid brandbook\n${formatError(error)}` : `Error: ${error.message}`);
+        return 1;
+    }
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,454 @@
+/**
+ * Accessibility Module
+ * Handles WCAG contrast analysis of the palette and color vision simulation
+ */
+
+const AccessibilityModule = (function(ColorsModule) {
+    // WCAG 2.x contrast thresholds
+    const AA_NORMAL = 4.5;
+    const AA_LARGE = 3;
+    const AAA_NORMAL = 7;
+
+    // Reference colors checked against every palette entry
+    const REFERENCE_COLORS = [
+        { id: 'white', name: 'White', role: 'reference', hex: '#FFFFFF' },
+        { id: 'black', name: 'Black', role: 'reference', hex: '#000000' }
+    ];
+
+    // Color vision deficiency simulations (Machado et al. 2009, full severity, linear RGB)
+    const LUMINANCE_ROW = [0.2126, 0.7152, 0.0722];
+    const VISION_MODES = [
+        { id: 'normal', label: 'Normal vision' },
+        {
+            id: 'protanopia',
+            label: 'Protanopia',
+            matrix: [
+                0.152286, 1.052583, -0.204868,
+                0.114503, 0.786281, 0.099216,
+                -0.003882, -0.048116, 1.051998
+            ]
+        },
+        {
+            id: 'deuteranopia',
+            label: 'Deuteranopia',
+            matrix: [
+                0.367322, 0.860646, -0.227968,
+                0.280085, 0.672501, 0.047413,
+                -0.011820, 0.042940, 0.968881
+            ]
+        },
+        {
+            id: 'tritanopia',
+            label: 'Tritanopia',
+            matrix: [
+                1.255528, -0.076749, -0.178779,
+                -0.078411, 0.930809, 0.147602,
+                0.004733, 0.691367, 0.303900
+            ]
+        },
+        {
+            id: 'achromatopsia',
+            label: 'Achromatopsia',
+            matrix: [...LUMINANCE_ROW, ...LUMINANCE_ROW, ...LUMINANCE_ROW]
+        },
+        { id: 'low-vision', label: 'Blurred low vision', blur: 3 }
+    ];
+
+    // Suggestions are deterministic, so cache them across re-renders while the user edits one color
+    const suggestionCache = new Map();
+    const SUGGESTION_CACHE_LIMIT = 2000;
+
+    /**
+     * Get the WCAG levels a contrast ratio passes
+     * @param {number} ratio - Contrast ratio
+     * @returns {{aa: boolean, aaa: boolean, aaLarge: boolean, aaaLarge: boolean}}
+     */
+    function getWcagLevels(ratio) {
+        return {
+            aa: ratio >= AA_NORMAL,
+            aaa: ratio >= AAA_NORMAL,
+            aaLarge: ratio >= AA_LARGE,
+            aaaLarge: ratio >= AA_NORMAL
+        };
+    }
+
+    /**
+     * Get the highest WCAG level a contrast ratio passes as a short label
+     * @param {number} ratio - Contrast ratio
+     * @returns {string} 'AAA', 'AA', 'AA Large' or 'Fail'
+     */
+    function getWcagLabel(ratio) {
+        if (ratio >= AAA_NORMAL) return 'AAA';
+        if (ratio >= AA_NORMAL) return 'AA';
+        if (ratio >= AA_LARGE) return 'AA Large';
+        return 'Fail';
+    }
+
+    /**
+     * Find the nearest lightness-adjusted variant of a color that reaches a contrast target.
+     * Lightness is searched in OKLCH towards white and towards black, keeping hue and chroma,
+     * and the passing variant closest to the original lightness wins.
+     * @param {string} hex - Color to adjust
+     * @param {string} againstHex - Color it must contrast with
+     * @param {number} target - Minimum contrast ratio
+     * @returns {{hex: string, ratio: number}|null} Suggested color or null if none passes
+     */
+    function suggestPassingColor(hex, againstHex, target = AA_NORMAL) {
+        const cacheKey = `${hex}|${againstHex}|${target}`.toUpperCase();
+        if (suggestionCache.has(cacheKey)) {
+            return suggestionCache.get(cacheKey);
+        }
+        if (suggestionCache.size >= SUGGESTION_CACHE_LIMIT) {
+            suggestionCache.clear();
+        }
+
+        const result = findPassingColor(hex, againstHex, target);
+        suggestionCache.set(cacheKey, result);
+        return result;
+    }
+
+    function findPassingColor(hex, againstHex, target) {
+        const base = ColorsModule.rgbToOklch(ColorsModule.hexToRgb(hex));
+        const ratioAt = (l) => ColorsModule.getContrastRatio(ColorsModule.oklchToHex({ ...base, l }), againstHex);
+
+        const candidates = [1, 0]
+            .filter(limit => ratioAt(limit) >= target)
+            .map(limit => {
+                // Bisect between the original lightness (fails) and the limit (passes)
+                let failing = base.l;
+                let passing = limit;
+                for (let i = 0; i < 16; i++) {
+                    const mid = (failing + passing) / 2;
+                    if (ratioAt(mid) >= target) {
+                        passing = mid;
+                    } else {
+                        failing = mid;
+                    }
+                }
+                return passing;
+            })
+            .sort((a, b) => Math.abs(a - base.l) - Math.abs(b - base.l));
+
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        const suggestion = ColorsModule.oklchToHex({ ...base, l: candidates[0] });
+        return { hex: suggestion, ratio: ColorsModule.getContrastRatio(suggestion, againstHex) };
+    }
+
+    /**
+     * Compute the contrast of every foreground/background pair in the palette plus white and black.
+     * Pairs failing AA for normal text get a suggested variant of the palette color in the pair.
+     * @param {Object[]} colors - Palette entries
+     * @returns {{entries: Object[], pairs: Object[]}} Matrix entries and pair results (foreground-major)
+     */
+    function getContrastMatrix(colors) {
+        const entries = [...colors, ...REFERENCE_COLORS];
+        const pairs = [];
+
+        entries.forEach(foreground => {
+            entries.forEach(background => {
+                if (foreground === background) return;
+
+                const ratio = ColorsModule.getContrastRatio(foreground.hex, background.hex);
+                const pair = {
+                    foreground,
+                    background,
+                    ratio,
+                    levels: getWcagLevels(ratio),
+                    label: getWcagLabel(ratio),
+                    suggestion: null
+                };
+
+                if (!pair.levels.aa) {
+                    // Adjust the brand color rather than white or black
+                    const adjustForeground = foreground.role !== 'reference';
+                    const adjusted = adjustForeground ? foreground : background;
+                    const fixed = adjustForeground ? background : foreground;
+                    const suggestion = suggestPassingColor(adjusted.hex, fixed.hex);
+                    if (suggestion) {
+                        pair.suggestion = { ...suggestion, target: adjustForeground ? 'foreground' : 'background' };
+                    }
+                }
+
+                pairs.push(pair);
+            });
+        });
+
+        return { entries, pairs };
+    }
+
+    /**
+     * Render the contrast matrix as a table (rows: text color, columns: background)
+     * @param {HTMLElement} container - Container element
+     * @param {Object[]} colors - Palette entries
+     */
+    function renderContrastMatrix(container, colors) {
+        if (!container) return;
+
+        const { entries, pairs } = getContrastMatrix(colors);
+        const getPair = (fg, bg) => pairs.find(pair => pair.foreground === fg && pair.background === bg);
+        const getLabel = (entry) => entry.name || entry.hex.toUpperCase();
+
+        const table = document.createElement('table');
+        table.className = 'contrast-matrix';
+
+        const caption = document.createElement('caption');
+        caption.className = 'visually-hidden';
+        caption.textContent = 'WCAG contrast ratios of text colors (rows) on background colors (columns)';
+        table.appendChild(caption);
+
+        const headRow = document.createElement('tr');
+        const corner = document.createElement('th');
+        corner.scope = 'col';
+        corner.textContent = 'Text ↓ / Bg →';
+        headRow.appendChild(corner);
+        entries.forEach(entry => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.title = `${getLabel(entry)} ${entry.hex.toUpperCase()}`;
+            const swatch = document.createElement('span');
+            swatch.className = 'contrast-swatch';
+            swatch.style.background = entry.hex;
+            th.appendChild(swatch);
+            th.appendChild(document.createTextNode(getLabel(entry)));
+            headRow.appendChild(th);
+        });
+        const thead = document.createElement('thead');
+        thead.appendChild(headRow);
+        table.appendChild(thead);
+
+        const tbody = document.createElement('tbody');
+        entries.forEach(foreground => {
+            const row = document.createElement('tr');
+            const rowHeader = document.createElement('th');
+            rowHeader.scope = 'row';
+            const swatch = document.createElement('span');
+            swatch.className = 'contrast-swatch';
+            swatch.style.background = foreground.hex;
+            rowHeader.appendChild(swatch);
+            rowHeader.appendChild(document.createTextNode(getLabel(foreground)));
+            row.appendChild(rowHeader);
+
+            entries.forEach(background => {
+                const cell = document.createElement('td');
+                const pair = getPair(foreground, background);
+
+                if (!pair) {
+                    cell.className = 'contrast-cell contrast-self';
+                    cell.textContent = '—';
+                    row.appendChild(cell);
+                    return;
+                }
+
+                const levelClass = pair.label.toLowerCase().replace(/\s+/g, '-');
+                cell.className = `contrast-cell contrast-${levelClass}`;
+
+                const sample = document.createElement('span');
+                sample.className = 'contrast-sample';
+                sample.style.color = foreground.hex;
+                sample.style.background = background.hex;
+                sample.textContent = pair.ratio.toFixed(2);
+                cell.appendChild(sample);
+
+                const badge = document.createElement('span');
+                badge.className = 'contrast-badge';
+                badge.textContent = pair.label;
+                cell.appendChild(badge);
+
+                let title = `${getLabel(foreground)} on ${getLabel(background)}: ${pair.ratio.toFixed(2)}:1` +
+                    ` — AA ${pair.levels.aa ? 'pass' : 'fail'}, AAA ${pair.levels.aaa ? 'pass' : 'fail'}, large text AA ${pair.levels.aaLarge ? 'pass' : 'fail'}`;
+
+                if (pair.suggestion) {
+                    const fix = document.createElement('span');
+                    fix.className = 'contrast-suggestion';
+                    fix.style.background = pair.suggestion.hex;
+                    cell.appendChild(fix);
+
+                    const adjusted = pair.suggestion.target === 'foreground' ? foreground : background;
+                    title += `\nSuggestion: use ${pair.suggestion.hex} instead of ${getLabel(adjusted)} (${pair.suggestion.ratio.toFixed(2)}:1)`;
+                }
+
+                cell.title = title;
+                row.appendChild(cell);
+            });
+
+            tbody.appendChild(row);
+        });
+        table.appendChild(tbody);
+
+        container.innerHTML = '';
+        container.appendChild(table);
+    }
+
+    /**
+     * Get the available vision simulation modes
+     * @returns {Object[]} Modes with id and label
+     */
+    function getVisionModes() {
+        return VISION_MODES.map(({ id, label }) => ({ id, label }));
+    }
+
+    function getVisionMode(modeId) {
+        return VISION_MODES.find(mode => mode.id === modeId) || VISION_MODES[0];
+    }
+
+    /**
+     * Inject the SVG filter definitions used by getVisionFilter
+     */
+    function initVisionFilters() {
+        if (document.getElementById('vision-filters')) return;
+
+        const svgNs = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNs, 'svg');
+        svg.id = 'vision-filters';
+        svg.setAttribute('aria-hidden', 'true');
+        svg.style.cssText = 'position:absolute;width:0;height:0;overflow:hidden;';
+
+        const defs = document.createElementNS(svgNs, 'defs');
+        VISION_MODES.filter(mode => mode.matrix).forEach(mode => {
+            const filter = document.createElementNS(svgNs, 'filter');
+            filter.id = `vision-${mode.id}`;
+            filter.setAttribute('color-interpolation-filters', 'linearRGB');
+
+            const m = mode.matrix;
+            const matrix = document.createElementNS(svgNs, 'feColorMatrix');
+            matrix.setAttribute('type', 'matrix');
+            matrix.setAttribute('values', [
+                m[0], m[1], m[2], 0, 0,
+                m[3], m[4], m[5], 0, 0,
+                m[6], m[7], m[8], 0, 0,
+                0, 0, 0, 1, 0
+            ].join(' '));
+
+            filter.appendChild(matrix);
+            defs.appendChild(filter);
+        });
+
+        svg.appendChild(defs);
+        document.body.appendChild(svg);
+    }
+
+    /**
+     * Get the CSS filter value that renders an element as seen in a vision mode
+     * @param {string} modeId - Vision mode id
+     * @returns {string} CSS filter value ('none' for normal vision)
+     */
+    function getVisionFilter(modeId) {
+        const mode = getVisionMode(modeId);
+        if (mode.matrix) return `url(#vision-${mode.id})`;
+        if (mode.blur) return `blur(${mode.blur}px)`;
+        return 'none';
+    }
+
+    /**
+     * Simulate how a single color is seen in a vision mode (blur leaves colors unchanged)
+     * @param {string} hex - Hex color value
+     * @param {string} modeId - Vision mode id
+     * @returns {string} Simulated hex color
+     */
+    function simulateColor(hex, modeId) {
+        const { r, g, b } = ColorsModule.hexToRgb(hex);
+        const pixel = [r, g, b, 255];
+        const mode = getVisionMode(modeId);
+        if (mode.matrix) {
+            applyColorMatrix(pixel, mode.matrix);
+        }
+        return ColorsModule.rgbToHex({ r: pixel[0], g: pixel[1], b: pixel[2] });
+    }
+
+    /**
+     * Render an image as seen in a vision mode (used for PDF pages, where CSS filters are unavailable)
+     * @param {string} dataUrl - Source image data URL
+     * @param {string} modeId - Vision mode id
+     * @param {number} maxWidth - Downscale wider images to this width
+     * @returns {Promise<{imgData: string, width: number, height: number}>} JPEG data URL and dimensions
+     */
+    function simulateImage(dataUrl, modeId, maxWidth = 1200) {
+        const mode = getVisionMode(modeId);
+
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => {
+                const scale = Math.min(1, maxWidth / img.width);
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(img.width * scale);
+                canvas.height = Math.round(img.height * scale);
+                const ctx = canvas.getContext('2d');
+
+                if (mode.blur) {
+                    // Scale the blur with the image so it matches the on-screen preview
+                    ctx.filter = `blur(${Math.max(1, mode.blur * canvas.width / 640)}px)`;
+                }
+                ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+                if (mode.matrix) {
+                    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+                    applyColorMatrix(imageData.data, mode.matrix);
+                    ctx.putImageData(imageData, 0, 0);
+                }
+
+                resolve({
+                    imgData: canvas.toDataURL('image/jpeg', 0.85),
+                    width: canvas.width,
+                    height: canvas.height
+                });
+            };
+            img.onerror = reject;
+            img.src = dataUrl;
+        });
+    }
+
+    /**
+     * Apply a 3x3 color matrix to RGBA pixel data in linear RGB
+     */
+    function applyColorMatrix(data, m) {
+        const toLinear = new Float32Array(256);
+        for (let i = 0; i < 256; i++) {
+            const c = i / 255;
+            toLinear[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        }
+
+        const toSrgb = new Uint8ClampedArray(4096);
+        for (let i = 0; i < 4096; i++) {
+            const c = i / 4095;
+            toSrgb[i] = Math.round((c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055) * 255);
+        }
+
+        const encode = (value) => toSrgb[Math.round(Math.min(1, Math.max(0, value)) * 4095)];
+
+        for (let i = 0; i < data.length; i += 4) {
+            const r = toLinear[data[i]];
+            const g = toLinear[data[i + 1]];
+            const b = toLinear[data[i + 2]];
+            data[i] = encode(m[0] * r + m[1] * g + m[2] * b);
+            data[i + 1] = encode(m[3] * r + m[4] * g + m[5] * b);
+            data[i + 2] = encode(m[6] * r + m[7] * g + m[8] * b);
+        }
+    }
+
+    return {
+        AA_NORMAL,
+        AA_LARGE,
+        AAA_NORMAL,
+        getWcagLevels,
+        getWcagLabel,
+        suggestPassingColor,
+        getContrastMatrix,
+        renderContrastMatrix,
+        getVisionModes,
+        initVisionFilters,
+        getVisionFilter,
+        simulateColor,
+        simulateImage
+    };
+})(typeof ColorsModule !== 'undefined' ? ColorsModule : require('./colors.js'));
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.AccessibilityModule = AccessibilityModule;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccessibilityModule;
+}
@@ -8,21 +8,22 @@
 
     // DOM Elements
     const elements = {
+        storageWarning: document.getElementById('storage-warning'),
+
         // Brand name
         brandName: document.getElementById('brand-name'),
 
-        // Colors
-        colorPrimary: document.getElementById('color-primary'),
-        colorPrimaryHex: document.getElementById('color-primary-hex'),
-        colorPrimaryName: document.getElementById('color-primary-name'),
-
-        colorSecondary: document.getElementById('color-secondary'),
-        colorSecondaryHex: document.getElementById('color-secondary-hex'),
-        colorSecondaryName: document.getElementById('color-secondary-name'),
+        // History
+        btnUndo: document.getElementById('btn-undo'),
+        btnRedo: document.getElementById('btn-redo'),
 
-        colorAccent: document.getElementById('color-accent'),
-        colorAccentHex: document.getElementById('color-accent-hex'),
-        colorAccentName: document.getElementById('color-accent-name'),
+        // Colors
+        colorList: document.getElementById('color-list'),
+        colorEntryTemplate: document.getElementById('color-entry-template'),
+        btnAddColor: document.getElementById('btn-add-color'),
+        swatchExportActions: document.getElementById('swatch-export-actions'),
+        harmonyList: document.getElementById('harmony-list'),
+        contrastMatrix: document.getElementById('contrast-matrix'),
 
         // Fonts
         fontPrimarySearch: document.getElementById('font-primary-search'),
@@ -41,53 +42,122 @@
         logoPreviewContainer: document.getElementById('logo-preview-container'),
         logoPreview: document.getElementById('logo-preview'),
         logoRemove: document.getElementById('logo-remove'),
+        logoUsage: document.getElementById('logo-usage'),
+        logoVariantList: document.getElementById('logo-variant-list'),
+        logoVariantInput: document.getElementById('logo-variant-input'),
+        logoRecolor: document.getElementById('logo-recolor'),
+        logoRecolorColor: document.getElementById('logo-recolor-color'),
+        logoRecolorList: document.getElementById('logo-recolor-list'),
+        logoPalette: document.getElementById('logo-palette'),
+        logoPaletteList: document.getElementById('logo-palette-list'),
+        btnApplyLogoPalette: document.getElementById('btn-apply-logo-palette'),
+        btnDismissLogoPalette: document.getElementById('btn-dismiss-logo-palette'),
 
         // Buttons
         btnExportJson: document.getElementById('btn-export-json'),
+        btnExportTokens: document.getElementById('btn-export-tokens'),
         btnExportPdf: document.getElementById('btn-export-pdf'),
+        btnExportKit: document.getElementById('btn-export-kit'),
         btnImport: document.getElementById('btn-import'),
         importInput: document.getElementById('import-input'),
         btnShareLink: document.getElementById('btn-share-link'),
 
+        // Projects Modal
+        btnProjects: document.getElementById('btn-projects'),
+        projectsModal: document.getElementById('projects-modal'),
+        projectsModalClose: document.getElementById('projects-modal-close'),
+        btnNewProject: document.getElementById('btn-new-project'),
+        projectList: document.getElementById('project-list'),
+
         // Share Modal
         shareModal: document.getElementById('share-modal'),
         shareModalClose: document.getElementById('share-modal-close'),
         shareLinkInput: document.getElementById('share-link-input'),
         btnCopyLink: document.getElementById('btn-copy-link'),
-        copyFeedback: document.getElementById('copy-feedback')
+        copyFeedback: document.getElementById('copy-feedback'),
+
+        // Palette Import Modal
+        paletteImportModal: document.getElementById('palette-import-modal'),
+        paletteImportClose: document.getElementById('palette-import-close'),
+        paletteImportSummary: document.getElementById('palette-import-summary'),
+        paletteImportWarning: document.getElementById('palette-import-warning'),
+        paletteImportColors: document.getElementById('palette-import-colors'),
+        paletteImportFontsSection: document.getElementById('palette-import-fonts-section'),
+        paletteImportFonts: document.getElementById('palette-import-fonts'),
+        btnApplyPaletteImport: document.getElementById('btn-apply-palette-import'),
+        btnCancelPaletteImport: document.getElementById('btn-cancel-palette-import')
     };
 
+    // Palette file waiting in the import dialog
+    let pendingPalette = null;
+
+    // Recolored SVG logo versions, the palette color used for the brand color one, and what they
+    // and the color picker were made from
+    let logoRecolors = null;
+    let recolorColorId = null;
+    let lastRecolorKey = null;
+    let lastRecolorOptionsKey = null;
+
     /**
      * Initialize the application
      */
     async function init() {
+        // Render the default palette
+        renderColorList();
+
         // Initialize font pickers
         initFontPickers();
 
         // Initialize mockup tabs
         MockupsModule.initTabs();
+        MockupsModule.initLiveUpdates();
+        MockupsModule.initVisionSwitcher();
+
+        // Harmonies and the contrast report follow every edit
+        BrandbookModule.subscribe('change', updateAnalysisPanels);
+
+        // Developer handoff code follows every edit
+        HandoffModule.init();
+
+        // Favicon and home screen previews follow every edit
+        IconsModule.init();
 
         // Bind event listeners
         bindEvents();
 
+        // Pick IndexedDB or the localStorage fallback, then open the most recent project
+        // (migrating single-slot data on first run)
+        StorageModule.onWarning(showStorageWarning);
+        await StorageModule.init();
+        await ProjectsModule.init();
+
         // Check for URL parameter data (from QR code scan)
         const urlData = checkUrlForData();
         if (urlData) {
-            // Import from URL data
+            // Import from URL data into a new project so it does not overwrite saved work
+            const previousProject = (await BrandbookModule.hasSavedData()) ? ProjectsModule.getActiveProject() : null;
+            if (previousProject) {
+                await ProjectsModule.createProject();
+            }
             const brandbook = BrandbookModule.importFromUrlData(urlData);
             if (brandbook) {
+                ProjectsModule.renameProject(ProjectsModule.getActiveProject().id, brandbook.meta.name);
+                BrandbookModule.clearHistory();
                 await updateUIFromBrandbook(brandbook);
                 showToast('Brandbook imported from QR code!', 'success');
                 // Clean up URL (remove data parameter)
                 cleanupUrl();
-                // Initial mockup update
-                MockupsModule.updateAll();
                 return;
             }
+            if (previousProject) {
+                await ProjectsModule.deleteProject(ProjectsModule.getActiveProject().id);
+                await ProjectsModule.openProject(previousProject.id);
+            }
+            showToast('Could not import the shared brandbook link', 'error');
         }
 
-        // Try to load saved data from localStorage
-        const hasSaved = BrandbookModule.loadFromLocalStorage();
+        // Try to load saved data
+        const hasSaved = await BrandbookModule.loadFromStorage();
 
         if (hasSaved) {
             // Restore UI from saved data
@@ -98,10 +168,28 @@
             // Load default fonts and sample logo
             await loadDefaultFonts();
             await loadSampleLogo();
+            renderLogoVariants();
+            renderLogoRecolors();
         }
 
         // Initial mockup update
+        updatePreview();
+    }
+
+    /**
+     * Refresh the mockups and the analysis panels (for changes made without an edit event)
+     */
+    function updatePreview() {
         MockupsModule.updateAll();
+        updateAnalysisPanels();
+    }
+
+    /**
+     * Refresh the harmony suggestions and the accessibility report
+     */
+    function updateAnalysisPanels() {
+        renderHarmonies();
+        AccessibilityModule.renderContrastMatrix(elements.contrastMatrix, BrandbookModule.getBrandbook().colors);
     }
 
     /**
@@ -131,7 +219,7 @@
             const svgText = await response.text();
             const dataUrl = 'data:image/svg+xml;base64,' + btoa(svgText);
 
-            // Set in brandbook
+            // Set in brandbook (directly, so the sample is neither saved nor undoable)
             const brandbook = BrandbookModule.getBrandbook();
             brandbook.logo.svg = dataUrl;
 
@@ -141,7 +229,7 @@
             elements.logoPreviewContainer.style.display = 'block';
 
             // Update mockups
-            MockupsModule.updateAll();
+            updatePreview();
         } catch (e) {
             console.warn('Could not load sample logo:', e);
         }
@@ -163,7 +251,6 @@
             'Montserrat',
             (fontFamily) => {
                 BrandbookModule.setTypography('primary', fontFamily, elements.fontPrimaryUsage.value);
-                MockupsModule.updateAll();
             }
         );
 
@@ -175,7 +262,6 @@
             'Open Sans',
             (fontFamily) => {
                 BrandbookModule.setTypography('secondary', fontFamily, elements.fontSecondaryUsage.value);
-                MockupsModule.updateAll();
             }
         );
     }
@@ -199,10 +285,31 @@
         // Brand name
         elements.brandName.addEventListener('input', handleBrandNameChange);
 
-        // Color inputs
-        bindColorInputs('primary');
-        bindColorInputs('secondary');
-        bindColorInputs('accent');
+        // Undo/redo
+        elements.btnUndo.addEventListener('click', handleUndo);
+        elements.btnRedo.addEventListener('click', handleRedo);
+        BrandbookModule.subscribe('history', ({ canUndo, canRedo }) => {
+            elements.btnUndo.disabled = !canUndo;
+            elements.btnRedo.disabled = !canRedo;
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            // Text fields keep their native undo; dialogs are not part of the brandbook
+            if (isEditableTarget(e.target) || isModalOpen()) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                handleUndo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                handleRedo();
+            }
+        });
+
+        // Palette
+        elements.btnAddColor.addEventListener('click', handleAddColor);
 
         // Font usage inputs
         elements.fontPrimaryUsage.addEventListener('input', () => {
@@ -234,6 +341,35 @@
             handleLogoRemove();
         });
 
+        elements.logoUsage.addEventListener('input', () => {
+            BrandbookModule.setLogoUsage(elements.logoUsage.value);
+        });
+
+        // Logo variants
+        elements.logoVariantList.addEventListener('click', handleLogoVariantClick);
+        elements.logoVariantList.addEventListener('input', handleLogoVariantUsage);
+        elements.logoVariantList.addEventListener('dragover', handleLogoVariantDrag);
+        elements.logoVariantList.addEventListener('dragleave', handleLogoVariantDrag);
+        elements.logoVariantList.addEventListener('drop', handleLogoVariantDrop);
+        elements.logoVariantInput.addEventListener('change', handleLogoVariantSelect);
+
+        // Recolored versions of an SVG logo follow the logo and the palette
+        BrandbookModule.subscribe('change', (event) => {
+            if (event.type === 'color' || event.type === 'import' || (event.type === 'logo' && event.action !== 'usage')) {
+                renderLogoRecolors();
+            }
+        });
+        elements.logoRecolorColor.addEventListener('change', () => {
+            recolorColorId = elements.logoRecolorColor.value;
+            renderLogoRecolors();
+        });
+        elements.logoRecolorList.addEventListener('click', handleLogoRecolorDownload);
+        elements.logoRecolorList.addEventListener('change', handleLogoRecolorUse);
+
+        // Logo palette suggestions
+        elements.btnApplyLogoPalette.addEventListener('click', handleApplyLogoPalette);
+        elements.btnDismissLogoPalette.addEventListener('click', hideLogoPalette);
+
         // Click on logo preview to change logo
         elements.logoPreviewContainer.addEventListener('click', () => {
             elements.logoInput.click();
@@ -247,7 +383,10 @@
 
         // Export/Import buttons
         elements.btnExportJson.addEventListener('click', handleExportJson);
+        elements.btnExportTokens.addEventListener('click', handleExportTokens);
+        elements.swatchExportActions.addEventListener('click', handleExportSwatches);
         elements.btnExportPdf.addEventListener('click', handleExportPdf);
+        elements.btnExportKit.addEventListener('click', handleExportKit);
         elements.btnImport.addEventListener('click', () => elements.importInput.click());
         elements.importInput.addEventListener('change', handleImport);
 
@@ -257,32 +396,207 @@
         elements.shareModal.querySelector('.modal-backdrop').addEventListener('click', closeShareModal);
         elements.btnCopyLink.addEventListener('click', handleCopyLink);
 
+        // Projects modal
+        elements.btnProjects.addEventListener('click', openProjectsModal);
+        elements.projectsModalClose.addEventListener('click', closeProjectsModal);
+        elements.projectsModal.querySelector('.modal-backdrop').addEventListener('click', closeProjectsModal);
+        elements.btnNewProject.addEventListener('click', handleNewProject);
+
+        // Palette import modal
+        elements.paletteImportClose.addEventListener('click', closePaletteImportModal);
+        elements.btnCancelPaletteImport.addEventListener('click', closePaletteImportModal);
+        elements.paletteImportModal.querySelector('.modal-backdrop').addEventListener('click', closePaletteImportModal);
+        elements.btnApplyPaletteImport.addEventListener('click', handleApplyPaletteImport);
+
         // Close modal on Escape key
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape' && elements.shareModal.style.display !== 'none') {
                 closeShareModal();
             }
+            if (e.key === 'Escape' && elements.projectsModal.style.display !== 'none') {
+                closeProjectsModal();
+            }
+            if (e.key === 'Escape' && elements.paletteImportModal.style.display !== 'none') {
+                closePaletteImportModal();
+            }
         });
     }
 
-    function getColorElements(type) {
-        const key = capitalize(type);
+    /**
+     * Render the palette editor from the current brandbook colors
+     */
+    function renderColorList() {
+        const colors = BrandbookModule.getBrandbook().colors;
+        elements.colorList.innerHTML = '';
+
+        colors.forEach((color, index) => {
+            elements.colorList.appendChild(createColorEntry(color, index, colors.length));
+        });
+    }
+
+    /**
+     * Create the editor row for a palette entry
+     * @param {Object} color - Palette entry
+     * @param {number} index - Position in the palette
+     * @param {number} count - Number of palette entries
+     * @returns {HTMLElement} Editor row
+     */
+    function createColorEntry(color, index, count) {
+        const entry = elements.colorEntryTemplate.content.firstElementChild.cloneNode(true);
+        const roleLabel = capitalize(color.role);
+        entry.dataset.colorId = color.id;
+
+        const roleSelect = entry.querySelector('.color-role-select');
+        roleSelect.setAttribute('aria-label', `${roleLabel} color role`);
+        BrandbookModule.getColorRoles().forEach(role => {
+            const option = document.createElement('option');
+            option.value = role;
+            option.textContent = capitalize(role);
+            option.selected = role === color.role;
+            roleSelect.appendChild(option);
+        });
+
+        const colorInput = entry.querySelector('input[type="color"]');
+        const hexInput = entry.querySelector('.hex-input');
+        const nameInput = entry.querySelector('.color-name-input');
+        colorInput.value = color.hex;
+        colorInput.setAttribute('aria-label', `${roleLabel} color picker`);
+        hexInput.value = color.hex.toUpperCase();
+        hexInput.setAttribute('aria-label', `${roleLabel} color hex value`);
+        nameInput.value = color.name || '';
+        nameInput.setAttribute('aria-label', `${roleLabel} color name`);
+
+        const moveUp = entry.querySelector('[data-action="up"]');
+        const moveDown = entry.querySelector('[data-action="down"]');
+        const remove = entry.querySelector('[data-action="remove"]');
+        moveUp.disabled = index === 0;
+        moveUp.setAttribute('aria-label', `Move ${roleLabel} color up`);
+        moveDown.disabled = index === count - 1;
+        moveDown.setAttribute('aria-label', `Move ${roleLabel} color down`);
+        remove.disabled = count <= 1;
+        remove.setAttribute('aria-label', `Remove ${roleLabel} color`);
+
+        renderColorScale(entry, color);
+        renderColorValues(entry, color);
+        bindColorInputs(entry, color.id);
+        return entry;
+    }
+
+    /**
+     * Render the RGB/HSL/LAB/OKLCH readout and CMYK fields of a palette entry.
+     * CMYK fields show the computed conversion until the user pins their own values.
+     * @param {HTMLElement} entry - Editor row
+     * @param {Object} color - Palette entry
+     */
+    function renderColorValues(entry, color) {
+        const values = ColorsModule.formatColorValues(color);
+        const { cmyk, cmykOverride } = ColorsModule.getColorValues(color);
+        const roleLabel = capitalize(color.role);
+
+        const list = entry.querySelector('.color-values-list');
+        list.innerHTML = '';
+        ['rgb', 'hsl', 'lab', 'oklch'].forEach(space => {
+            const term = document.createElement('dt');
+            term.textContent = space.toUpperCase();
+            const value = document.createElement('dd');
+            value.textContent = values[space].replace(/^[A-Z]+\((.*)\)$/, '$1');
+            list.appendChild(term);
+            list.appendChild(value);
+        });
+
+        entry.querySelector('.cmyk-override').classList.toggle('pinned', cmykOverride);
+        entry.querySelectorAll('.cmyk-input').forEach(input => {
+            const channel = input.dataset.channel;
+            input.setAttribute('aria-label', `${roleLabel} CMYK ${channel.toUpperCase()}`);
+            // Leave the field being typed in alone
+            if (document.activeElement !== input) {
+                input.value = cmyk[channel];
+            }
+        });
+
+        const reset = entry.querySelector('.cmyk-reset');
+        reset.disabled = !cmykOverride;
+        reset.setAttribute('aria-label', `Reset ${roleLabel} CMYK to computed values`);
+
+        // Dark mode variant; the picker starts from the base color until one is set
+        const darkInput = entry.querySelector('.dark-swatch-input');
+        entry.querySelector('.dark-variant').classList.toggle('set', Boolean(color.dark));
+        entry.querySelector('.dark-hex').textContent = color.dark || 'Not set';
+        darkInput.setAttribute('aria-label', `${roleLabel} dark mode color`);
+        if (document.activeElement !== darkInput) {
+            darkInput.value = (color.dark || color.hex).toLowerCase();
+        }
+        const darkReset = entry.querySelector('.dark-reset');
+        darkReset.disabled = !color.dark;
+        darkReset.setAttribute('aria-label', `Remove ${roleLabel} dark mode color`);
+    }
+
+    /**
+     * Render the 50-900 tint/shade scale of a palette entry.
+     * Each step can be overridden with its color picker or locked so it survives base color changes.
+     * @param {HTMLElement} entry - Editor row
+     * @param {Object} color - Palette entry
+     */
+    function renderColorScale(entry, color) {
+        const container = entry.querySelector('.color-scale');
+        const roleLabel = capitalize(color.role);
+        container.setAttribute('aria-label', `${roleLabel} color scale`);
+        container.innerHTML = '';
+
+        ColorsModule.SCALE_STEPS.forEach(step => {
+            const { hex, locked } = color.scale[step];
+
+            const stepEl = document.createElement('div');
+            stepEl.className = 'scale-step';
+            stepEl.classList.toggle('locked', locked);
+
+            const picker = document.createElement('input');
+            picker.type = 'color';
+            picker.className = 'scale-step-swatch';
+            picker.value = hex;
+            picker.title = `${step}: ${hex}`;
+            picker.setAttribute('aria-label', `${roleLabel} ${step} override`);
+            picker.addEventListener('change', (e) => {
+                BrandbookModule.setScaleStep(color.id, step, e.target.value);
+                renderColorScale(entry, BrandbookModule.getColor(color.id));
+            });
+
+            const lock = document.createElement('button');
+            lock.type = 'button';
+            lock.className = 'scale-step-lock';
+            lock.textContent = step;
+            lock.setAttribute('aria-pressed', locked ? 'true' : 'false');
+            lock.setAttribute('aria-label', `${locked ? 'Unlock' : 'Lock'} ${roleLabel} ${step}`);
+            lock.title = locked ? 'Locked - click to regenerate' : 'Click to lock';
+            lock.addEventListener('click', () => {
+                BrandbookModule.setScaleStepLocked(color.id, step, !locked);
+                renderColorScale(entry, BrandbookModule.getColor(color.id));
+                entry.querySelectorAll('.scale-step-lock')[ColorsModule.SCALE_STEPS.indexOf(step)].focus();
+            });
+
+            stepEl.appendChild(picker);
+            stepEl.appendChild(lock);
+            container.appendChild(stepEl);
+        });
+    }
+
+    function getColorElements(entry) {
         return {
-            colorInput: elements[`color${key}`],
-            hexInput: elements[`color${key}Hex`],
-            nameInput: elements[`color${key}Name`]
+            colorInput: entry.querySelector('input[type="color"]'),
+            hexInput: entry.querySelector('.hex-input'),
+            nameInput: entry.querySelector('.color-name-input')
         };
     }
 
-    function bindColorInputs(type) {
-        const { colorInput, hexInput, nameInput } = getColorElements(type);
+    function bindColorInputs(entry, id) {
+        const { colorInput, hexInput, nameInput } = getColorElements(entry);
 
         // Color picker change
         colorInput.addEventListener('input', (e) => {
             hexInput.value = e.target.value.toUpperCase();
             hexInput.classList.remove('error');
             hexInput.classList.add('valid');
-            updateColor(type);
+            updateColor(entry, id);
         });
 
         // Hex input change with validation
@@ -300,7 +614,7 @@
                 hexInput.classList.remove('error');
                 hexInput.classList.add('valid');
                 colorInput.value = value;
-                updateColor(type);
+                updateColor(entry, id);
             } else if (value.length > 0) {
                 hexInput.classList.remove('valid');
                 hexInput.classList.add('error');
@@ -319,14 +633,177 @@
 
         // Name input change
         nameInput.addEventListener('input', () => {
-            updateColor(type);
+            updateColor(entry, id);
+        });
+
+        // CMYK override
+        const cmykInputs = entry.querySelectorAll('.cmyk-input');
+        cmykInputs.forEach(input => {
+            input.addEventListener('input', () => {
+                const cmyk = {};
+                cmykInputs.forEach(field => {
+                    cmyk[field.dataset.channel] = field.value === '' ? NaN : Number(field.value);
+                });
+
+                if (ColorsModule.isValidCmyk(cmyk)) {
+                    input.classList.remove('error');
+                    BrandbookModule.setColorCmyk(id, cmyk);
+                    renderColorValues(entry, BrandbookModule.getColor(id));
+                } else {
+                    input.classList.add('error');
+                }
+            });
+        });
+
+        entry.querySelector('.cmyk-reset').addEventListener('click', () => {
+            BrandbookModule.setColorCmyk(id, null);
+            cmykInputs.forEach(field => field.classList.remove('error'));
+            renderColorValues(entry, BrandbookModule.getColor(id));
+        });
+
+        // Dark mode variant
+        entry.querySelector('.dark-swatch-input').addEventListener('input', (e) => {
+            BrandbookModule.setColorDark(id, e.target.value);
+            renderColorValues(entry, BrandbookModule.getColor(id));
+        });
+
+        entry.querySelector('.dark-reset').addEventListener('click', () => {
+            BrandbookModule.setColorDark(id, null);
+            renderColorValues(entry, BrandbookModule.getColor(id));
+        });
+
+        // Role change
+        entry.querySelector('.color-role-select').addEventListener('change', (e) => {
+            BrandbookModule.setColorRole(id, e.target.value);
+            renderColorList();
+            focusColorControl(id, '.color-role-select');
+        });
+
+        // Reorder and remove
+        entry.querySelector('.color-entry-actions').addEventListener('click', (e) => {
+            const button = e.target.closest('.color-action');
+            if (!button || button.disabled) return;
+            handleColorAction(id, button.dataset.action);
         });
     }
 
-    function updateColor(type) {
-        const { hexInput, nameInput } = getColorElements(type);
-        BrandbookModule.setColor(type, hexInput.value, nameInput.value);
-        MockupsModule.updateAll();
+    function updateColor(entry, id) {
+        const { colorInput, nameInput } = getColorElements(entry);
+        BrandbookModule.setColor(id, colorInput.value.toUpperCase(), nameInput.value);
+        renderColorScale(entry, BrandbookModule.getColor(id));
+        renderColorValues(entry, BrandbookModule.getColor(id));
+    }
+
+    /**
+     * Handle move/remove buttons on a palette entry
+     * @param {string} id - Color id
+     * @param {string} action - 'up', 'down' or 'remove'
+     */
+    function handleColorAction(id, action) {
+        if (action === 'remove') {
+            if (!BrandbookModule.removeColor(id)) return;
+            renderColorList();
+            return;
+        }
+
+        const offset = action === 'up' ? -1 : 1;
+        if (!BrandbookModule.moveColor(id, offset)) return;
+        renderColorList();
+        focusColorControl(id, `[data-action="${action}"]:not(:disabled)`);
+    }
+
+    /**
+     * Handle add color button
+     */
+    function handleAddColor() {
+        const color = BrandbookModule.addColor();
+        renderColorList();
+        focusColorControl(color.id, '.hex-input');
+    }
+
+    /**
+     * Render harmony suggestions for the current primary color
+     */
+    function renderHarmonies() {
+        const primary = BrandbookModule.getRoleColors().primary;
+        if (elements.harmonyList.dataset.primary === primary) return;
+
+        elements.harmonyList.dataset.primary = primary;
+        elements.harmonyList.innerHTML = '';
+
+        ColorsModule.getHarmonies(primary).forEach(harmony => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'harmony-option';
+            button.dataset.harmony = harmony.id;
+            button.setAttribute('aria-label', `Apply ${harmony.label} harmony: secondary ${harmony.secondary}, accent ${harmony.accent}`);
+
+            const label = document.createElement('span');
+            label.textContent = harmony.label;
+
+            const swatches = document.createElement('span');
+            swatches.className = 'harmony-swatches';
+            [primary, harmony.secondary, harmony.accent].forEach(hex => {
+                const swatch = document.createElement('span');
+                swatch.className = 'harmony-swatch';
+                swatch.style.backgroundColor = hex;
+                swatch.title = hex;
+                swatches.appendChild(swatch);
+            });
+
+            button.append(label, swatches);
+
+            const preview = () => {
+                MockupsModule.setColorPreview({ secondary: harmony.secondary, accent: harmony.accent });
+                MockupsModule.updateAll();
+            };
+            const clearPreview = () => {
+                MockupsModule.setColorPreview(null);
+                MockupsModule.updateAll();
+            };
+
+            button.addEventListener('mouseenter', preview);
+            button.addEventListener('focus', preview);
+            button.addEventListener('mouseleave', clearPreview);
+            button.addEventListener('blur', clearPreview);
+            button.addEventListener('click', () => applyHarmony(harmony));
+
+            elements.harmonyList.appendChild(button);
+        });
+    }
+
+    /**
+     * Apply a harmony suggestion to the secondary and accent colors
+     * @param {{label: string, secondary: string, accent: string}} harmony - Harmony suggestion
+     */
+    function applyHarmony(harmony) {
+        MockupsModule.setColorPreview(null);
+        BrandbookModule.transaction(() => {
+            ['secondary', 'accent'].forEach(role => {
+                const color = BrandbookModule.getColorByRole(role);
+                if (color) {
+                    BrandbookModule.setColor(color.id, harmony[role], color.name);
+                } else {
+                    BrandbookModule.addColor({ role, hex: harmony[role] });
+                }
+            });
+        });
+
+        renderColorList();
+        showToast(`${harmony.label} harmony applied`, 'success');
+    }
+
+    /**
+     * Restore focus to a control after the palette has been re-rendered
+     * @param {string} id - Color id
+     * @param {string} selector - Control selector within the entry
+     */
+    function focusColorControl(id, selector) {
+        const entry = elements.colorList.querySelector(`[data-color-id="${id}"]`);
+        const control = entry?.querySelector(selector);
+        if (control) {
+            control.focus();
+        }
     }
 
     /**
@@ -340,10 +817,36 @@
         } else {
             e.target.classList.remove('error');
             BrandbookModule.setBrandName(value);
-            MockupsModule.updateAll();
         }
     }
 
+    /**
+     * Handle undo (button or Ctrl+Z)
+     */
+    async function handleUndo() {
+        if (BrandbookModule.undo()) {
+            await refreshFromBrandbook();
+        }
+    }
+
+    /**
+     * Handle redo (button, Ctrl+Shift+Z or Ctrl+Y)
+     */
+    async function handleRedo() {
+        if (BrandbookModule.redo()) {
+            await refreshFromBrandbook();
+        }
+    }
+
+    /**
+     * Resync the editor controls after the brandbook was replaced (undo/redo, project switch).
+     * Previews update themselves through the brandbook's import event.
+     */
+    async function refreshFromBrandbook() {
+        elements.brandName.classList.remove('error');
+        await updateUIFromBrandbook(BrandbookModule.getBrandbook());
+    }
+
     /**
      * Handle drag over on dropzone
      */
@@ -396,22 +899,165 @@
             return;
         }
 
+        let result;
         try {
-            const dataUrl = await BrandbookModule.setLogo(file);
+            result = await BrandbookModule.setLogo(file);
+        } catch (error) {
+            // Malformed or unsafe SVGs are rejected with a message meant for the user
+            showToast(`Failed to upload logo: ${error.message}`, 'error');
+            console.error(error);
+            return;
+        }
 
-            // Show preview
-            elements.logoPreview.src = dataUrl;
-            elements.logoDropzone.style.display = 'none';
-            elements.logoPreviewContainer.style.display = 'block';
+        // Show preview
+        elements.logoPreview.src = result.dataUrl;
+        elements.logoDropzone.style.display = 'none';
+        elements.logoPreviewContainer.style.display = 'block';
+        showLogoUploadToast('Logo uploaded', result.sanitized);
 
-            // Update mockups
-            MockupsModule.updateAll();
+        // Colors are read from what was stored, not from the raw upload
+        await suggestLogoPalette(result.sanitized
+            ? new File([result.sanitized.svg], file.name, { type: 'image/svg+xml' })
+            : file);
+    }
+
+    /**
+     * Confirm a logo upload with the size saved by sanitizing an SVG.
+     * Removed scripts or external references turn the confirmation into a warning.
+     * @param {string} message - Confirmation, e.g. 'Logo uploaded'
+     * @param {Object|null} sanitized - SvgModule.sanitizeSvg result
+     */
+    function showLogoUploadToast(message, sanitized) {
+        if (!sanitized) {
+            showToast(message, 'success');
+            return;
+        }
+
+        const saved = sanitized.originalSize - sanitized.size;
+        const savings = saved > 0
+            ? ` and optimized: ${formatFileSize(sanitized.originalSize)} → ${formatFileSize(sanitized.size)} (${Math.round(saved / sanitized.originalSize * 100)}% smaller)`
+            : '';
+
+        if (sanitized.unsafe) {
+            const removed = SvgModule.describeRemoved(sanitized.removed, ['scripts', 'references']);
+            showToast(`${message}${savings}. Unsafe content was removed: ${removed}.`, 'warning');
+        } else {
+            showToast(`${message}${savings}`, 'success');
+        }
+    }
+
+    function formatFileSize(bytes) {
+        return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+    }
 
-            showToast('Logo uploaded successfully', 'success');
+    /**
+     * Analyze the uploaded logo and offer its colors for the palette
+     * @param {File} file - Logo file
+     */
+    async function suggestLogoPalette(file) {
+        let colors;
+        try {
+            colors = await LogoModule.extractPalette(file);
         } catch (error) {
-            showToast('Failed to upload logo', 'error');
-            console.error(error);
+            console.warn('Could not extract logo colors:', error);
+            colors = [];
+        }
+
+        elements.logoPaletteList.innerHTML = '';
+        if (colors.length === 0) {
+            elements.logoPalette.hidden = true;
+            return;
         }
+
+        const roles = LogoModule.suggestRoles(colors);
+        colors.forEach((color, index) => {
+            const item = document.createElement('div');
+            item.className = 'logo-palette-item';
+            item.dataset.hex = color.hex;
+
+            const swatch = document.createElement('span');
+            swatch.className = 'harmony-swatch';
+            swatch.style.backgroundColor = color.hex;
+
+            const hex = document.createElement('span');
+            hex.className = 'logo-palette-hex';
+            hex.textContent = color.hex;
+
+            const share = document.createElement('span');
+            share.className = 'logo-palette-share';
+            share.textContent = `${Math.round(color.weight * 100)}%`;
+
+            const select = createRoleSelect(`Role for ${color.hex}`, roles[index]);
+
+            item.append(swatch, hex, share, select);
+            elements.logoPaletteList.appendChild(item);
+        });
+
+        elements.logoPalette.hidden = false;
+    }
+
+    /**
+     * Role picker with a Skip option, used when mapping suggested colors to the palette
+     * @param {string} label - Accessible label
+     * @param {string} value - Selected role ('' to skip)
+     * @returns {HTMLSelectElement}
+     */
+    function createRoleSelect(label, value) {
+        const select = document.createElement('select');
+        select.className = 'color-role-select';
+        select.setAttribute('aria-label', label);
+
+        const skip = document.createElement('option');
+        skip.value = '';
+        skip.textContent = 'Skip';
+        select.appendChild(skip);
+
+        BrandbookModule.getColorRoles().forEach(role => {
+            const option = document.createElement('option');
+            option.value = role;
+            option.textContent = capitalize(role);
+            select.appendChild(option);
+        });
+        select.value = value || '';
+        return select;
+    }
+
+    /**
+     * Apply the logo colors to their assigned roles.
+     * The first color assigned to a role replaces that role's color; further ones are added.
+     */
+    function handleApplyLogoPalette() {
+        const assignments = [...elements.logoPaletteList.querySelectorAll('.logo-palette-item')]
+            .map(item => ({ role: item.querySelector('select').value, hex: item.dataset.hex }))
+            .filter(({ role }) => role);
+
+        const applied = assignments.length;
+        if (applied === 0) {
+            showToast('Assign a role to at least one color', 'error');
+            return;
+        }
+
+        const replaced = new Set();
+        BrandbookModule.transaction(() => {
+            assignments.forEach(({ role, hex }) => {
+                const existing = BrandbookModule.getColorByRole(role);
+                if (existing && !replaced.has(role)) {
+                    BrandbookModule.setColor(existing.id, hex, existing.name);
+                } else {
+                    BrandbookModule.addColor({ role, hex });
+                }
+                replaced.add(role);
+            });
+        });
+
+        hideLogoPalette();
+        renderColorList();
+        showToast(`${applied} logo color${applied === 1 ? '' : 's'} applied`, 'success');
+    }
+
+    function hideLogoPalette() {
+        elements.logoPalette.hidden = true;
+        elements.logoPaletteList.innerHTML = '';
     }
 
     /**
@@ -419,13 +1065,257 @@
      */
     function handleLogoRemove() {
         BrandbookModule.clearLogo();
+        hideLogoPalette();
 
         elements.logoPreview.src = '';
         elements.logoDropzone.style.display = 'block';
         elements.logoPreviewContainer.style.display = 'none';
         elements.logoInput.value = '';
+    }
 
-        MockupsModule.updateAll();
+    /**
+     * Render a row per logo variant: upload slot, usage note and remove button
+     */
+    function renderLogoVariants() {
+        const brandbook = BrandbookModule.getBrandbook();
+        elements.logoVariantList.innerHTML = '';
+
+        BrandbookCore.LOGO_VARIANTS.forEach(variant => {
+            const url = BrandbookCore.getLogoVariantUrl(brandbook, variant.id);
+            const row = document.createElement('div');
+            row.className = 'logo-variant';
+            row.dataset.variant = variant.id;
+
+            const slot = document.createElement('button');
+            slot.type = 'button';
+            slot.className = `logo-variant-slot${variant.id === 'reversed' ? ' reversed' : ''}`;
+            slot.title = url ? `Replace the ${variant.label} logo` : `Upload a ${variant.label} logo (SVG or PNG)`;
+            slot.setAttribute('aria-label', slot.title);
+            if (url) {
+                const img = document.createElement('img');
+                img.src = url;
+                img.alt = '';
+                slot.appendChild(img);
+            } else {
+                slot.textContent = '+';
+            }
+
+            const body = document.createElement('div');
+            body.className = 'logo-variant-body';
+            const label = document.createElement('span');
+            label.className = 'logo-variant-label';
+            label.textContent = variant.label;
+            const usage = document.createElement('input');
+            usage.type = 'text';
+            usage.className = 'font-usage-input logo-variant-usage';
+            usage.placeholder = variant.hint;
+            usage.value = brandbook.logo.variants[variant.id]?.usage || '';
+            usage.setAttribute('aria-label', `${variant.label} logo usage`);
+            body.append(label, usage);
+
+            row.append(slot, body);
+            if (url) {
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.className = 'btn-icon logo-variant-remove';
+                remove.title = `Remove the ${variant.label} logo`;
+                remove.setAttribute('aria-label', remove.title);
+                remove.innerHTML = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>';
+                row.appendChild(remove);
+            }
+            elements.logoVariantList.appendChild(row);
+        });
+    }
+
+    function handleLogoVariantClick(e) {
+        const row = e.target.closest('.logo-variant');
+        if (!row) return;
+
+        if (e.target.closest('.logo-variant-remove')) {
+            BrandbookModule.clearLogo(row.dataset.variant);
+            renderLogoVariants();
+        } else if (e.target.closest('.logo-variant-slot')) {
+            elements.logoVariantInput.dataset.variant = row.dataset.variant;
+            elements.logoVariantInput.click();
+        }
+    }
+
+    function handleLogoVariantUsage(e) {
+        if (!e.target.classList.contains('logo-variant-usage')) return;
+        BrandbookModule.setLogoUsage(e.target.value, e.target.closest('.logo-variant').dataset.variant);
+    }
+
+    function handleLogoVariantDrag(e) {
+        const slot = e.target.closest('.logo-variant-slot');
+        if (!slot) return;
+        e.preventDefault();
+        slot.classList.toggle('dragover', e.type === 'dragover');
+    }
+
+    async function handleLogoVariantDrop(e) {
+        const slot = e.target.closest('.logo-variant-slot');
+        if (!slot) return;
+        e.preventDefault();
+        slot.classList.remove('dragover');
+        if (e.dataTransfer.files.length > 0) {
+            await processLogoVariantFile(e.dataTransfer.files[0], slot.closest('.logo-variant').dataset.variant);
+        }
+    }
+
+    async function handleLogoVariantSelect(e) {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) {
+            await processLogoVariantFile(file, e.target.dataset.variant);
+        }
+    }
+
+    /**
+     * Store an uploaded file as a logo variant
+     * @param {File} file - SVG or PNG
+     * @param {string} variant - Variant id
+     */
+    async function processLogoVariantFile(file, variant) {
+        if (!['image/svg+xml', 'image/png'].includes(file.type)) {
+            showToast('Please upload an SVG or PNG file', 'error');
+            return;
+        }
+
+        const { label } = BrandbookCore.LOGO_VARIANTS.find(item => item.id === variant);
+        try {
+            const { sanitized } = await BrandbookModule.setLogo(file, variant);
+            renderLogoVariants();
+            showLogoUploadToast(`${label} logo uploaded`, sanitized);
+        } catch (error) {
+            showToast(`Failed to upload the ${label} logo: ${error.message}`, 'error');
+            console.error(error);
+        }
+    }
+
+    /**
+     * Show black, white, brand color and grayscale versions of an SVG primary logo
+     */
+    function renderLogoRecolors() {
+        const brandbook = BrandbookModule.getBrandbook();
+        const logoUrl = BrandbookCore.getLogoVariantUrl(brandbook, 'primary');
+        if (!logoUrl || !logoUrl.startsWith('data:image/svg')) {
+            elements.logoRecolor.hidden = true;
+            logoRecolors = null;
+            lastRecolorKey = null;
+            return;
+        }
+
+        const brandColor = brandbook.colors.find(color => color.id === recolorColorId) ||
+            BrandbookCore.getColorByRole('primary', brandbook) || brandbook.colors[0];
+        recolorColorId = brandColor.id;
+        renderRecolorColorOptions(brandbook);
+
+        const key = `${brandColor.hex}|${logoUrl}`;
+        if (key === lastRecolorKey) return;
+
+        try {
+            const svgText = SvgModule.decodeDataUrl(logoUrl);
+            logoRecolors = LogoModule.getRecolorModes().map(mode => ({
+                ...mode,
+                svg: LogoModule.recolorSvg(svgText, mode.id, brandColor.hex)
+            }));
+        } catch (error) {
+            console.warn('Could not recolor the logo:', error);
+            elements.logoRecolor.hidden = true;
+            logoRecolors = null;
+            return;
+        }
+        lastRecolorKey = key;
+
+        elements.logoRecolorList.innerHTML = '';
+        logoRecolors.forEach(recolor => {
+            const item = document.createElement('div');
+            item.className = 'logo-recolor-item';
+            item.dataset.mode = recolor.id;
+
+            const preview = document.createElement('div');
+            const onDark = recolor.id === 'white' ||
+                (recolor.id === 'brand' && BrandbookCore.getContrastColor(brandColor.hex) === '#000000');
+            preview.className = `logo-recolor-preview${onDark ? ' dark' : ''}`;
+            const img = document.createElement('img');
+            img.src = SvgModule.toDataUrl(recolor.svg);
+            img.alt = `${recolor.label} logo`;
+            preview.appendChild(img);
+
+            const label = document.createElement('span');
+            label.className = 'logo-recolor-label';
+            label.textContent = recolor.label;
+
+            const use = document.createElement('select');
+            use.className = 'logo-recolor-use';
+            use.setAttribute('aria-label', `Use the ${recolor.label} version as a logo variant`);
+            const placeholder = document.createElement('option');
+            placeholder.value = '';
+            placeholder.textContent = 'Use as…';
+            use.appendChild(placeholder);
+            BrandbookCore.LOGO_VARIANTS.forEach(variant => {
+                const option = document.createElement('option');
+                option.value = variant.id;
+                option.textContent = variant.id === recolor.variant ? `${variant.label} (suggested)` : variant.label;
+                use.appendChild(option);
+            });
+
+            const download = document.createElement('button');
+            download.type = 'button';
+            download.className = 'btn btn-outline logo-recolor-download';
+            download.textContent = 'SVG';
+            download.title = `Download the ${recolor.label} logo`;
+
+            const actions = document.createElement('div');
+            actions.className = 'logo-recolor-actions';
+            actions.append(use, download);
+            item.append(preview, label, actions);
+            elements.logoRecolorList.appendChild(item);
+        });
+        elements.logoRecolor.hidden = false;
+    }
+
+    function renderRecolorColorOptions(brandbook) {
+        // Rebuilding the options would drop focus from the picker
+        const key = JSON.stringify([recolorColorId, brandbook.colors.map(({ id, name, role, hex }) => [id, name, role, hex])]);
+        if (key === lastRecolorOptionsKey) return;
+        lastRecolorOptionsKey = key;
+
+        const select = elements.logoRecolorColor;
+        select.innerHTML = '';
+        brandbook.colors.forEach(color => {
+            const option = document.createElement('option');
+            option.value = color.id;
+            option.textContent = `${color.name || capitalize(color.role)} (${color.hex})`;
+            select.appendChild(option);
+        });
+        select.value = recolorColorId;
+    }
+
+    function getLogoRecolor(target) {
+        const item = target.closest('.logo-recolor-item');
+        return item && logoRecolors ? logoRecolors.find(recolor => recolor.id === item.dataset.mode) : null;
+    }
+
+    function handleLogoRecolorDownload(e) {
+        if (!e.target.closest('.logo-recolor-download')) return;
+        const recolor = getLogoRecolor(e.target);
+        if (!recolor) return;
+
+        const fileName = `${ExportersModule.getFileBaseName(BrandbookModule.getBrandbook())}-logo-${recolor.id}.svg`;
+        ExportersModule.download(recolor.svg, fileName, 'image/svg+xml');
+        showToast(`${fileName} downloaded`, 'success');
+    }
+
+    async function handleLogoRecolorUse(e) {
+        if (!e.target.classList.contains('logo-recolor-use') || !e.target.value) return;
+        const recolor = getLogoRecolor(e.target);
+        const variant = e.target.value;
+        e.target.value = '';
+        if (!recolor) return;
+
+        const file = new File([recolor.svg], `logo-${recolor.id}.svg`, { type: 'image/svg+xml' });
+        await processLogoVariantFile(file, variant);
     }
 
     /**
@@ -436,6 +1326,38 @@
         showToast('Brandbook downloaded', 'success');
     }
 
+    /**
+     * Handle design tokens export
+     */
+    function handleExportTokens() {
+        const brandbook = BrandbookModule.getBrandbook();
+        ExportersModule.download(
+            ExportersModule.toDesignTokensJson(brandbook),
+            `${ExportersModule.getFileBaseName(brandbook)}.tokens.json`,
+            'application/json'
+        );
+        showToast('Design tokens downloaded', 'success');
+    }
+
+    /**
+     * Download the palette as a swatch file for design tools
+     */
+    async function handleExportSwatches(e) {
+        const btn = e.target.closest('[data-swatch-format]');
+        if (!btn) return;
+
+        const format = ExportersModule.getSwatchFormats().find(item => item.id === btn.dataset.swatchFormat);
+        const brandbook = BrandbookModule.getBrandbook();
+        try {
+            const content = await format.generate(brandbook);
+            ExportersModule.download(content, `${ExportersModule.getFileBaseName(brandbook)}.${format.extension}`, format.type);
+            showToast(`${format.label} downloaded`, 'success');
+        } catch (error) {
+            showToast('Failed to export swatches: ' + error.message, 'error');
+            console.error(error);
+        }
+    }
+
     async function handleExportPdf() {
         const btn = elements.btnExportPdf;
         const originalContent = btn.innerHTML;
@@ -455,7 +1377,30 @@
     }
 
     /**
-     * Handle brandbook import
+     * Download the brand kit ZIP (brandbook, PDF, logo, mockups, swatches, README)
+     */
+    async function handleExportKit() {
+        const btn = elements.btnExportKit;
+        const originalContent = btn.innerHTML;
+        btn.disabled = true;
+        btn.textContent = 'Building kit...';
+
+        try {
+            await BrandKitModule.downloadBrandKit({
+                onProgress: (message) => { btn.textContent = message; }
+            });
+            showToast('Brand kit downloaded', 'success');
+        } catch (error) {
+            showToast('Failed to build brand kit: ' + error.message, 'error');
+            console.error(error);
+        } finally {
+            btn.disabled = false;
+            btn.innerHTML = originalContent;
+        }
+    }
+
+    /**
+     * Handle import of a .brandbook file or a palette file (.ase, .gpl, CSS, design tokens)
      */
     async function handleImport(e) {
         if (e.target.files.length === 0) return;
@@ -463,24 +1408,156 @@
         const file = e.target.files[0];
 
         try {
-            const brandbook = await BrandbookModule.importFromFile(file);
+            // Palette and token files go through the mapping dialog first
+            const palette = await ImportersModule.readFile(file);
+            if (palette) {
+                openPaletteImportModal(palette, file.name);
+            } else {
+                const brandbook = await BrandbookModule.importFromFile(file);
 
-            // Update UI with imported data
-            updateUIFromBrandbook(brandbook);
+                // Update UI with imported data
+                updateUIFromBrandbook(brandbook);
 
-            // Update mockups
-            MockupsModule.updateAll();
-
-            showToast('Brandbook imported successfully', 'success');
+                showToast('Brandbook imported successfully', 'success');
+            }
         } catch (error) {
-            showToast('Failed to import brandbook: ' + error.message, 'error');
-            console.error(error);
+            // Schema errors list the offending fields
+            const message = error.errors ? SchemaModule.formatErrors(error.errors, 3) : error.message;
+            showToast(`Failed to import ${file.name}: ${message}`, 'error');
+            console.error(error, error.errors || '');
         }
 
         // Reset file input
         e.target.value = '';
     }
 
+    /**
+     * Show the colors and fonts found in a palette file for mapping to brandbook roles
+     * @param {Object} palette - Palette from ImportersModule.readFile
+     * @param {string} fileName - Imported file name
+     */
+    function openPaletteImportModal(palette, fileName) {
+        pendingPalette = palette;
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        const found = palette.fonts.length > 0
+            ? `${plural(palette.colors.length, 'color')} and ${plural(palette.fonts.length, 'font')}`
+            : plural(palette.colors.length, 'color');
+        elements.paletteImportSummary.textContent = `Found ${found} in ${fileName}. Choose a role for each color.`;
+
+        elements.paletteImportWarning.textContent = palette.warnings.join('. ');
+        elements.paletteImportWarning.hidden = palette.warnings.length === 0;
+
+        const roles = ImportersModule.suggestColorRoles(palette.colors);
+        elements.paletteImportColors.innerHTML = '';
+        palette.colors.forEach((color, index) => {
+            const item = document.createElement('div');
+            item.className = 'logo-palette-item';
+
+            const swatch = document.createElement('span');
+            swatch.className = 'harmony-swatch';
+            swatch.style.backgroundColor = color.hex;
+
+            const label = document.createElement('span');
+            label.className = 'palette-import-label';
+            const name = document.createElement('span');
+            name.textContent = color.name || color.key;
+            const detail = document.createElement('span');
+            detail.className = 'logo-palette-hex';
+            detail.textContent = color.name && color.name !== color.key ? `${color.hex} · ${color.key}` : color.hex;
+            label.append(name, detail);
+
+            item.append(swatch, label, createRoleSelect(`Role for ${color.name || color.key}`, roles[index]));
+            elements.paletteImportColors.appendChild(item);
+        });
+
+        renderPaletteImportFonts(palette.fonts);
+
+        elements.paletteImportModal.style.display = 'flex';
+        setTimeout(() => elements.btnApplyPaletteImport.focus(), 100);
+    }
+
+    /**
+     * One picker per typography slot, preselected with the suggested family
+     */
+    function renderPaletteImportFonts(fonts) {
+        elements.paletteImportFonts.innerHTML = '';
+        elements.paletteImportFontsSection.hidden = fonts.length === 0;
+        if (fonts.length === 0) return;
+
+        const suggestion = ImportersModule.suggestFonts(fonts);
+        const families = [...new Set(fonts.map(font => font.family))];
+        const typography = BrandbookModule.getBrandbook().typography;
+
+        ['primary', 'secondary'].filter(type => typography[type]).forEach(type => {
+            const item = document.createElement('div');
+            item.className = 'logo-palette-item';
+
+            const label = document.createElement('span');
+            label.className = 'palette-import-label';
+            label.textContent = `${capitalize(type)} font`;
+
+            const select = document.createElement('select');
+            select.className = 'color-role-select';
+            select.dataset.fontType = type;
+            select.setAttribute('aria-label', `${capitalize(type)} font`);
+
+            const keep = document.createElement('option');
+            keep.value = '';
+            keep.textContent = `Keep ${typography[type].family}`;
+            select.appendChild(keep);
+
+            families.forEach(family => {
+                const option = document.createElement('option');
+                option.value = family;
+                option.textContent = family;
+                select.appendChild(option);
+            });
+            select.value = suggestion[type] || '';
+
+            item.append(label, select);
+            elements.paletteImportFonts.appendChild(item);
+        });
+    }
+
+    /**
+     * Replace the palette (and chosen fonts) with the mapped colors
+     */
+    function handleApplyPaletteImport() {
+        const colors = [];
+        elements.paletteImportColors.querySelectorAll('.logo-palette-item').forEach((item, index) => {
+            const role = item.querySelector('select').value;
+            if (!role) return;
+
+            const { hex, name } = pendingPalette.colors[index];
+            colors.push({ role, hex, name });
+        });
+
+        if (colors.length === 0) {
+            showToast('Assign a role to at least one color', 'error');
+            return;
+        }
+
+        const fonts = {};
+        elements.paletteImportFonts.querySelectorAll('select').forEach(select => {
+            if (select.value) {
+                fonts[select.dataset.fontType] = select.value;
+            }
+        });
+
+        BrandbookModule.importPalette({ colors, fonts });
+        closePaletteImportModal();
+        updateUIFromBrandbook(BrandbookModule.getBrandbook());
+        showToast(`${colors.length} color${colors.length === 1 ? '' : 's'} imported`, 'success');
+    }
+
+    function closePaletteImportModal() {
+        elements.paletteImportModal.style.display = 'none';
+        elements.paletteImportColors.innerHTML = '';
+        elements.paletteImportFonts.innerHTML = '';
+        pendingPalette = null;
+        elements.btnImport.focus();
+    }
+
     /**
      * Handle share link button click
      */
@@ -505,6 +1582,166 @@
         }, 100);
     }
 
+    /**
+     * Open the project library
+     */
+    async function openProjectsModal() {
+        elements.projectsModal.style.display = 'flex';
+        renderProjectList();
+        setTimeout(() => elements.btnNewProject.focus(), 100);
+
+        // Refresh the open project's thumbnail with the current mockup
+        await ProjectsModule.captureThumbnail();
+        renderProjectList();
+    }
+
+    function closeProjectsModal() {
+        elements.projectsModal.style.display = 'none';
+        elements.btnProjects.focus();
+    }
+
+    /**
+     * Render the project library list
+     */
+    function renderProjectList() {
+        const activeId = ProjectsModule.getActiveProject().id;
+        const dateFormat = new Intl.DateTimeFormat(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+        elements.projectList.innerHTML = '';
+
+        ProjectsModule.listProjects().forEach(project => {
+            const isActive = project.id === activeId;
+            const item = document.createElement('li');
+            item.className = 'project-item' + (isActive ? ' active' : '');
+            item.dataset.projectId = project.id;
+
+            const thumbnail = document.createElement('img');
+            thumbnail.className = 'project-thumbnail';
+            thumbnail.alt = '';
+            if (project.thumbnail) {
+                thumbnail.src = project.thumbnail;
+            }
+
+            const info = document.createElement('div');
+            info.className = 'project-info';
+
+            const name = document.createElement('div');
+            name.className = 'project-name';
+            name.textContent = project.name;
+
+            const modified = document.createElement('div');
+            modified.className = 'project-modified';
+            modified.textContent = `Edited ${dateFormat.format(new Date(project.modified))}`;
+
+            info.append(name, modified);
+
+            const actions = document.createElement('div');
+            actions.className = 'project-actions';
+
+            if (isActive) {
+                const current = document.createElement('span');
+                current.className = 'project-current';
+                current.textContent = 'Open';
+                actions.appendChild(current);
+            } else {
+                actions.appendChild(createProjectAction('Open', `Open ${project.name}`, () => handleOpenProject(project.id)));
+            }
+            actions.appendChild(createProjectAction('Rename', `Rename ${project.name}`, () => startProjectRename(item, project)));
+            actions.appendChild(createProjectAction('Duplicate', `Duplicate ${project.name}`, () => handleDuplicateProject(project.id)));
+            actions.appendChild(createProjectAction('Delete', `Delete ${project.name}`, () => handleDeleteProject(project)));
+
+            item.append(thumbnail, info, actions);
+            elements.projectList.appendChild(item);
+        });
+    }
+
+    function createProjectAction(label, ariaLabel, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-outline';
+        button.textContent = label;
+        button.setAttribute('aria-label', ariaLabel);
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Replace a project's name with an inline input; Enter or blur saves, Escape cancels
+     */
+    function startProjectRename(item, project) {
+        const name = item.querySelector('.project-name');
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'project-name-input';
+        input.value = project.name;
+        input.setAttribute('aria-label', 'Project name');
+
+        let done = false;
+        const finish = (save) => {
+            if (done) return;
+            done = true;
+            if (save) {
+                ProjectsModule.renameProject(project.id, input.value);
+            }
+            renderProjectList();
+            elements.projectList.querySelector(`[data-project-id="${project.id}"] .project-actions button`)?.focus();
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+
+        name.replaceWith(input);
+        input.focus();
+        input.select();
+    }
+
+    async function handleNewProject() {
+        await ProjectsModule.createProject();
+        await refreshFromBrandbook();
+        closeProjectsModal();
+        showToast('New project created', 'success');
+    }
+
+    async function handleOpenProject(id) {
+        try {
+            await ProjectsModule.openProject(id);
+        } catch (error) {
+            showToast('Could not open project: ' + error.message, 'error');
+            console.error(error);
+            return;
+        }
+        await refreshFromBrandbook();
+        closeProjectsModal();
+        showToast(`Opened ${ProjectsModule.getActiveProject().name}`, 'success');
+    }
+
+    async function handleDuplicateProject(id) {
+        if (await ProjectsModule.duplicateProject(id)) {
+            renderProjectList();
+            showToast('Project duplicated', 'success');
+        } else {
+            showToast('Could not duplicate project (storage may be full)', 'error');
+        }
+    }
+
+    async function handleDeleteProject(project) {
+        if (!window.confirm(`Delete "${project.name}"? This cannot be undone.`)) return;
+
+        if (await ProjectsModule.deleteProject(project.id)) {
+            await refreshFromBrandbook();
+        }
+        renderProjectList();
+        elements.btnNewProject.focus();
+        showToast('Project deleted', 'success');
+    }
+
     /**
      * Close share modal
      */
@@ -547,11 +1784,7 @@
         elements.brandName.value = brandbook.meta.name;
 
         // Colors
-        updateColorUI('primary', brandbook.colors.primary);
-        updateColorUI('secondary', brandbook.colors.secondary);
-        if (brandbook.colors.accent) {
-            updateColorUI('accent', brandbook.colors.accent);
-        }
+        renderColorList();
 
         // Typography
         await updateFontUI('primary', brandbook.typography.primary);
@@ -560,7 +1793,9 @@
         }
 
         // Logo
-        const logoUrl = BrandbookModule.getLogoUrl();
+        const logoUrl = BrandbookCore.getLogoVariantUrl(brandbook, 'primary');
+        elements.logoUsage.value = brandbook.logo.usage || '';
+        renderLogoVariants();
         if (logoUrl) {
             elements.logoPreview.src = logoUrl;
             elements.logoDropzone.style.display = 'none';
@@ -568,16 +1803,10 @@
         } else {
             elements.logoDropzone.style.display = 'block';
             elements.logoPreviewContainer.style.display = 'none';
+            hideLogoPalette();
         }
     }
 
-    function updateColorUI(type, color) {
-        const { colorInput, hexInput, nameInput } = getColorElements(type);
-        colorInput.value = color.hex;
-        hexInput.value = color.hex.toUpperCase();
-        nameInput.value = color.name || '';
-    }
-
     /**
      * Update font UI elements
      */
@@ -614,6 +1843,29 @@
         }, 3000);
     }
 
+    /**
+     * Show or hide the persistent storage warning banner
+     * @param {string|null} message - Warning text, or null to hide
+     */
+    function showStorageWarning(message) {
+        elements.storageWarning.textContent = message || '';
+        elements.storageWarning.hidden = !message;
+    }
+
+    /**
+     * Check whether an element accepts typed text
+     */
+    function isEditableTarget(target) {
+        if (!(target instanceof Element)) return false;
+        if (target.isContentEditable || target.tagName === 'TEXTAREA') return true;
+        return target.tagName === 'INPUT' && !['button', 'checkbox', 'color', 'file', 'radio', 'range', 'reset', 'submit'].includes(target.type);
+    }
+
+    function isModalOpen() {
+        return [elements.shareModal, elements.projectsModal, elements.paletteImportModal]
+            .some(modal => modal.style.display !== 'none');
+    }
+
     /**
      * Capitalize first letter
      */
@@ -5,60 +5,87 @@
 
 const BrandbookModule = (function() {
     const STORAGE_KEY = 'brandbook-visualizer-data';
+    const COLOR_ROLES = BrandbookCore.COLOR_ROLES;
+
+    // Model helpers shared with the Node CLI
+    const { createEmptyBrandbook, generateColorId, refreshColorScale } = BrandbookCore;
+
+    // Undo/redo: snapshots of earlier states, bounded to HISTORY_LIMIT.
+    // Edits with the same group key within HISTORY_GROUP_MS (e.g. keystrokes) share one step.
+    const HISTORY_LIMIT = 100;
+    const HISTORY_GROUP_MS = 1000;
 
     // Current brandbook data
     let currentBrandbook = createEmptyBrandbook();
 
+    const history = { past: [], future: [], lastGroup: null, lastTime: 0 };
+
+    // Nesting depth of transaction(); edits inside one are recorded as a single step
+    let transactionDepth = 0;
+
+    // Change events. Content events (color, typography, logo, meta, import) are also
+    // delivered to 'change' listeners; 'history' and 'save' are not.
+    const CONTENT_EVENTS = ['color', 'typography', 'logo', 'meta', 'import'];
+    const EVENT_TYPES = [...CONTENT_EVENTS, 'change', 'history', 'save'];
+    const listeners = new Map(EVENT_TYPES.map(type => [type, new Set()]));
+
+    // Storage key of the current brandbook; ProjectsModule points this at the open project
+    let storageKey = STORAGE_KEY;
+
+    // Writes are serialized; edits made while a write is queued fold into that write
+    let saveQueue = Promise.resolve();
+    let queuedSave = null;
+
     /**
-     * Create an empty brandbook structure
-     * @returns {Object} Empty brandbook object
-     */
-    function createEmptyBrandbook() {
-        return {
-            version: '1.0',
-            meta: {
-                name: 'My Brand',
-                created: new Date().toISOString(),
-                generator: 'brandbook-visualizer'
-            },
-            colors: {
-                primary: { hex: '#FF5733', name: 'Sunset Orange' },
-                secondary: { hex: '#2C3E50', name: 'Midnight Blue' },
-                accent: { hex: '#27AE60', name: 'Emerald', optional: true }
-            },
-            typography: {
-                primary: {
-                    family: 'Montserrat',
-                    source: 'google',
-                    weights: [400, 700],
-                    usage: 'Headings'
-                },
-                secondary: {
-                    family: 'Open Sans',
-                    source: 'google',
-                    weights: [400, 600],
-                    usage: 'Body text',
-                    optional: true
-                }
-            },
-            logo: {
-                svg: null,
-                png: null,
-                usage: 'Primary logo'
-            }
-        };
+     * Listen for brandbook events.
+     * Listeners receive { type, brandbook, ...detail }:
+     * - color: { action: 'update'|'role'|'cmyk'|'dark'|'scale'|'add'|'remove'|'move', id, step? }
+     * - typography: { fontType }
+     * - logo: { action: 'set'|'clear'|'usage', variant } (variant is 'primary' or a variant id)
+     * - meta: { field }
+     * - import: { source: 'file'|'url'|'palette'|'project'|'storage'|'undo'|'redo'|'reset' } (whole brandbook replaced; for 'palette' the palette and fonts)
+     * - change: any of the above
+     * - history: { canUndo, canRedo }
+     * - save: { key } after the brandbook was written to storage
+     * @param {string} type - Event type
+     * @param {Function} listener - Event handler
+     * @returns {Function} Call to unsubscribe
+     */
+    function subscribe(type, listener) {
+        if (!listeners.has(type)) {
+            throw new Error(`Unknown brandbook event: ${type}`);
+        }
+        listeners.get(type).add(listener);
+        return () => unsubscribe(type, listener);
     }
 
-    function mergeWithDefaults(data) {
-        const defaults = createEmptyBrandbook();
-        return {
-            ...defaults,
-            ...data,
-            meta: { ...defaults.meta, ...data.meta },
-            colors: { ...defaults.colors, ...data.colors },
-            typography: { ...defaults.typography, ...data.typography },
-            logo: { ...defaults.logo, ...data.logo }
-        };
+    /**
+     * Stop listening for brandbook events
+     * @param {string} type - Event type
+     * @param {Function} listener - Handler passed to subscribe()
+     */
+    function unsubscribe(type, listener) {
+        if (listeners.has(type)) {
+            listeners.get(type).delete(listener);
+        }
+    }
+
+    /**
+     * Notify listeners; a failing listener does not stop the others
+     */
+    function emit(type, detail = {}) {
+        const event = { type, brandbook: currentBrandbook, ...detail };
+        const targets = CONTENT_EVENTS.includes(type)
+            ? [...listeners.get(type), ...listeners.get('change')]
+            : [...listeners.get(type)];
+
+        targets.forEach(listener => {
+            try {
+                listener(event);
+            } catch (e) {
+                console.error(`Brandbook ${type} listener failed:`, e);
+            }
+        });
     }
 
     /**
@@ -74,24 +101,211 @@ const BrandbookModule = (function() {
      * @param {string} name - Brand name
      */
     function setBrandName(name) {
+        recordHistory('name');
         currentBrandbook.meta.name = name;
-        saveToLocalStorage();
+        emit('meta', { field: 'name' });
+    }
+
+    /**
+     * Get the available palette roles
+     * @returns {string[]} Role names
+     */
+    function getColorRoles() {
+        return [...COLOR_ROLES];
+    }
+
+    /**
+     * Find a palette entry by id
+     * @param {string} id - Color id
+     * @returns {Object|null} Palette entry or null
+     */
+    function getColor(id) {
+        return currentBrandbook.colors.find(color => color.id === id) || null;
+    }
+
+    /**
+     * Find the first palette entry with the given role
+     * @param {string} role - Color role
+     * @param {Object} brandbook - Brandbook to search (defaults to current)
+     * @returns {Object|null} Palette entry or null
+     */
+    function getColorByRole(role, brandbook = currentBrandbook) {
+        return BrandbookCore.getColorByRole(role, brandbook);
+    }
+
+    /**
+     * Resolve the primary, secondary and accent hex values used by mockups and the PDF.
+     * Falls back to palette order when a role is not assigned.
+     * @param {Object} brandbook - Brandbook data (defaults to current)
+     * @returns {{primary: string, secondary: string, accent: string}} Hex values
+     */
+    function getRoleColors(brandbook = currentBrandbook) {
+        return BrandbookCore.getRoleColors(brandbook);
     }
 
     /**
      * Update a color in the palette
-     * @param {string} type - 'primary', 'secondary', or 'accent'
+     * @param {string} id - Color id
      * @param {string} hex - Hex color value
      * @param {string} name - Color name
      */
-    function setColor(type, hex, name) {
-        if (currentBrandbook.colors[type]) {
-            currentBrandbook.colors[type].hex = hex;
-            currentBrandbook.colors[type].name = name;
-            saveToLocalStorage();
+    function setColor(id, hex, name) {
+        const color = getColor(id);
+        if (color && (color.hex !== hex || color.name !== name)) {
+            recordHistory(`color:${id}`);
+            color.hex = hex;
+            color.name = name;
+            refreshColorScale(color);
+            emit('color', { action: 'update', id });
+        }
+    }
+
+    /**
+     * Pin manual CMYK values for a color, or pass null to use the computed conversion
+     * @param {string} id - Color id
+     * @param {{c: number, m: number, y: number, k: number}|null} cmyk - CMYK percentages
+     */
+    function setColorCmyk(id, cmyk) {
+        const color = getColor(id);
+        if (!color) return;
+
+        if (cmyk === null) {
+            if (!color.cmyk) return;
+            recordHistory();
+            delete color.cmyk;
+        } else if (ColorsModule.isValidCmyk(cmyk)) {
+            if (color.cmyk && ['c', 'm', 'y', 'k'].every(channel => color.cmyk[channel] === cmyk[channel])) return;
+            recordHistory(`cmyk:${id}`);
+            color.cmyk = { c: cmyk.c, m: cmyk.m, y: cmyk.y, k: cmyk.k };
+        } else {
+            return;
+        }
+        emit('color', { action: 'cmyk', id });
+    }
+
+    /**
+     * Set the dark mode variant of a color, or pass null to remove it
+     * @param {string} id - Color id
+     * @param {string|null} hex - Hex color value
+     */
+    function setColorDark(id, hex) {
+        const color = getColor(id);
+        if (!color) return;
+
+        if (hex === null) {
+            if (!color.dark) return;
+            recordHistory();
+            delete color.dark;
+        } else if (ColorsModule.isValidHex(hex)) {
+            if (color.dark === hex.toUpperCase()) return;
+            recordHistory(`dark:${id}`);
+            color.dark = hex.toUpperCase();
+        } else {
+            return;
+        }
+        emit('color', { action: 'dark', id });
+    }
+
+    /**
+     * Override a step of a color's tint/shade scale (the step becomes locked)
+     * @param {string} id - Color id
+     * @param {number} step - Scale step (50-900)
+     * @param {string} hex - Hex color value
+     */
+    function setScaleStep(id, step, hex) {
+        const color = getColor(id);
+        if (color && color.scale[step] && ColorsModule.isValidHex(hex)) {
+            recordHistory(`scale:${id}:${step}`);
+            color.scale[step] = { hex: hex.toUpperCase(), locked: true };
+            emit('color', { action: 'scale', id, step });
+        }
+    }
+
+    /**
+     * Lock or unlock a scale step; unlocking restores the generated value
+     * @param {string} id - Color id
+     * @param {number} step - Scale step (50-900)
+     * @param {boolean} locked - Lock state
+     */
+    function setScaleStepLocked(id, step, locked) {
+        const color = getColor(id);
+        if (color && color.scale[step]) {
+            recordHistory();
+            color.scale[step].locked = locked;
+            refreshColorScale(color);
+            emit('color', { action: 'scale', id, step });
         }
     }
 
+    /**
+     * Change the role of a palette entry
+     * @param {string} id - Color id
+     * @param {string} role - One of the palette roles
+     */
+    function setColorRole(id, role) {
+        const color = getColor(id);
+        if (color && COLOR_ROLES.includes(role)) {
+            recordHistory();
+            color.role = role;
+            emit('color', { action: 'role', id });
+        }
+    }
+
+    /**
+     * Append a new entry to the palette
+     * @param {Object} options - Initial values
+     * @param {string} options.role - Color role
+     * @param {string} options.hex - Hex color value
+     * @param {string} options.name - Color name
+     * @returns {Object} The new palette entry
+     */
+    function addColor({ role = 'neutral', hex = '#808080', name = '' } = {}) {
+        recordHistory();
+        const color = refreshColorScale({ id: generateColorId(), role, hex, name });
+        currentBrandbook.colors.push(color);
+        emit('color', { action: 'add', id: color.id });
+        return color;
+    }
+
+    /**
+     * Remove an entry from the palette (the last remaining color is kept)
+     * @param {string} id - Color id
+     * @returns {boolean} True if the color was removed
+     */
+    function removeColor(id) {
+        const colors = currentBrandbook.colors;
+        const index = colors.findIndex(color => color.id === id);
+        if (index === -1 || colors.length <= 1) {
+            return false;
+        }
+
+        recordHistory();
+        colors.splice(index, 1);
+        emit('color', { action: 'remove', id });
+        return true;
+    }
+
+    /**
+     * Move a palette entry by an offset
+     * @param {string} id - Color id
+     * @param {number} offset - -1 to move up, 1 to move down
+     * @returns {boolean} True if the color was moved
+     */
+    function moveColor(id, offset) {
+        const colors = currentBrandbook.colors;
+        const index = colors.findIndex(color => color.id === id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= colors.length) {
+            return false;
+        }
+
+        recordHistory();
+        const [color] = colors.splice(index, 1);
+        colors.splice(target, 0, color);
+        emit('color', { action: 'move', id });
+        return true;
+    }
+
     /**
      * Update typography settings
      * @param {string} type - 'primary' or 'secondary'
@@ -100,60 +314,116 @@ const BrandbookModule = (function() {
      */
     function setTypography(type, family, usage) {
         if (currentBrandbook.typography[type]) {
+            recordHistory(`typography:${type}`);
             currentBrandbook.typography[type].family = family;
             currentBrandbook.typography[type].usage = usage;
-            saveToLocalStorage();
+            emit('typography', { fontType: type });
         }
     }
 
     /**
-     * Set logo from file
-     * @param {File} file - Logo file (SVG or PNG)
-     * @returns {Promise<string>} Base64 data URL
+     * Get the editable slot of the primary logo or a named variant, creating the variant entry
+     * @param {string} variant - Variant id, or 'primary'
+     * @returns {Object} Slot with svg, png and usage
      */
-    function setLogo(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
+    function getLogoSlot(variant) {
+        if (variant === 'primary') return currentBrandbook.logo;
+        const variants = currentBrandbook.logo.variants;
+        if (!variants[variant]) {
+            variants[variant] = { svg: null, png: null, usage: '' };
+        }
+        return variants[variant];
+    }
 
-            reader.onload = (e) => {
-                const dataUrl = e.target.result;
-                const isSvg = file.type === 'image/svg+xml';
-
-                if (isSvg) {
-                    currentBrandbook.logo.svg = dataUrl;
-                    currentBrandbook.logo.png = null;
-                } else {
-                    currentBrandbook.logo.png = dataUrl;
-                    currentBrandbook.logo.svg = null;
-                }
+    /**
+     * Set logo from file. SVGs are sanitized before they are stored (see SvgModule.sanitizeSvg).
+     * @param {File} file - Logo file (SVG or PNG)
+     * @param {string} variant - Variant id (see BrandbookCore.LOGO_VARIANTS), or 'primary'
+     * @returns {Promise<{dataUrl: string, sanitized: Object|null}>} Stored data URL and, for SVGs,
+     *   the sanitize result with what was removed and the size saved
+     * @throws {Error} If the file cannot be read, or is a malformed or unsafe SVG
+     */
+    async function setLogo(file, variant = 'primary') {
+        const isSvg = file.type === 'image/svg+xml';
+        let sanitized = null;
+        let dataUrl;
+        if (isSvg) {
+            sanitized = SvgModule.sanitizeSvg(await readLogoFile(file, 'text'));
+            dataUrl = SvgModule.toDataUrl(sanitized.svg);
+        } else {
+            dataUrl = await readLogoFile(file, 'dataUrl');
+        }
 
-                saveToLocalStorage();
-                resolve(dataUrl);
-            };
+        recordHistory();
+        const slot = getLogoSlot(variant);
+        if (isSvg) {
+            slot.svg = dataUrl;
+            slot.png = null;
+        } else {
+            slot.png = dataUrl;
+            slot.svg = null;
+        }
 
-            reader.onerror = () => {
-                reject(new Error('Failed to read logo file'));
-            };
+        emit('logo', { action: 'set', variant });
+        return { dataUrl, sanitized };
+    }
 
-            reader.readAsDataURL(file);
+    /**
+     * Read a logo file as text or as a data URL
+     */
+    function readLogoFile(file, format) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error('Failed to read logo file'));
+            if (format === 'text') {
+                reader.readAsText(file);
+            } else {
+                reader.readAsDataURL(file);
+            }
         });
     }
 
     /**
      * Clear the logo
+     * @param {string} variant - Variant id, or 'primary'
      */
-    function clearLogo() {
-        currentBrandbook.logo.svg = null;
-        currentBrandbook.logo.png = null;
-        saveToLocalStorage();
+    function clearLogo(variant = 'primary') {
+        recordHistory();
+        if (variant === 'primary') {
+            currentBrandbook.logo.svg = null;
+            currentBrandbook.logo.png = null;
+        } else if (currentBrandbook.logo.variants[variant]) {
+            // A variant keeps its usage note so a replacement upload does not lose it
+            const slot = currentBrandbook.logo.variants[variant];
+            if (slot.usage) {
+                slot.svg = null;
+                slot.png = null;
+            } else {
+                delete currentBrandbook.logo.variants[variant];
+            }
+        }
+        emit('logo', { action: 'clear', variant });
+    }
+
+    /**
+     * Update the usage note of the primary logo or a variant
+     * @param {string} usage - Usage note
+     * @param {string} variant - Variant id, or 'primary'
+     */
+    function setLogoUsage(usage, variant = 'primary') {
+        recordHistory(`logo-usage:${variant}`);
+        getLogoSlot(variant).usage = usage;
+        emit('logo', { action: 'usage', variant });
     }
 
     /**
      * Get the logo data URL (SVG or PNG)
+     * @param {string|string[]} preferred - Variants to try before the primary logo (see BrandbookCore.getLogoUrl)
      * @returns {string|null} Logo data URL or null
      */
-    function getLogoUrl() {
-        return currentBrandbook.logo.svg || currentBrandbook.logo.png || null;
+    function getLogoUrl(preferred) {
+        return BrandbookCore.getLogoUrl(currentBrandbook, preferred);
     }
 
     /**
@@ -162,7 +432,7 @@ const BrandbookModule = (function() {
      */
     function exportToJson() {
         currentBrandbook.meta.created = new Date().toISOString();
-        return JSON.stringify(currentBrandbook, null, 2);
+        return BrandbookCore.toJson(currentBrandbook);
     }
 
     /**
@@ -193,17 +463,13 @@ const BrandbookModule = (function() {
 
             reader.onload = (e) => {
                 try {
-                    const data = JSON.parse(e.target.result);
-
-                    // Validate structure
-                    if (!data.version || !data.meta || !data.colors || !data.typography) {
-                        throw new Error('Invalid brandbook format');
-                    }
-
-                    currentBrandbook = mergeWithDefaults(data);
+                    const imported = BrandbookCore.parseJson(e.target.result);
+                    recordHistory();
+                    currentBrandbook = imported;
+                    emit('import', { source: 'file' });
                     resolve(currentBrandbook);
                 } catch (error) {
-                    reject(new Error('Failed to parse brandbook file: ' + error.message));
+                    reject(error);
                 }
             };
 
@@ -215,84 +481,235 @@ const BrandbookModule = (function() {
         });
     }
 
+    /**
+     * Replace the palette (and optionally fonts) with colors mapped from a palette file.
+     * The logo, brand name and other settings are kept.
+     * @param {Object} palette - Mapped palette
+     * @param {Array<{role: string, hex: string, name: string}>} palette.colors - New palette entries (at least one)
+     * @param {Object<string, string>} palette.fonts - Font family by typography type (primary, secondary)
+     */
+    function importPalette({ colors, fonts = {} }) {
+        recordHistory();
+        currentBrandbook.colors = colors.map(({ role, hex, name = '' }) =>
+            refreshColorScale({ id: generateColorId(), role, hex: hex.toUpperCase(), name }));
+        Object.entries(fonts).forEach(([type, family]) => {
+            if (family && currentBrandbook.typography[type]) {
+                currentBrandbook.typography[type].family = family;
+            }
+        });
+        emit('import', { source: 'palette' });
+    }
+
     /**
      * Reset brandbook to defaults
      */
     function reset() {
+        recordHistory();
         currentBrandbook = createEmptyBrandbook();
-        saveToLocalStorage();
+        emit('import', { source: 'reset' });
     }
 
     /**
-     * Save current brandbook to localStorage
+     * Deep-copy brandbook data. Strings (such as logo data URLs) are shared, not duplicated.
      */
-    function saveToLocalStorage() {
+    function cloneData(value) {
+        if (Array.isArray(value)) return value.map(cloneData);
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, cloneData(item)]));
+        }
+        return value;
+    }
+
+    /**
+     * Run several edits as one undo step
+     * @param {Function} edits - Calls setColor, addColor and other editing functions
+     */
+    function transaction(edits) {
+        if (transactionDepth === 0) {
+            recordHistory();
+        }
+        transactionDepth++;
         try {
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(currentBrandbook));
-        } catch (e) {
-            console.warn('Could not save to localStorage:', e);
+            edits();
+        } finally {
+            transactionDepth--;
         }
     }
 
     /**
-     * Load brandbook from localStorage
-     * @returns {boolean} True if data was loaded
+     * Snapshot the current state before an edit
+     * @param {string} group - Edits with the same group key in quick succession become one undo step
      */
-    function loadFromLocalStorage() {
+    function recordHistory(group = null) {
+        if (transactionDepth > 0) return;
+
+        const now = Date.now();
+        const grouped = group !== null && group === history.lastGroup && now - history.lastTime < HISTORY_GROUP_MS;
+
+        history.lastGroup = group;
+        history.lastTime = now;
+        if (grouped) return;
+
+        history.past.push(cloneData(currentBrandbook));
+        if (history.past.length > HISTORY_LIMIT) {
+            history.past.shift();
+        }
+        history.future = [];
+        notifyHistoryChange();
+    }
+
+    /**
+     * Restore the previous state
+     * @returns {boolean} True if there was a step to undo
+     */
+    function undo() {
+        if (history.past.length === 0) return false;
+        history.future.push(currentBrandbook);
+        currentBrandbook = history.past.pop();
+        history.lastGroup = null;
+        emit('import', { source: 'undo' });
+        notifyHistoryChange();
+        return true;
+    }
+
+    /**
+     * Re-apply the last undone state
+     * @returns {boolean} True if there was a step to redo
+     */
+    function redo() {
+        if (history.future.length === 0) return false;
+        history.past.push(currentBrandbook);
+        currentBrandbook = history.future.pop();
+        history.lastGroup = null;
+        emit('import', { source: 'redo' });
+        notifyHistoryChange();
+        return true;
+    }
+
+    function clearHistory() {
+        history.past = [];
+        history.future = [];
+        history.lastGroup = null;
+        notifyHistoryChange();
+    }
+
+    function canUndo() {
+        return history.past.length > 0;
+    }
+
+    function canRedo() {
+        return history.future.length > 0;
+    }
+
+    function notifyHistoryChange() {
+        emit('history', { canUndo: canUndo(), canRedo: canRedo() });
+    }
+
+    /**
+     * Set the storage key the brandbook is saved to and loaded from
+     * @param {string} key - Storage key
+     */
+    function setStorageKey(key) {
+        storageKey = key;
+    }
+
+    /**
+     * Replace the current brandbook (e.g. when switching projects); clears undo history.
+     * Logos are cleaned rather than rejected, since the data was saved by the app.
+     * @param {Object} data - Brandbook data of any supported format version
+     * @returns {Object} The loaded brandbook
+     * @throws {Error} If the data fails schema validation
+     */
+    function loadBrandbook(data) {
+        currentBrandbook = BrandbookCore.parse(data, { unsafeLogos: 'strip' });
+        clearHistory();
+        emit('import', { source: 'project' });
+        return currentBrandbook;
+    }
+
+    /**
+     * Save current brandbook through StorageModule.
+     * Returns immediately; the promise resolves once the write has finished.
+     * @returns {Promise<void>}
+     */
+    function saveToStorage() {
+        if (queuedSave && queuedSave.key === storageKey) {
+            queuedSave.data = currentBrandbook;
+            return saveQueue;
+        }
+
+        const save = { key: storageKey, data: currentBrandbook };
+        queuedSave = save;
+        saveQueue = saveQueue.then(async () => {
+            if (queuedSave === save) {
+                queuedSave = null;
+            }
+            try {
+                await StorageModule.set(save.key, save.data);
+            } catch (e) {
+                console.warn('Could not save brandbook:', e);
+                return;
+            }
+            emit('save', { key: save.key, brandbook: save.data });
+        });
+        return saveQueue;
+    }
+
+    // Persist every edit; data that was just read from storage is not written back
+    subscribe('change', (event) => {
+        if (event.type === 'import' && (event.source === 'project' || event.source === 'storage')) return;
+        saveToStorage();
+    });
+
+    /**
+     * Load brandbook from storage
+     * @returns {Promise<boolean>} True if data was loaded
+     */
+    async function loadFromStorage() {
         try {
-            const saved = localStorage.getItem(STORAGE_KEY);
+            const saved = await StorageModule.get(storageKey);
             if (saved) {
-                const data = JSON.parse(saved);
-                currentBrandbook = mergeWithDefaults(data);
+                currentBrandbook = BrandbookCore.parse(saved, { unsafeLogos: 'strip' });
+                emit('import', { source: 'storage' });
                 return true;
             }
         } catch (e) {
-            console.warn('Could not load from localStorage:', e);
+            console.warn('Could not load saved brandbook:', e);
         }
         return false;
     }
 
     /**
-     * Clear localStorage data
+     * Clear saved data
+     * @returns {Promise<void>}
      */
-    function clearLocalStorage() {
+    async function clearStorage() {
         try {
-            localStorage.removeItem(STORAGE_KEY);
+            await StorageModule.remove(storageKey);
         } catch (e) {
-            console.warn('Could not clear localStorage:', e);
+            console.warn('Could not clear saved brandbook:', e);
         }
     }
 
     /**
-     * Check if there's saved data in localStorage
-     * @returns {boolean}
+     * Check if there's saved data
+     * @returns {Promise<boolean>}
      */
-    function hasSavedData() {
+    async function hasSavedData() {
         try {
-            return localStorage.getItem(STORAGE_KEY) !== null;
+            return (await StorageModule.get(storageKey)) !== null;
         } catch (e) {
             return false;
         }
     }
 
     /**
-     * Get color contrast (light or dark) for text on given background
+     * Get the text color (black or white) with the higher WCAG contrast on a background
      * @param {string} hexColor - Background color
-     * @returns {string} 'light' or 'dark'
+     * @returns {string} '#000000' or '#FFFFFF'
      */
     function getContrastColor(hexColor) {
-        // Remove # if present
-        const hex = hexColor.replace('#', '');
-
-        // Convert to RGB
-        const r = parseInt(hex.substr(0, 2), 16);
-        const g = parseInt(hex.substr(2, 2), 16);
-        const b = parseInt(hex.substr(4, 2), 16);
-
-        // Calculate luminance
-        const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
-
-        return luminance > 0.5 ? '#000000' : '#FFFFFF';
+        return BrandbookCore.getContrastColor(hexColor);
     }
 
     /**
@@ -300,15 +717,7 @@ const BrandbookModule = (function() {
      * @returns {Object} Brandbook data without logo
      */
     function getShareableData() {
-        return {
-            version: currentBrandbook.version,
-            meta: {
-                name: currentBrandbook.meta.name,
-                generator: currentBrandbook.meta.generator
-            },
-            colors: currentBrandbook.colors,
-            typography: currentBrandbook.typography
-        };
+        return BrandbookCore.getShareableData(currentBrandbook);
     }
 
     /**
@@ -317,13 +726,7 @@ const BrandbookModule = (function() {
      * @returns {string} Full URL with encoded brandbook data
      */
     function generateShareUrl(baseUrl) {
-        const data = getShareableData();
-        const jsonString = JSON.stringify(data);
-        // Use base64 encoding for URL safety
-        const encoded = btoa(unescape(encodeURIComponent(jsonString)));
-        // Remove trailing = padding to save space
-        const compactEncoded = encoded.replace(/=+$/, '');
-        return `${baseUrl}?data=${compactEncoded}`;
+        return BrandbookCore.generateShareUrl(currentBrandbook, baseUrl);
     }
 
     /**
@@ -333,17 +736,10 @@ const BrandbookModule = (function() {
      */
     function importFromUrlData(encodedData) {
         try {
-            // Add back padding if needed
-            const padded = encodedData + '='.repeat((4 - encodedData.length % 4) % 4);
-            const jsonString = decodeURIComponent(escape(atob(padded)));
-            const data = JSON.parse(jsonString);
-
-            if (!data.version || !data.meta || !data.colors || !data.typography) {
-                throw new Error('Invalid brandbook format');
-            }
-
-            currentBrandbook = mergeWithDefaults({ ...data, logo: { svg: null, png: null, usage: 'Primary logo' } });
-            saveToLocalStorage();
+            const imported = BrandbookCore.decodeShareData(encodedData);
+            recordHistory();
+            currentBrandbook = imported;
+            emit('import', { source: 'url' });
             return currentBrandbook;
         } catch (e) {
             console.error('Failed to import from URL data:', e);
@@ -360,23 +756,48 @@ const BrandbookModule = (function() {
     }
 
     return {
+        STORAGE_KEY,
         createEmptyBrandbook,
         getBrandbook,
         setBrandName,
+        getColorRoles,
+        getColor,
+        getColorByRole,
+        getRoleColors,
         setColor,
+        setColorRole,
+        setColorCmyk,
+        setColorDark,
+        setScaleStep,
+        setScaleStepLocked,
+        addColor,
+        removeColor,
+        moveColor,
         setTypography,
         setLogo,
         clearLogo,
+        setLogoUsage,
         getLogoUrl,
         exportToJson,
         downloadBrandbook,
         importFromFile,
+        importPalette,
         reset,
+        undo,
+        redo,
+        transaction,
+        canUndo,
+        canRedo,
+        clearHistory,
+        subscribe,
+        unsubscribe,
+        loadBrandbook,
         getContrastColor,
-        saveToLocalStorage,
-        loadFromLocalStorage,
-        clearLocalStorage,
+        saveToStorage,
+        loadFromStorage,
+        clearStorage,
         hasSavedData,
+        setStorageKey,
         getShareableData,
         generateShareUrl,
         importFromUrlData,
@@ -0,0 +1,315 @@
+/**
+ * Brand Kit Module
+ * Bundles the brandbook, PDF, logo files, app icons, mockup renders, palette swatches and a README
+ * into one ZIP archive, built entirely in the browser
+ */
+
+const BrandKitModule = (function() {
+    // Widths of the rasterized logo (PNG logos are never upscaled)
+    const LOGO_WIDTHS = [256, 512, 1024, 2048];
+
+    // Swatch sheet layout in CSS pixels, drawn at 2x
+    const SHEET_SCALE = 2;
+    const SHEET_WIDTH = 1600;
+    const SHEET_PADDING = 80;
+    const SHEET_COLUMNS = 4;
+    const CARD_GAP = 40;
+    const CARD_SWATCH_HEIGHT = 220;
+    const CARD_SCALE_HEIGHT = 36;
+    const CARD_TEXT_HEIGHT = 150;
+
+    /**
+     * Build the brand kit archive
+     * @param {Object} options
+     * @param {Function} options.onProgress - Called with a short status message before each step
+     * @returns {Promise<{blob: Blob, fileName: string}>} ZIP file and its download name
+     */
+    async function createBrandKit({ onProgress = () => {} } = {}) {
+        const brandbook = BrandbookModule.getBrandbook();
+        const base = ExportersModule.getFileBaseName(brandbook);
+        const files = [];
+
+        files.push({ name: `${base}.brandbook`, content: BrandbookModule.exportToJson() });
+
+        onProgress('Generating PDF...');
+        files.push({ name: PdfModule.getPdfFileName(brandbook), content: await PdfModule.createPdfBlob() });
+
+        onProgress('Rendering logo...');
+        const logoFiles = await getLogoFiles(brandbook, base);
+        files.push(...logoFiles);
+
+        if (logoFiles.length > 0) {
+            const icons = await IconsModule.createIconFiles(brandbook);
+            files.push(...icons.map(file => ({ ...file, name: `icons/${file.name}` })));
+        }
+
+        onProgress('Rendering mockups...');
+        const mockups = await getMockupFiles();
+        files.push(...mockups);
+
+        onProgress('Drawing swatches...');
+        files.push(
+            { name: `palette/${base}-swatches.png`, content: await drawSwatchSheet(brandbook) },
+            { name: `palette/${base}.ase`, content: ExportersModule.toAse(brandbook) },
+            { name: `palette/${base}.gpl`, content: ExportersModule.toGpl(brandbook) }
+        );
+
+        const logoSvg = logoFiles.find(file => file.name === `logo/${base}-logo.svg`);
+        const logoPng = logoFiles.find(file => file.name.startsWith(`logo/${base}-logo`) && file.name.endsWith('.png'));
+        files.push(
+            {
+                name: `developer/${base}.tokens.json`,
+                content: ExportersModule.toDesignTokensJson(brandbook, {
+                    // Point at the files in this archive instead of embedding data URLs
+                    logoFiles: { svg: logoSvg && `../${logoSvg.name}`, png: logoPng && `../${logoPng.name}` }
+                })
+            },
+            { name: `developer/${base}.css`, content: ExportersModule.toCss(brandbook) }
+        );
+
+        files.push({ name: 'README.md', content: toReadme(brandbook, files) });
+
+        onProgress('Compressing...');
+        const blob = await ExportersModule.createZip(files.map(file => ({ ...file, name: `${base}-brand-kit/${file.name}` })));
+        return { blob, fileName: `${base}-brand-kit.zip` };
+    }
+
+    /**
+     * Build the kit and save it
+     * @param {Object} options - See createBrandKit
+     */
+    async function downloadBrandKit(options) {
+        const { blob, fileName } = await createBrandKit(options);
+        ExportersModule.download(blob, fileName, 'application/zip');
+    }
+
+    /**
+     * Logo as uploaded plus PNG renders at several widths, and each logo variant as uploaded
+     * @returns {Promise<Array<{name: string, content: Blob}>>} Files under logo/ (empty without a logo)
+     */
+    async function getLogoFiles(brandbook, base) {
+        const url = BrandbookCore.getLogoUrl(brandbook);
+        if (!url) return [];
+
+        const files = [];
+        const image = await loadImage(url);
+        const isSvg = url.startsWith('data:image/svg');
+        files.push({ name: `logo/${base}-logo.${isSvg ? 'svg' : 'png'}`, content: await dataUrlToBlob(url) });
+
+        const widths = isSvg ? LOGO_WIDTHS : LOGO_WIDTHS.filter(width => width < image.naturalWidth);
+        for (const width of widths) {
+            files.push({ name: `logo/${base}-logo-${width}.png`, content: await rasterize(image, width) });
+        }
+
+        for (const variant of BrandbookCore.LOGO_VARIANTS) {
+            const variantUrl = BrandbookCore.getLogoVariantUrl(brandbook, variant.id);
+            if (!variantUrl) continue;
+            const extension = variantUrl.startsWith('data:image/svg') ? 'svg' : 'png';
+            files.push({ name: `logo/variants/${base}-logo-${variant.id}.${extension}`, content: await dataUrlToBlob(variantUrl) });
+        }
+        return files;
+    }
+
+    /**
+     * PNG renders of every mockup, numbered in PDF order
+     * @returns {Promise<Array<{name: string, content: Blob}>>} Files under mockups/
+     */
+    async function getMockupFiles() {
+        const captures = await PdfModule.captureMockupImages();
+        return Promise.all(captures.map(async (capture, index) => ({
+            name: `mockups/${String(index + 1).padStart(2, '0')}-${ExportersModule.slugify(capture.title, 'mockup')}.png`,
+            content: await dataUrlToBlob(capture.imgData)
+        })));
+    }
+
+    /**
+     * Draw an image at a given width, keeping its aspect ratio
+     * @returns {Promise<Blob>} PNG
+     */
+    function rasterize(image, width) {
+        const ratio = image.naturalWidth > 0 && image.naturalHeight > 0 ? image.naturalHeight / image.naturalWidth : 1;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = Math.max(1, Math.round(width * ratio));
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+        return canvasToBlob(canvas);
+    }
+
+    /**
+     * Printable overview of the palette: one card per color with its values and tint/shade scale
+     * @returns {Promise<Blob>} PNG
+     */
+    async function drawSwatchSheet(brandbook) {
+        const headingFont = `"${brandbook.typography.primary.family}", sans-serif`;
+        const bodyFont = `"${(brandbook.typography.secondary || brandbook.typography.primary).family}", sans-serif`;
+        const cardWidth = (SHEET_WIDTH - SHEET_PADDING * 2 - CARD_GAP * (SHEET_COLUMNS - 1)) / SHEET_COLUMNS;
+        const cardHeight = CARD_SWATCH_HEIGHT + CARD_SCALE_HEIGHT + CARD_TEXT_HEIGHT;
+        const rows = Math.max(1, Math.ceil(brandbook.colors.length / SHEET_COLUMNS));
+        const headerHeight = 140;
+        const height = SHEET_PADDING * 2 + headerHeight + rows * cardHeight + (rows - 1) * CARD_GAP;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = SHEET_WIDTH * SHEET_SCALE;
+        canvas.height = height * SHEET_SCALE;
+        const ctx = canvas.getContext('2d');
+        ctx.scale(SHEET_SCALE, SHEET_SCALE);
+
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, SHEET_WIDTH, height);
+
+        ctx.fillStyle = '#111111';
+        ctx.textBaseline = 'top';
+        ctx.font = `700 48px ${headingFont}`;
+        ctx.fillText(brandbook.meta.name, SHEET_PADDING, SHEET_PADDING);
+        ctx.fillStyle = '#666666';
+        ctx.font = `400 20px ${bodyFont}`;
+        ctx.fillText('Color Palette', SHEET_PADDING, SHEET_PADDING + 64);
+
+        brandbook.colors.forEach((color, index) => {
+            const x = SHEET_PADDING + (index % SHEET_COLUMNS) * (cardWidth + CARD_GAP);
+            const y = SHEET_PADDING + headerHeight + Math.floor(index / SHEET_COLUMNS) * (cardHeight + CARD_GAP);
+            drawSwatchCard(ctx, color, x, y, cardWidth, { headingFont, bodyFont });
+        });
+
+        return canvasToBlob(canvas);
+    }
+
+    function drawSwatchCard(ctx, color, x, y, width, { headingFont, bodyFont }) {
+        ctx.fillStyle = color.hex;
+        ctx.fillRect(x, y, width, CARD_SWATCH_HEIGHT);
+
+        // Light colors need an outline to stand out from the page
+        if (BrandbookCore.getContrastColor(color.hex) === '#000000') {
+            ctx.strokeStyle = '#E5E5E5';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(x + 0.5, y + 0.5, width - 1, CARD_SWATCH_HEIGHT - 1);
+        }
+
+        const stepWidth = width / ColorsModule.SCALE_STEPS.length;
+        ColorsModule.SCALE_STEPS.forEach((step, i) => {
+            ctx.fillStyle = color.scale?.[step]?.hex || color.hex;
+            ctx.fillRect(x + i * stepWidth, y + CARD_SWATCH_HEIGHT, Math.ceil(stepWidth), CARD_SCALE_HEIGHT);
+        });
+
+        const values = ColorsModule.formatColorValues(color);
+        let textY = y + CARD_SWATCH_HEIGHT + CARD_SCALE_HEIGHT + 16;
+        ctx.fillStyle = '#111111';
+        ctx.font = `600 22px ${headingFont}`;
+        ctx.fillText(fitText(ctx, color.name || capitalize(color.role), width), x, textY);
+        textY += 32;
+        ctx.fillStyle = '#888888';
+        ctx.font = `400 14px ${bodyFont}`;
+        ctx.fillText(capitalize(color.role), x, textY);
+        textY += 26;
+        ctx.fillStyle = '#333333';
+        ctx.font = '400 15px ui-monospace, Menlo, Consolas, monospace';
+        [values.hex, values.rgb, values.cmyk].forEach(line => {
+            ctx.fillText(line, x, textY);
+            textY += 22;
+        });
+    }
+
+    /**
+     * Shorten text with an ellipsis until it fits
+     */
+    function fitText(ctx, text, maxWidth) {
+        if (ctx.measureText(text).width <= maxWidth) return text;
+        let shortened = text;
+        while (shortened.length > 1 && ctx.measureText(shortened + '…').width > maxWidth) {
+            shortened = shortened.slice(0, -1);
+        }
+        return shortened + '…';
+    }
+
+    function capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    /**
+     * README listing what is in the kit, the palette, fonts and logo usage
+     * @param {Object} brandbook - Brandbook data
+     * @param {Array<{name: string}>} files - Archive contents
+     * @returns {string} Markdown
+     */
+    function toReadme(brandbook, files) {
+        const lines = [
+            `# ${brandbook.meta.name} Brand Kit`,
+            '',
+            `Generated by Brandbook Visualizer on ${new Date().toISOString().slice(0, 10)}.`,
+            '',
+            '## Contents',
+            '',
+            ...files.map(file => `- \`${file.name}\``),
+            '- `README.md`',
+            '',
+            'Open the `.brandbook` file in Brandbook Visualizer to keep editing the brand.',
+            '',
+            '## Colors',
+            '',
+            '| Name | Role | HEX | RGB | CMYK |',
+            '| --- | --- | --- | --- | --- |',
+            ...brandbook.colors.map(color => {
+                const values = ColorsModule.formatColorValues(color);
+                return `| ${escapeCell(color.name || capitalize(color.role))} | ${color.role} | ${values.hex} | ${values.rgb} | ${values.cmyk} |`;
+            }),
+            '',
+            '## Typography',
+            ''
+        ];
+
+        Object.entries(brandbook.typography).forEach(([type, font]) => {
+            const weights = Array.isArray(font.weights) && font.weights.length > 0 ? ` (weights ${font.weights.join(', ')})` : '';
+            lines.push(`- **${capitalize(type)}:** ${font.family}${weights}: https://fonts.google.com/specimen/${font.family.replace(/\s+/g, '+')}`);
+            if (font.usage) lines.push(`  ${font.usage}`);
+        });
+
+        if (BrandbookCore.getLogoUrl(brandbook)) {
+            lines.push('', '## Logo', '', 'Use the SVG wherever possible; the PNG files are for tools that cannot place vector images.');
+            if (brandbook.logo.usage) lines.push('', brandbook.logo.usage);
+
+            const variants = BrandbookCore.LOGO_VARIANTS.filter(variant => BrandbookCore.getLogoVariantUrl(brandbook, variant.id));
+            if (variants.length > 0) {
+                lines.push('', 'Variants (in `logo/variants/`):', '');
+                variants.forEach(variant => {
+                    lines.push(`- **${variant.label}:** ${brandbook.logo.variants[variant.id].usage || variant.hint}`);
+                });
+            }
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    function escapeCell(text) {
+        return text.replace(/\|/g, '\\|');
+    }
+
+    function loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('Could not load the logo image'));
+            image.src = src;
+        });
+    }
+
+    function canvasToBlob(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not render image'))), 'image/png');
+        });
+    }
+
+    async function dataUrlToBlob(dataUrl) {
+        const response = await fetch(dataUrl);
+        return response.blob();
+    }
+
+    return {
+        createBrandKit,
+        downloadBrandKit
+    };
+})();
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.BrandKitModule = BrandKitModule;
+}
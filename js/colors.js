@@ -0,0 +1,449 @@
+/**
+ * Color Conversion Module
+ * Handles color space conversions (RGB, HSL, CMYK, CIELAB, OKLCH), tint/shade scales and harmonies
+ */
+
+const ColorsModule = (function() {
+    // Tint/shade scale steps, lightest to darkest
+    const SCALE_STEPS = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900];
+
+    // The base color sits at 500; lighter and darker steps spread evenly in OKLCH lightness
+    const SCALE_BASE_STEP = 500;
+    const SCALE_LIGHTEST = 0.97;
+    const SCALE_DARKEST = 0.22;
+    // Least lightness range on each side of the base, so light and dark bases still get distinct steps
+    const SCALE_MIN_SPAN = 0.25;
+
+    // Harmony schemes: secondary/accent derived from the primary by OKLCH hue rotation
+    // (degrees) and lightness shift. A positive shift moves away from the primary's lightness.
+    const HARMONIES = [
+        { id: 'complementary', label: 'Complementary', secondary: { hue: 180 }, accent: { hue: 180, lightness: 0.2, chroma: 0.7 } },
+        { id: 'analogous', label: 'Analogous', secondary: { hue: -30 }, accent: { hue: 30 } },
+        { id: 'triadic', label: 'Triadic', secondary: { hue: 120 }, accent: { hue: 240 } },
+        { id: 'split-complementary', label: 'Split-complementary', secondary: { hue: 150 }, accent: { hue: 210 } },
+        { id: 'monochrome', label: 'Monochrome', secondary: { lightness: 0.28 }, accent: { lightness: -0.18, chroma: 0.6 } }
+    ];
+
+    /**
+     * Convert hex color to RGB
+     * @param {string} hex - Hex color value (#RRGGBB)
+     * @returns {{r: number, g: number, b: number}} RGB channels (0-255)
+     */
+    function hexToRgb(hex) {
+        const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+        return result ? {
+            r: parseInt(result[1], 16),
+            g: parseInt(result[2], 16),
+            b: parseInt(result[3], 16)
+        } : { r: 0, g: 0, b: 0 };
+    }
+
+    /**
+     * Convert RGB to hex color
+     * @param {{r: number, g: number, b: number}} rgb - RGB channels (0-255)
+     * @returns {string} Uppercase hex color value
+     */
+    function rgbToHex({ r, g, b }) {
+        const toHex = (value) => Math.round(Math.min(255, Math.max(0, value))).toString(16).padStart(2, '0');
+        return `#${toHex(r)}${toHex(g)}${toHex(b)}`.toUpperCase();
+    }
+
+    /**
+     * Check whether a string is a valid #RRGGBB hex color
+     * @param {string} hex - Value to check
+     * @returns {boolean}
+     */
+    function isValidHex(hex) {
+        return typeof hex === 'string' && /^#[0-9A-Fa-f]{6}$/.test(hex);
+    }
+
+    function srgbToLinear(channel) {
+        const c = channel / 255;
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    }
+
+    function linearToSrgb(value) {
+        const c = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+        return c * 255;
+    }
+
+    /**
+     * Convert RGB to OKLab
+     * @param {{r: number, g: number, b: number}} rgb - RGB channels (0-255)
+     * @returns {{l: number, a: number, b: number}} OKLab values
+     */
+    function rgbToOklab({ r, g, b }) {
+        const lr = srgbToLinear(r);
+        const lg = srgbToLinear(g);
+        const lb = srgbToLinear(b);
+
+        const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+        const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+        const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+        return {
+            l: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+            a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+            b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+        };
+    }
+
+    /**
+     * Convert OKLab to unclamped RGB (channels may fall outside 0-255 when out of gamut)
+     * @param {{l: number, a: number, b: number}} lab - OKLab values
+     * @returns {{r: number, g: number, b: number}} RGB channels
+     */
+    function oklabToRgb({ l, a, b }) {
+        const lp = Math.pow(l + 0.3963377774 * a + 0.2158037573 * b, 3);
+        const mp = Math.pow(l - 0.1055613458 * a - 0.0638541728 * b, 3);
+        const sp = Math.pow(l - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+        return {
+            r: linearToSrgb(4.0767416621 * lp - 3.3077115913 * mp + 0.2309699292 * sp),
+            g: linearToSrgb(-1.2684380046 * lp + 2.6097574011 * mp - 0.3413193965 * sp),
+            b: linearToSrgb(-0.0041960863 * lp - 0.7034186147 * mp + 1.7076147010 * sp)
+        };
+    }
+
+    /**
+     * Convert RGB to OKLCH
+     * @param {{r: number, g: number, b: number}} rgb - RGB channels (0-255)
+     * @returns {{l: number, c: number, h: number}} Lightness (0-1), chroma, hue in degrees
+     */
+    function rgbToOklch(rgb) {
+        const { l, a, b } = rgbToOklab(rgb);
+        const c = Math.sqrt(a * a + b * b);
+        // Hue is undefined for neutrals; report 0 instead of rounding noise
+        let h = c < 1e-4 ? 0 : Math.atan2(b, a) * 180 / Math.PI;
+        if (h < 0) h += 360;
+        return { l, c, h };
+    }
+
+    /**
+     * Convert OKLCH to unclamped RGB
+     * @param {{l: number, c: number, h: number}} lch - OKLCH values
+     * @returns {{r: number, g: number, b: number}} RGB channels
+     */
+    function oklchToRgb({ l, c, h }) {
+        const radians = h * Math.PI / 180;
+        return oklabToRgb({ l, a: c * Math.cos(radians), b: c * Math.sin(radians) });
+    }
+
+    function isRgbInGamut({ r, g, b }) {
+        const tolerance = 0.5;
+        return [r, g, b].every(channel => channel >= -tolerance && channel <= 255 + tolerance);
+    }
+
+    /**
+     * Convert OKLCH to hex, reducing chroma until the color fits in sRGB
+     * @param {{l: number, c: number, h: number}} lch - OKLCH values
+     * @returns {string} Hex color value
+     */
+    function oklchToHex(lch) {
+        let rgb = oklchToRgb(lch);
+        if (!isRgbInGamut(rgb)) {
+            let low = 0;
+            let high = lch.c;
+            for (let i = 0; i < 20; i++) {
+                const mid = (low + high) / 2;
+                if (isRgbInGamut(oklchToRgb({ ...lch, c: mid }))) {
+                    low = mid;
+                } else {
+                    high = mid;
+                }
+            }
+            rgb = oklchToRgb({ ...lch, c: low });
+        }
+        return rgbToHex(rgb);
+    }
+
+    /**
+     * Convert RGB to HSL
+     * @param {{r: number, g: number, b: number}} rgb - RGB channels (0-255)
+     * @returns {{h: number, s: number, l: number}} Hue in degrees, saturation and lightness in percent
+     */
+    function rgbToHsl({ r, g, b }) {
+        const rn = r / 255;
+        const gn = g / 255;
+        const bn = b / 255;
+        const max = Math.max(rn, gn, bn);
+        const min = Math.min(rn, gn, bn);
+        const l = (max + min) / 2;
+        const d = max - min;
+
+        let h = 0;
+        let s = 0;
+        if (d !== 0) {
+            s = d / (1 - Math.abs(2 * l - 1));
+            if (max === rn) {
+                h = ((gn - bn) / d) % 6;
+            } else if (max === gn) {
+                h = (bn - rn) / d + 2;
+            } else {
+                h = (rn - gn) / d + 4;
+            }
+            h *= 60;
+            if (h < 0) h += 360;
+        }
+
+        return { h, s: s * 100, l: l * 100 };
+    }
+
+    /**
+     * Convert RGB to HSV (also called HSB)
+     * @param {{r: number, g: number, b: number}} rgb - RGB channels (0-255)
+     * @returns {{h: number, s: number, v: number}} Hue in degrees, saturation and value in percent
+     */
+    function rgbToHsv({ r, g, b }) {
+        const { h } = rgbToHsl({ r, g, b });
+        const max = Math.max(r, g, b) / 255;
+        const min = Math.min(r, g, b) / 255;
+        const s = max === 0 ? 0 : (max - min) / max;
+        return { h, s: s * 100, v: max * 100 };
+    }
+
+    /**
+     * Convert RGB to CIE L*a*b* (D65 white point)
+     * @param {{r: number, g: number, b: number}} rgb - RGB channels (0-255)
+     * @returns {{l: number, a: number, b: number}} CIELAB values
+     */
+    function rgbToLab({ r, g, b }) {
+        const lr = srgbToLinear(r);
+        const lg = srgbToLinear(g);
+        const lb = srgbToLinear(b);
+
+        // Linear sRGB to XYZ, normalized to the D65 reference white
+        const x = (0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / 0.95047;
+        const y = 0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb;
+        const z = (0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / 1.08883;
+
+        const f = (t) => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+        const fx = f(x);
+        const fy = f(y);
+        const fz = f(z);
+
+        return {
+            l: 116 * fy - 16,
+            a: 500 * (fx - fy),
+            b: 200 * (fy - fz)
+        };
+    }
+
+    /**
+     * Convert RGB to CMYK using the device-independent formula.
+     * Print vendors often specify different values, which is why palette entries accept overrides.
+     * @param {{r: number, g: number, b: number}} rgb - RGB channels (0-255)
+     * @returns {{c: number, m: number, y: number, k: number}} CMYK percentages
+     */
+    function rgbToCmyk({ r, g, b }) {
+        const rn = r / 255;
+        const gn = g / 255;
+        const bn = b / 255;
+        const k = 1 - Math.max(rn, gn, bn);
+
+        if (k === 1) {
+            return { c: 0, m: 0, y: 0, k: 100 };
+        }
+
+        return {
+            c: Math.round((1 - rn - k) / (1 - k) * 100),
+            m: Math.round((1 - gn - k) / (1 - k) * 100),
+            y: Math.round((1 - bn - k) / (1 - k) * 100),
+            k: Math.round(k * 100)
+        };
+    }
+
+    /**
+     * Check whether a value is a CMYK object with 0-100 channels
+     * @param {Object} cmyk - Value to check
+     * @returns {boolean}
+     */
+    function isValidCmyk(cmyk) {
+        return !!cmyk && ['c', 'm', 'y', 'k'].every(channel =>
+            typeof cmyk[channel] === 'number' && cmyk[channel] >= 0 && cmyk[channel] <= 100);
+    }
+
+    /**
+     * Get a palette color in every supported color space
+     * @param {Object} color - Palette entry ({ hex, cmyk? })
+     * @returns {Object} Values keyed by color space; cmykOverride is true when cmyk was pinned manually
+     */
+    function getColorValues(color) {
+        const rgb = hexToRgb(color.hex);
+        const cmykOverride = isValidCmyk(color.cmyk);
+
+        return {
+            hex: rgbToHex(rgb),
+            rgb,
+            hsl: rgbToHsl(rgb),
+            cmyk: cmykOverride ? { ...color.cmyk } : rgbToCmyk(rgb),
+            cmykOverride,
+            lab: rgbToLab(rgb),
+            oklch: rgbToOklch(rgb)
+        };
+    }
+
+    /**
+     * Get a palette color's values rounded for display and export
+     * @param {Object} color - Palette entry ({ hex, cmyk? })
+     * @returns {Object} Rounded values keyed by color space
+     */
+    function getRoundedColorValues(color) {
+        const { hex, rgb, hsl, cmyk, cmykOverride, lab, oklch } = getColorValues(color);
+        const round = (value, digits = 0) => Number(value.toFixed(digits));
+
+        return {
+            hex,
+            rgb,
+            hsl: { h: round(hsl.h), s: round(hsl.s), l: round(hsl.l) },
+            cmyk,
+            cmykOverride,
+            lab: { l: round(lab.l, 1), a: round(lab.a, 1), b: round(lab.b, 1) },
+            oklch: { l: round(oklch.l, 3), c: round(oklch.c, 3), h: round(oklch.h) }
+        };
+    }
+
+    /**
+     * Format a palette color's values as display strings
+     * @param {Object} color - Palette entry ({ hex, cmyk? })
+     * @returns {{hex: string, rgb: string, cmyk: string, hsl: string, lab: string, oklch: string}}
+     */
+    function formatColorValues(color) {
+        const { hex, rgb, cmyk, hsl, lab, oklch } = getRoundedColorValues(color);
+
+        return {
+            hex,
+            rgb: `RGB(${rgb.r}, ${rgb.g}, ${rgb.b})`,
+            cmyk: `CMYK(${cmyk.c}, ${cmyk.m}, ${cmyk.y}, ${cmyk.k})`,
+            hsl: `HSL(${hsl.h}, ${hsl.s}%, ${hsl.l}%)`,
+            lab: `LAB(${lab.l}, ${lab.a}, ${lab.b})`,
+            oklch: `OKLCH(${Number((oklch.l * 100).toFixed(1))}%, ${oklch.c}, ${oklch.h})`
+        };
+    }
+
+    /**
+     * Get WCAG 2.x relative luminance
+     * @param {string} hex - Hex color value
+     * @returns {number} Relative luminance (0-1)
+     */
+    function getRelativeLuminance(hex) {
+        const { r, g, b } = hexToRgb(hex);
+        return 0.2126 * srgbToLinear(r) + 0.7152 * srgbToLinear(g) + 0.0722 * srgbToLinear(b);
+    }
+
+    /**
+     * Get the WCAG 2.x contrast ratio between two colors
+     * @param {string} hexA - First hex color
+     * @param {string} hexB - Second hex color
+     * @returns {number} Contrast ratio (1-21)
+     */
+    function getContrastRatio(hexA, hexB) {
+        const lumA = getRelativeLuminance(hexA);
+        const lumB = getRelativeLuminance(hexB);
+        return (Math.max(lumA, lumB) + 0.05) / (Math.min(lumA, lumB) + 0.05);
+    }
+
+    /**
+     * Generate a 50-900 tint/shade scale for a color.
+     * Steps are evenly spaced in OKLCH lightness with the base color at 500;
+     * chroma tapers towards the light and dark ends. Each side spans at least SCALE_MIN_SPAN:
+     * dark bases reach further towards black, and a base with no room on one side (white, black)
+     * starts its steps a span away from that end, so the steps next to the base pass it.
+     * @param {string} hex - Base hex color
+     * @returns {Object<number, string>} Hex values keyed by step
+     */
+    function generateScale(hex) {
+        const base = rgbToOklch(hexToRgb(hex));
+        const baseIndex = SCALE_STEPS.indexOf(SCALE_BASE_STEP);
+        const lighter = baseIndex;
+        const darker = SCALE_STEPS.length - 1 - baseIndex;
+        const scale = {};
+
+        const lightest = base.l + Math.min(1 - base.l, Math.max(SCALE_LIGHTEST - base.l, SCALE_MIN_SPAN));
+        const darkest = base.l - Math.min(base.l, Math.max(base.l - SCALE_DARKEST, SCALE_MIN_SPAN));
+        // Where the steps next to the base start from
+        const start = Math.min(Math.max(base.l, darkest + SCALE_MIN_SPAN), lightest - SCALE_MIN_SPAN);
+
+        SCALE_STEPS.forEach((step, index) => {
+            if (step === SCALE_BASE_STEP) {
+                scale[step] = rgbToHex(hexToRgb(hex));
+                return;
+            }
+
+            let l;
+            let c;
+            if (index < baseIndex) {
+                const t = (baseIndex - index) / lighter;
+                l = start + (lightest - start) * t;
+                c = base.c * (1 - 0.75 * t);
+            } else {
+                const t = (index - baseIndex) / darker;
+                l = start - (start - darkest) * t;
+                c = base.c * (1 - 0.35 * t);
+            }
+
+            scale[step] = oklchToHex({ l, c, h: base.h });
+        });
+
+        return scale;
+    }
+
+    /**
+     * Derive a harmony color from a base OKLCH color
+     */
+    function deriveHarmonyColor(base, { hue = 0, lightness = 0, chroma = 1 }) {
+        // Shift lightness towards whichever end has more room
+        const direction = base.l > 0.6 ? -1 : 1;
+        const l = Math.min(0.95, Math.max(0.15, base.l + lightness * direction));
+        const h = ((base.h + hue) % 360 + 360) % 360;
+        return oklchToHex({ l, c: base.c * chroma, h });
+    }
+
+    /**
+     * Generate secondary/accent suggestions for a primary color
+     * @param {string} hex - Primary hex color
+     * @returns {Array<{id: string, label: string, secondary: string, accent: string}>} Harmony suggestions
+     */
+    function getHarmonies(hex) {
+        const base = rgbToOklch(hexToRgb(hex));
+
+        return HARMONIES.map(harmony => ({
+            id: harmony.id,
+            label: harmony.label,
+            secondary: deriveHarmonyColor(base, harmony.secondary),
+            accent: deriveHarmonyColor(base, harmony.accent)
+        }));
+    }
+
+    return {
+        SCALE_STEPS,
+        hexToRgb,
+        rgbToHex,
+        isValidHex,
+        rgbToOklab,
+        oklabToRgb,
+        rgbToOklch,
+        oklchToRgb,
+        oklchToHex,
+        rgbToHsl,
+        rgbToHsv,
+        rgbToLab,
+        rgbToCmyk,
+        isValidCmyk,
+        getColorValues,
+        getRoundedColorValues,
+        formatColorValues,
+        getRelativeLuminance,
+        getContrastRatio,
+        generateScale,
+        getHarmonies
+    };
+})();
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ColorsModule = ColorsModule;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ColorsModule;
+}
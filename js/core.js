@@ -0,0 +1,419 @@
+/**
+ * Brandbook Core
+ * Environment-agnostic brandbook model: defaults, normalization, serialization and share data.
+ * Used by BrandbookModule in the browser and by the Node CLI (bin/brandbook.js).
+ */
+
+const BrandbookCore = (function(ColorsModule, SchemaModule, SvgModule) {
+    const FORMAT_VERSION = SchemaModule.CURRENT_VERSION;
+    const COLOR_ROLES = SchemaModule.COLOR_ROLES;
+
+    // Logo lockups in display order, with the usage hint shown for an empty note
+    const LOGO_VARIANTS = [
+        { id: 'horizontal', label: 'Horizontal', hint: 'Wide layouts such as headers and letterheads' },
+        { id: 'stacked', label: 'Stacked', hint: 'Square or narrow spaces' },
+        { id: 'icon', label: 'Icon mark', hint: 'Small sizes, avatars and app icons' },
+        { id: 'monochrome', label: 'Monochrome', hint: 'Single-color print, embossing and stamps' },
+        { id: 'reversed', label: 'Reversed', hint: 'Dark or brand-colored backgrounds' }
+    ].filter(variant => SchemaModule.LOGO_VARIANTS.includes(variant.id));
+
+    /**
+     * Create an empty brandbook structure
+     * @returns {Object} Empty brandbook object
+     */
+    function createEmptyBrandbook() {
+        return {
+            version: FORMAT_VERSION,
+            meta: {
+                name: 'My Brand',
+                created: new Date().toISOString(),
+                generator: 'brandbook-visualizer'
+            },
+            colors: [
+                { id: 'primary', role: 'primary', hex: '#FF5733', name: 'Sunset Orange' },
+                { id: 'secondary', role: 'secondary', hex: '#2C3E50', name: 'Midnight Blue' },
+                { id: 'accent', role: 'accent', hex: '#27AE60', name: 'Emerald' }
+            ].map(refreshColorScale),
+            typography: {
+                primary: {
+                    family: 'Montserrat',
+                    source: 'google',
+                    weights: [400, 700],
+                    usage: 'Headings'
+                },
+                secondary: {
+                    family: 'Open Sans',
+                    source: 'google',
+                    weights: [400, 600],
+                    usage: 'Body text',
+                    optional: true
+                }
+            },
+            logo: {
+                svg: null,
+                png: null,
+                usage: 'Primary logo',
+                variants: {}
+            }
+        };
+    }
+
+    /**
+     * Generate a unique id for a new palette entry
+     * @returns {string} Color id
+     */
+    function generateColorId() {
+        return 'color-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    }
+
+    /**
+     * Normalize colors to the ordered palette list, assigning missing or duplicate ids
+     * @param {Object[]} colors - Colors from a (migrated) brandbook file
+     * @returns {Object[]} Ordered palette entries
+     */
+    function normalizeColors(colors) {
+        const usedIds = new Set();
+        const normalized = (Array.isArray(colors) ? colors : [])
+            .filter(color => color && typeof color.hex === 'string')
+            .map(color => {
+                const id = color.id && !usedIds.has(color.id) ? color.id : generateColorId();
+                usedIds.add(id);
+                const entry = {
+                    id,
+                    role: color.role || 'neutral',
+                    hex: color.hex,
+                    name: color.name || '',
+                    scale: color.scale
+                };
+                if (ColorsModule.isValidHex(color.dark)) {
+                    entry.dark = color.dark;
+                }
+                if (ColorsModule.isValidCmyk(color.cmyk)) {
+                    entry.cmyk = { c: color.cmyk.c, m: color.cmyk.m, y: color.cmyk.y, k: color.cmyk.k };
+                }
+                return refreshColorScale(entry);
+            });
+
+        return normalized.length > 0 ? normalized : createEmptyBrandbook().colors;
+    }
+
+    /**
+     * Regenerate the 50-900 scale of a palette entry, keeping locked steps
+     * @param {Object} color - Palette entry
+     * @returns {Object} The same palette entry
+     */
+    function refreshColorScale(color) {
+        const generated = ColorsModule.generateScale(color.hex);
+        const previous = color.scale || {};
+        color.scale = {};
+
+        ColorsModule.SCALE_STEPS.forEach(step => {
+            const current = previous[step];
+            color.scale[step] = current && current.locked && ColorsModule.isValidHex(current.hex)
+                ? { hex: current.hex, locked: true }
+                : { hex: generated[step], locked: false };
+        });
+
+        return color;
+    }
+
+    function mergeWithDefaults(data) {
+        const defaults = createEmptyBrandbook();
+        return {
+            ...defaults,
+            ...data,
+            version: FORMAT_VERSION,
+            meta: { ...defaults.meta, ...data.meta },
+            colors: normalizeColors(data.colors),
+            typography: { ...defaults.typography, ...data.typography },
+            logo: { ...defaults.logo, ...data.logo, variants: normalizeLogoVariants(data.logo?.variants) }
+        };
+    }
+
+    /**
+     * Keep known logo variants that have an image or a usage note
+     * @param {Object} variants - Variants keyed by id
+     * @returns {Object} Variants as { svg, png, usage }
+     */
+    function normalizeLogoVariants(variants) {
+        const normalized = {};
+        LOGO_VARIANTS.forEach(({ id }) => {
+            const variant = variants?.[id];
+            if (!variant || !(variant.svg || variant.png || variant.usage)) return;
+            normalized[id] = { svg: variant.svg || null, png: variant.png || null, usage: variant.usage || '' };
+        });
+        return normalized;
+    }
+
+    /**
+     * Migrate, validate and complete brandbook data. SVG logos are sanitized (see SvgModule.sanitizeSvg).
+     * @param {Object} data - Parsed brandbook data of any supported format version
+     * @param {Object} options - Parse options
+     * @param {string} options.unsafeLogos - 'reject' fails on logos with scripts or external references;
+     *   'strip' removes them, and drops malformed logos, for data the app saved itself
+     * @returns {Object} Brandbook in the current format with defaults filled in
+     * @throws {Error} If the data fails schema validation (see SchemaModule.parse) or a logo is rejected
+     */
+    function parse(data, { unsafeLogos = 'reject' } = {}) {
+        return sanitizeLogos(mergeWithDefaults(SchemaModule.parse(data)), unsafeLogos);
+    }
+
+    /**
+     * Sanitize the SVG of the primary logo and every variant in place
+     * @param {Object} brandbook - Brandbook with defaults filled in
+     * @param {string} unsafeLogos - 'reject' or 'strip' (see parse)
+     * @returns {Object} The same brandbook
+     * @throws {Error} With an errors array of {path, message}, like schema errors, when a logo is rejected
+     */
+    function sanitizeLogos(brandbook, unsafeLogos) {
+        const slots = [
+            ['logo', brandbook.logo],
+            ...Object.entries(brandbook.logo.variants).map(([id, slot]) => [`logo.variants.${id}`, slot])
+        ];
+        const errors = [];
+
+        slots.forEach(([path, slot]) => {
+            if (!slot.svg) return;
+
+            let result;
+            try {
+                result = SvgModule.sanitizeSvg(SvgModule.decodeDataUrl(slot.svg));
+            } catch (error) {
+                if (unsafeLogos === 'strip') {
+                    console.warn(`Dropped unreadable ${path}.svg:`, error.message);
+                    slot.svg = null;
+                } else {
+                    errors.push({ path: `${path}.svg`, message: `is not a usable SVG: ${error.message}` });
+                }
+                return;
+            }
+
+            if (result.unsafe && unsafeLogos !== 'strip') {
+                const found = SvgModule.describeRemoved(result.removed, ['scripts', 'references']);
+                errors.push({ path: `${path}.svg`, message: `contains ${found}; upload the logo again to remove them` });
+                return;
+            }
+            slot.svg = SvgModule.toDataUrl(result.svg);
+        });
+
+        if (errors.length > 0) {
+            const error = new Error(SchemaModule.formatErrors(errors));
+            error.errors = errors;
+            throw error;
+        }
+        return brandbook;
+    }
+
+    /**
+     * Parse the contents of a .brandbook file
+     * @param {string} text - File contents
+     * @param {Object} options - Parse options (see parse)
+     * @returns {Object} Brandbook
+     * @throws {Error} If the text is not JSON, fails schema validation or has a rejected logo
+     */
+    function parseJson(text, options) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Failed to parse brandbook file: ' + error.message);
+        }
+        return parse(data, options);
+    }
+
+    /**
+     * Serialize a brandbook as .brandbook JSON
+     * @param {Object} brandbook - Brandbook data
+     * @returns {string} JSON string
+     */
+    function toJson(brandbook) {
+        const exported = {
+            ...brandbook,
+            // Derived color space values for consumers of the file; ignored on import
+            colors: brandbook.colors.map(color => {
+                const { hex, cmykOverride, ...values } = ColorsModule.getRoundedColorValues(color);
+                return { ...color, values };
+            })
+        };
+        return JSON.stringify(exported, null, 2);
+    }
+
+    /**
+     * Find the first palette entry with the given role
+     * @param {string} role - Color role
+     * @param {Object} brandbook - Brandbook to search
+     * @returns {Object|null} Palette entry or null
+     */
+    function getColorByRole(role, brandbook) {
+        return brandbook.colors.find(color => color.role === role) || null;
+    }
+
+    /**
+     * Resolve the primary, secondary and accent hex values used by mockups and the PDF.
+     * Falls back to palette order when a role is not assigned.
+     * @param {Object} brandbook - Brandbook data
+     * @returns {{primary: string, secondary: string, accent: string}} Hex values
+     */
+    function getRoleColors(brandbook) {
+        const colors = brandbook.colors;
+        const primary = getColorByRole('primary', brandbook) || colors[0];
+        const secondary = getColorByRole('secondary', brandbook) || colors.find(color => color !== primary) || primary;
+        const accent = getColorByRole('accent', brandbook) || primary;
+
+        return {
+            primary: primary.hex,
+            secondary: secondary.hex,
+            accent: accent.hex
+        };
+    }
+
+    /**
+     * Get the image of one logo slot, without fallbacks
+     * @param {Object} brandbook - Brandbook data
+     * @param {string} variant - Variant id, or 'primary' for the main logo
+     * @returns {string|null} Logo data URL or null
+     */
+    function getLogoVariantUrl(brandbook, variant = 'primary') {
+        const slot = variant === 'primary' ? brandbook.logo : brandbook.logo.variants?.[variant];
+        return (slot && (slot.svg || slot.png)) || null;
+    }
+
+    /**
+     * Get the logo data URL (SVG or PNG) best suited to a use.
+     * Tries the preferred variants in order, then the primary logo, then any variant.
+     * @param {Object} brandbook - Brandbook data
+     * @param {string|string[]} preferred - Variant ids, e.g. ['icon', 'stacked']
+     * @returns {string|null} Logo data URL or null
+     */
+    function getLogoUrl(brandbook, preferred = []) {
+        const order = [...[].concat(preferred), 'primary', ...LOGO_VARIANTS.map(variant => variant.id)];
+        for (const variant of order) {
+            const url = getLogoVariantUrl(brandbook, variant);
+            if (url) return url;
+        }
+        return null;
+    }
+
+    /**
+     * Get the text color (black or white) with the higher WCAG contrast on a background
+     * @param {string} hexColor - Background color
+     * @returns {string} '#000000' or '#FFFFFF'
+     */
+    function getContrastColor(hexColor) {
+        const onBlack = ColorsModule.getContrastRatio(hexColor, '#000000');
+        const onWhite = ColorsModule.getContrastRatio(hexColor, '#FFFFFF');
+        return onBlack >= onWhite ? '#000000' : '#FFFFFF';
+    }
+
+    /**
+     * Get brandbook data for QR code (without logo to keep size small)
+     * @param {Object} brandbook - Brandbook data
+     * @returns {Object} Brandbook data without logo
+     */
+    function getShareableData(brandbook) {
+        return {
+            version: brandbook.version,
+            meta: {
+                name: brandbook.meta.name,
+                generator: brandbook.meta.generator
+            },
+            // Only locked scale steps are shared; the rest regenerate on import
+            colors: brandbook.colors.map(color => {
+                const locked = Object.entries(color.scale || {}).filter(([, step]) => step.locked);
+                const { scale, ...rest } = color;
+                return locked.length > 0 ? { ...rest, scale: Object.fromEntries(locked) } : rest;
+            }),
+            typography: brandbook.typography
+        };
+    }
+
+    /**
+     * Encode a brandbook for the share URL's data parameter
+     * @param {Object} brandbook - Brandbook data
+     * @returns {string} Base64 encoded JSON without padding
+     */
+    function encodeShareData(brandbook) {
+        const jsonString = JSON.stringify(getShareableData(brandbook));
+        // Use base64 encoding for URL safety
+        const encoded = btoa(unescape(encodeURIComponent(jsonString)));
+        // Remove trailing = padding to save space
+        return encoded.replace(/=+$/, '');
+    }
+
+    /**
+     * Decode the share URL's data parameter
+     * @param {string} encodedData - Base64 encoded JSON
+     * @returns {Object} Brandbook (without logo)
+     * @throws {Error} If the data cannot be decoded or fails schema validation
+     */
+    function decodeShareData(encodedData) {
+        // Add back padding if needed
+        const padded = encodedData + '='.repeat((4 - encodedData.length % 4) % 4);
+        const jsonString = decodeURIComponent(escape(atob(padded)));
+        const data = SchemaModule.parse(JSON.parse(jsonString));
+        return mergeWithDefaults({ ...data, logo: { svg: null, png: null, usage: 'Primary logo' } });
+    }
+
+    /**
+     * Generate a shareable URL with brandbook data encoded
+     * @param {Object} brandbook - Brandbook data
+     * @param {string} baseUrl - Base URL of the app (e.g., https://username.github.io/brandbook-visualizer/)
+     * @returns {string} Full URL with encoded brandbook data
+     */
+    function generateShareUrl(brandbook, baseUrl) {
+        return `${baseUrl}?data=${encodeShareData(brandbook)}`;
+    }
+
+    /**
+     * Get the data parameter from a share URL
+     * @param {string} url - Share URL (or the bare data parameter)
+     * @returns {string} Encoded data
+     * @throws {Error} If the URL has no data parameter
+     */
+    function getShareDataFromUrl(url) {
+        if (!/^[a-z][a-z0-9+.-]*:/i.test(url) && !url.includes('?')) {
+            return url;
+        }
+        const data = new URL(url, 'http://localhost/').searchParams.get('data');
+        if (!data) {
+            throw new Error('URL has no data parameter');
+        }
+        return data;
+    }
+
+    return {
+        FORMAT_VERSION,
+        COLOR_ROLES,
+        LOGO_VARIANTS,
+        createEmptyBrandbook,
+        generateColorId,
+        normalizeColors,
+        refreshColorScale,
+        mergeWithDefaults,
+        parse,
+        parseJson,
+        toJson,
+        getColorByRole,
+        getRoleColors,
+        getLogoVariantUrl,
+        getLogoUrl,
+        getContrastColor,
+        getShareableData,
+        encodeShareData,
+        decodeShareData,
+        generateShareUrl,
+        getShareDataFromUrl
+    };
+})(
+    typeof ColorsModule !== 'undefined' ? ColorsModule : require('./colors.js'),
+    typeof SchemaModule !== 'undefined' ? SchemaModule : require('./schema.js'),
+    typeof SvgModule !== 'undefined' ? SvgModule : require('./svg.js')
+);
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.BrandbookCore = BrandbookCore;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BrandbookCore;
+}
@@ -0,0 +1,803 @@
+/**
+ * Exporters Module
+ * Converts a brandbook into formats consumed by other tools (design tokens, stylesheets, swatches, ...).
+ * Generators are environment-agnostic; ZIP-based files and download() are browser-only.
+ */
+
+const ExportersModule = (function(ColorsModule, FontsModule, BrandbookCore) {
+    const GENERATOR = 'brandbook-visualizer';
+
+    // Variable naming conventions for stylesheet exports
+    const NAMING_CONVENTIONS = [
+        { id: 'kebab', label: 'kebab-case (brand-primary-500)' },
+        { id: 'camel', label: 'camelCase (brandPrimary500)' },
+        { id: 'snake', label: 'snake_case (brand_primary_500)' }
+    ];
+
+    // CSS font-weight keyword names, used for token keys
+    const WEIGHT_NAMES = {
+        100: 'thin',
+        200: 'extra-light',
+        300: 'light',
+        400: 'regular',
+        500: 'medium',
+        600: 'semi-bold',
+        700: 'bold',
+        800: 'extra-bold',
+        900: 'black'
+    };
+
+    /**
+     * Lowercase, dash-separated name for files and identifiers
+     * @param {string} text - Any text
+     * @param {string} fallback - Used when nothing usable remains
+     * @returns {string} Slug such as 'my-brand'
+     */
+    function slugify(text, fallback = 'brand') {
+        const slug = String(text || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+        return slug || fallback;
+    }
+
+    /**
+     * File name stem for exports of a brandbook
+     * @param {Object} brandbook - Brandbook data
+     * @returns {string} e.g. 'my-brand'
+     */
+    function getFileBaseName(brandbook) {
+        return slugify(brandbook.meta.name);
+    }
+
+    /**
+     * Assign each palette entry a stable key: its role, with a number for repeated roles
+     * (primary, secondary, neutral, neutral-2, ...)
+     * @param {Object} brandbook - Brandbook data
+     * @returns {Array<{key: string, color: Object}>} Keys in palette order
+     */
+    function getColorKeys(brandbook) {
+        const counts = {};
+        return brandbook.colors.map(color => {
+            counts[color.role] = (counts[color.role] || 0) + 1;
+            return {
+                key: counts[color.role] === 1 ? color.role : `${color.role}-${counts[color.role]}`,
+                color
+            };
+        });
+    }
+
+    /**
+     * Typography entries in a fixed order (primary, secondary, then any others)
+     * @param {Object} brandbook - Brandbook data
+     * @returns {Array<{key: string, font: Object}>} Fonts with a family
+     */
+    function getFontKeys(brandbook) {
+        const order = ['primary', 'secondary'];
+        return Object.keys(brandbook.typography)
+            .sort((a, b) => {
+                const rankA = order.includes(a) ? order.indexOf(a) : order.length;
+                const rankB = order.includes(b) ? order.indexOf(b) : order.length;
+                return rankA - rankB;
+            })
+            .filter(key => brandbook.typography[key] && brandbook.typography[key].family)
+            .map(key => ({ key, font: brandbook.typography[key] }));
+    }
+
+    function getWeightName(weight) {
+        return WEIGHT_NAMES[weight] || String(weight);
+    }
+
+    /**
+     * Build a W3C Design Tokens Community Group (DTCG) token tree
+     * @param {Object} brandbook - Brandbook data
+     * @param {Object} options - Export options
+     * @param {Object} options.logoFiles - Logo references by format ({ svg, png }); defaults to the embedded data URLs
+     * @returns {Object} Token tree (serialize with JSON.stringify)
+     */
+    function toDesignTokens(brandbook, { logoFiles = null } = {}) {
+        const color = { $type: 'color' };
+        getColorKeys(brandbook).forEach(({ key, color: entry }) => {
+            const group = {
+                $description: entry.name ? `${entry.name} (${entry.role})` : entry.role,
+                base: { $value: entry.hex.toLowerCase() }
+            };
+            ColorsModule.SCALE_STEPS.forEach(step => {
+                group[step] = { $value: entry.scale[step].hex.toLowerCase() };
+            });
+            color[key] = group;
+        });
+
+        const family = { $type: 'fontFamily' };
+        const weight = { $type: 'fontWeight' };
+        getFontKeys(brandbook).forEach(({ key, font }) => {
+            family[key] = {
+                $value: font.family,
+                ...(font.usage ? { $description: font.usage } : {})
+            };
+            if (Array.isArray(font.weights) && font.weights.length > 0) {
+                weight[key] = Object.fromEntries(font.weights.map(value => [getWeightName(value), { $value: value }]));
+            }
+        });
+
+        const logo = logoFiles || { svg: brandbook.logo.svg, png: brandbook.logo.png };
+        const tokens = {
+            $description: `Design tokens for ${brandbook.meta.name}`,
+            color,
+            font: { family, weight }
+        };
+
+        // DTCG has no asset type, so logo references travel as an extension
+        if (logo.svg || logo.png) {
+            tokens.$extensions = {
+                [`com.${GENERATOR}`]: {
+                    logo: {
+                        ...(logo.svg ? { svg: logo.svg } : {}),
+                        ...(logo.png ? { png: logo.png } : {}),
+                        usage: brandbook.logo.usage || ''
+                    }
+                }
+            };
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Serialized design tokens file
+     * @param {Object} brandbook - Brandbook data
+     * @param {Object} options - See toDesignTokens
+     * @returns {string} JSON
+     */
+    function toDesignTokensJson(brandbook, options) {
+        return JSON.stringify(toDesignTokens(brandbook, options), null, 2);
+    }
+
+    /**
+     * Join name parts using a naming convention
+     * @param {Array<string|number>} parts - Name parts, e.g. ['brand', 'neutral-2', 500]
+     * @param {string} convention - 'kebab', 'camel' or 'snake'
+     * @returns {string} e.g. 'brand-neutral-2-500', 'brandNeutral2500', 'brand_neutral_2_500'
+     */
+    function formatName(parts, convention = 'kebab') {
+        const words = parts
+            .flatMap(part => String(part).split(/[^A-Za-z0-9]+/))
+            .filter(Boolean)
+            .map(word => word.toLowerCase());
+
+        if (convention === 'camel') {
+            return words.map((word, i) => i === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1)).join('');
+        }
+        return words.join(convention === 'snake' ? '_' : '-');
+    }
+
+    /**
+     * Collect the values shared by the stylesheet formats
+     * @param {Object} brandbook - Brandbook data
+     * @returns {{colors: Object[], fonts: Object[], imports: string[]}}
+     */
+    function getStyleValues(brandbook) {
+        const colors = getColorKeys(brandbook).map(({ key, color }) => ({
+            key,
+            name: color.name,
+            hex: color.hex.toUpperCase(),
+            scale: ColorsModule.SCALE_STEPS.map(step => ({ step, hex: color.scale[step].hex.toUpperCase() }))
+        }));
+
+        const fonts = getFontKeys(brandbook).map(({ key, font }) => ({
+            key,
+            family: font.family,
+            stack: `'${font.family}', sans-serif`,
+            weights: Array.isArray(font.weights) && font.weights.length > 0 ? font.weights : [400, 700]
+        }));
+
+        const imports = fonts
+            .filter(font => (brandbook.typography[font.key].source || 'google') === 'google')
+            .map(font => FontsModule.getFontCssUrl(font.family, font.weights));
+
+        return { colors, fonts, imports: [...new Set(imports)] };
+    }
+
+    /**
+     * Make user text safe inside a code comment
+     */
+    function toCommentText(text) {
+        return String(text).replace(/\*\//g, '* /').replace(/\s+/g, ' ').trim();
+    }
+
+    function toJsString(text) {
+        return `'${String(text).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+    }
+
+    function getHeader(brandbook, lineComment) {
+        const text = toCommentText(`Brand variables for ${brandbook.meta.name}, generated by Brandbook Visualizer`);
+        return lineComment ? `// ${text}` : `/* ${text} */`;
+    }
+
+    /**
+     * CSS custom properties on :root
+     * @param {Object} brandbook - Brandbook data
+     * @param {Object} options - Export options
+     * @param {string} options.naming - Naming convention id
+     * @param {string} options.prefix - Name prefix (may be empty)
+     * @returns {string} CSS
+     */
+    function toCss(brandbook, { naming = 'kebab', prefix = 'brand' } = {}) {
+        const { colors, fonts, imports } = getStyleValues(brandbook);
+        const name = (...parts) => `--${formatName([prefix, ...parts], naming)}`;
+        const lines = [getHeader(brandbook), ...imports.map(url => `@import url('${url}');`), '', ':root {'];
+
+        colors.forEach(color => {
+            lines.push(`    ${name(color.key)}: ${color.hex};${color.name ? ` /* ${toCommentText(color.name)} */` : ''}`);
+            color.scale.forEach(({ step, hex }) => lines.push(`    ${name(color.key, step)}: ${hex};`));
+        });
+        fonts.forEach(font => lines.push(`    ${name('font', font.key)}: ${font.stack};`));
+
+        lines.push('}', '');
+        return lines.join('\n');
+    }
+
+    /**
+     * SCSS variables plus $<prefix>-colors and $<prefix>-fonts maps
+     * @param {Object} brandbook - Brandbook data
+     * @param {Object} options - See toCss
+     * @returns {string} SCSS
+     */
+    function toScss(brandbook, { naming = 'kebab', prefix = 'brand' } = {}) {
+        const { colors, fonts, imports } = getStyleValues(brandbook);
+        const name = (...parts) => `$${formatName([prefix, ...parts], naming)}`;
+        const key = (...parts) => `'${formatName(parts, naming)}'`;
+        const lines = [getHeader(brandbook, true), ...imports.map(url => `@import url('${url}');`), ''];
+
+        colors.forEach(color => {
+            lines.push(`${name(color.key)}: ${color.hex};${color.name ? ` // ${toCommentText(color.name)}` : ''}`);
+            color.scale.forEach(({ step, hex }) => lines.push(`${name(color.key, step)}: ${hex};`));
+        });
+        fonts.forEach(font => lines.push(`${name('font', font.key)}: ${font.stack};`));
+
+        lines.push('', `${name('colors')}: (`);
+        colors.forEach(color => {
+            lines.push(`    ${key(color.key)}: (`);
+            lines.push(`        'base': ${color.hex},`);
+            color.scale.forEach(({ step, hex }) => lines.push(`        '${step}': ${hex},`));
+            lines.push('    ),');
+        });
+        lines.push(');', '', `${name('fonts')}: (`);
+        fonts.forEach(font => lines.push(`    ${key(font.key)}: (${font.stack}),`));
+        lines.push(');', '');
+        return lines.join('\n');
+    }
+
+    /**
+     * Less variables plus @<prefix>-colors and @<prefix>-fonts maps (Less 3.5+)
+     * @param {Object} brandbook - Brandbook data
+     * @param {Object} options - See toCss
+     * @returns {string} Less
+     */
+    function toLess(brandbook, { naming = 'kebab', prefix = 'brand' } = {}) {
+        const { colors, fonts, imports } = getStyleValues(brandbook);
+        const name = (...parts) => `@${formatName([prefix, ...parts], naming)}`;
+        const lines = [getHeader(brandbook, true), ...imports.map(url => `@import (css) url('${url}');`), ''];
+
+        colors.forEach(color => {
+            lines.push(`${name(color.key)}: ${color.hex};${color.name ? ` // ${toCommentText(color.name)}` : ''}`);
+            color.scale.forEach(({ step, hex }) => lines.push(`${name(color.key, step)}: ${hex};`));
+        });
+        fonts.forEach(font => lines.push(`${name('font', font.key)}: ${font.stack};`));
+
+        lines.push('', `${name('colors')}: {`);
+        colors.forEach(color => {
+            lines.push(`    ${formatName([color.key], naming)}: ${color.hex};`);
+            color.scale.forEach(({ step, hex }) => lines.push(`    ${formatName([color.key, step], naming)}: ${hex};`));
+        });
+        lines.push('}', '', `${name('fonts')}: {`);
+        fonts.forEach(font => lines.push(`    ${formatName([font.key], naming)}: ${font.stack};`));
+        lines.push('}', '');
+        return lines.join('\n');
+    }
+
+    /**
+     * Tailwind CSS v3 config with a theme extension: role-keyed colors with their
+     * 50-900 scales (DEFAULT is the base color) and the brand font families
+     * @param {Object} brandbook - Brandbook data
+     * @param {Object} options - See toCss; the prefix is prepended to color and font keys
+     * @returns {string} tailwind.config.js source
+     */
+    function toTailwindConfig(brandbook, { naming = 'kebab', prefix = '' } = {}) {
+        const { colors, fonts, imports } = getStyleValues(brandbook);
+        const key = (...parts) => {
+            const name = formatName([prefix, ...parts], naming);
+            return /^[A-Za-z_$][\w$]*$/.test(name) ? name : `'${name}'`;
+        };
+
+        const lines = [
+            `/** ${toCommentText(`Tailwind CSS theme for ${brandbook.meta.name}, generated by Brandbook Visualizer`)} */`,
+            ...(imports.length > 0 ? ['// Load the fonts in your CSS:', ...imports.map(url => `// @import url('${url}');`)] : []),
+            '',
+            "/** @type {import('tailwindcss').Config} */",
+            'module.exports = {',
+            '    theme: {',
+            '        extend: {',
+            '            colors: {'
+        ];
+
+        colors.forEach((color, i) => {
+            lines.push(`                ${key(color.key)}: {`);
+            lines.push(`                    DEFAULT: '${color.hex}',`);
+            color.scale.forEach(({ step, hex }, j) => {
+                lines.push(`                    ${step}: '${hex}'${j < color.scale.length - 1 ? ',' : ''}`);
+            });
+            lines.push(`                }${i < colors.length - 1 ? ',' : ''}`);
+        });
+
+        lines.push('            },', '            fontFamily: {');
+        fonts.forEach((font, i) => {
+            lines.push(`                ${key(font.key)}: [${toJsString(font.family)}, 'sans-serif']${i < fonts.length - 1 ? ',' : ''}`);
+        });
+        lines.push('            }', '        }', '    }', '};', '');
+        return lines.join('\n');
+    }
+
+    /**
+     * Tailwind CSS v4 @theme block (--color-* and --font-* theme variables)
+     * @param {Object} brandbook - Brandbook data
+     * @param {Object} options - See toCss; the prefix is added after the namespace (--color-<prefix>-primary)
+     * @returns {string} CSS
+     */
+    function toTailwindTheme(brandbook, { naming = 'kebab', prefix = '' } = {}) {
+        const { colors, fonts, imports } = getStyleValues(brandbook);
+        const name = (namespace, ...parts) => `--${namespace}-${formatName([prefix, ...parts], naming)}`;
+
+        const lines = [
+            `/* ${toCommentText(`Tailwind CSS v4 theme for ${brandbook.meta.name}, generated by Brandbook Visualizer`)} */`,
+            ...imports.map(url => `@import url('${url}');`),
+            '@import "tailwindcss";',
+            '',
+            '@theme {'
+        ];
+
+        colors.forEach(color => {
+            lines.push(`    ${name('color', color.key)}: ${color.hex};`);
+            color.scale.forEach(({ step, hex }) => lines.push(`    ${name('color', color.key, step)}: ${hex};`));
+        });
+        fonts.forEach(font => lines.push(`    ${name('font', font.key)}: ${font.stack};`));
+
+        lines.push('}', '');
+        return lines.join('\n');
+    }
+
+    /**
+     * Palette entries as named swatches; unnamed colors use their role key
+     * @param {Object} brandbook - Brandbook data
+     * @returns {Array<{name: string, hex: string, rgb: {r: number, g: number, b: number}}>}
+     */
+    function getSwatches(brandbook) {
+        return getColorKeys(brandbook).map(({ key, color }) => ({
+            name: (color.name || key).replace(/\s+/g, ' ').trim(),
+            hex: color.hex.toUpperCase(),
+            rgb: ColorsModule.hexToRgb(color.hex)
+        }));
+    }
+
+    /**
+     * Adobe Swatch Exchange (ASE 1.0) palette: one color group named after the brand,
+     * holding a global RGB swatch per palette entry. Opens in Illustrator, InDesign,
+     * Photoshop and Affinity.
+     * @param {Object} brandbook - Brandbook data
+     * @returns {Uint8Array} .ase file contents
+     */
+    function toAse(brandbook) {
+        const swatches = getSwatches(brandbook);
+        const groupName = brandbook.meta.name.trim() || 'Brand';
+
+        // Names are UTF-16BE with a length prefix counting the terminating null
+        const nameSize = (name) => 2 + (name.length + 1) * 2;
+        const colorSize = (swatch) => nameSize(swatch.name) + 4 + 3 * 4 + 2;
+        const blocks = [
+            { type: 0xC001, size: nameSize(groupName), name: groupName },
+            ...swatches.map(swatch => ({ type: 0x0001, size: colorSize(swatch), name: swatch.name, swatch })),
+            { type: 0xC002, size: 0 }
+        ];
+
+        const bytes = new Uint8Array(12 + blocks.reduce((total, block) => total + 6 + block.size, 0));
+        const view = new DataView(bytes.buffer);
+        let offset = 0;
+        const writeAscii = (text) => {
+            for (let i = 0; i < text.length; i++) view.setUint8(offset++, text.charCodeAt(i));
+        };
+        const writeName = (name) => {
+            view.setUint16(offset, name.length + 1);
+            offset += 2;
+            for (let i = 0; i < name.length; i++, offset += 2) view.setUint16(offset, name.charCodeAt(i));
+            offset += 2;
+        };
+
+        writeAscii('ASEF');
+        view.setUint16(offset, 1);
+        view.setUint16(offset + 2, 0);
+        view.setUint32(offset + 4, blocks.length);
+        offset += 8;
+
+        blocks.forEach(block => {
+            view.setUint16(offset, block.type);
+            view.setUint32(offset + 2, block.size);
+            offset += 6;
+            if (block.name !== undefined) writeName(block.name);
+            if (!block.swatch) return;
+
+            writeAscii('RGB ');
+            const { r, g, b } = block.swatch.rgb;
+            [r, g, b].forEach(channel => {
+                view.setFloat32(offset, channel / 255);
+                offset += 4;
+            });
+            view.setUint16(offset, 0); // global color
+            offset += 2;
+        });
+
+        return bytes;
+    }
+
+    /**
+     * GIMP palette (.gpl), also read by Inkscape, Krita and Aseprite
+     * @param {Object} brandbook - Brandbook data
+     * @returns {string} Palette file
+     */
+    function toGpl(brandbook) {
+        const pad = (channel) => String(channel).padStart(3, ' ');
+        const lines = [
+            'GIMP Palette',
+            `Name: ${brandbook.meta.name.replace(/\s+/g, ' ').trim() || 'Brand'}`,
+            'Columns: 4',
+            '#',
+            ...getSwatches(brandbook).map(({ name, rgb }) => `${pad(rgb.r)} ${pad(rgb.g)} ${pad(rgb.b)}\t${name}`)
+        ];
+        return lines.join('\n') + '\n';
+    }
+
+    // Procreate palettes have a fixed grid of 30 slots
+    const PROCREATE_MAX_SWATCHES = 30;
+
+    /**
+     * Contents of Swatches.json inside a Procreate .swatches file.
+     * Procreate stores HSB values (0-1) and no swatch names; colors past 30 are dropped.
+     * @param {Object} brandbook - Brandbook data
+     * @returns {Object[]} Palette list (serialize with JSON.stringify)
+     */
+    function toProcreateSwatches(brandbook) {
+        return [{
+            name: brandbook.meta.name.trim() || 'Brand',
+            swatches: getSwatches(brandbook).slice(0, PROCREATE_MAX_SWATCHES).map(({ rgb }) => {
+                const { h, s, v } = ColorsModule.rgbToHsv(rgb);
+                return { hue: h / 360, saturation: s / 100, brightness: v / 100, alpha: 1, colorSpace: 0 };
+            })
+        }];
+    }
+
+    /**
+     * Procreate .swatches file: a ZIP archive holding Swatches.json (browser only, needs JSZip)
+     * @param {Object} brandbook - Brandbook data
+     * @returns {Promise<Blob>} .swatches file
+     */
+    function toProcreateSwatchesFile(brandbook) {
+        return createZip([{ name: 'Swatches.json', content: JSON.stringify(toProcreateSwatches(brandbook)) }]);
+    }
+
+    // Palette files for design tools
+    const SWATCH_FORMATS = [
+        { id: 'ase', label: 'Adobe Swatch Exchange', extension: 'ase', type: 'application/octet-stream', generate: toAse },
+        { id: 'gpl', label: 'GIMP palette', extension: 'gpl', type: 'text/plain', generate: toGpl },
+        { id: 'procreate', label: 'Procreate swatches', extension: 'swatches', type: 'application/zip', generate: toProcreateSwatchesFile }
+    ];
+
+    /**
+     * Get the swatch file formats
+     * @returns {Array<{id: string, label: string, extension: string, type: string, generate: Function}>}
+     */
+    function getSwatchFormats() {
+        return [...SWATCH_FORMATS];
+    }
+
+    // Material 3 theme attributes filled from palette roles: [color attributes, on-color attributes]
+    const ANDROID_THEME_ROLES = {
+        primary: [['colorPrimary'], ['colorOnPrimary']],
+        secondary: [['colorSecondary'], ['colorOnSecondary']],
+        accent: [['colorTertiary'], ['colorOnTertiary']],
+        background: [['android:colorBackground', 'colorSurface'], ['colorOnBackground', 'colorOnSurface']],
+        error: [['colorError'], ['colorOnError']]
+    };
+
+    function toXmlComment(text) {
+        return toCommentText(text).replace(/-{2,}/g, '-');
+    }
+
+    /**
+     * Upper camel case name, e.g. 'My Brand' -> 'MyBrand'
+     */
+    function toPascalCase(parts, fallback) {
+        const name = formatName(parts, 'camel');
+        return name ? name.charAt(0).toUpperCase() + name.slice(1) : fallback;
+    }
+
+    function getAndroidColorName(prefix, ...parts) {
+        return formatName([prefix, ...parts], 'snake');
+    }
+
+    /**
+     * Android color resources (res/values/colors.xml): each palette color, its 50-900 scale and a
+     * black or white "on" color for text on it. With { night: true }, only the colors that have a
+     * dark variant, for res/values-night/colors.xml.
+     * @param {Object} brandbook - Brandbook data
+     * @param {Object} options - Export options
+     * @param {string} options.prefix - Resource name prefix (may be empty)
+     * @param {boolean} options.night - Write the dark mode overrides instead
+     * @returns {string} XML
+     */
+    function toAndroidColors(brandbook, { prefix = 'brand', night = false } = {}) {
+        const title = night ? 'Dark mode brand colors' : 'Brand colors';
+        const lines = [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            `<!-- ${toXmlComment(`${title} for ${brandbook.meta.name}, generated by Brandbook Visualizer`)} -->`,
+            '<resources>'
+        ];
+
+        getColorKeys(brandbook).forEach(({ key, color }) => {
+            if (night && !color.dark) return;
+            const hex = (night ? color.dark : color.hex).toUpperCase();
+
+            if (lines.length > 3) lines.push('');
+            if (color.name) lines.push(`    <!-- ${toXmlComment(color.name)} -->`);
+            lines.push(`    <color name="${getAndroidColorName(prefix, key)}">${hex}</color>`);
+            if (!night) {
+                ColorsModule.SCALE_STEPS.forEach(step => {
+                    lines.push(`    <color name="${getAndroidColorName(prefix, key, step)}">${color.scale[step].hex.toUpperCase()}</color>`);
+                });
+            }
+            lines.push(`    <color name="${getAndroidColorName(prefix, 'on', key)}">${BrandbookCore.getContrastColor(hex)}</color>`);
+        });
+
+        lines.push('</resources>', '');
+        return lines.join('\n');
+    }
+
+    /**
+     * Android Material 3 theme (res/values/themes.xml) mapping palette roles to theme colors.
+     * The first color of each role is used; a `text` color overrides colorOnBackground/colorOnSurface.
+     * @param {Object} brandbook - Brandbook data
+     * @param {Object} options - See toAndroidColors
+     * @returns {string} XML
+     */
+    function toAndroidTheme(brandbook, { prefix = 'brand' } = {}) {
+        const keyed = getColorKeys(brandbook).filter(({ key, color }) => key === color.role);
+        const keyOf = (role) => keyed.some(({ key }) => key === role) ? role : null;
+        const items = [];
+
+        Object.entries(ANDROID_THEME_ROLES).forEach(([role, [attributes, onAttributes]]) => {
+            if (!keyOf(role)) return;
+            attributes.forEach(attribute => items.push([attribute, getAndroidColorName(prefix, role)]));
+            const onName = role === 'background' && keyOf('text')
+                ? getAndroidColorName(prefix, 'text')
+                : getAndroidColorName(prefix, 'on', role);
+            onAttributes.forEach(attribute => items.push([attribute, onName]));
+        });
+
+        const lines = [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            `<!-- ${toXmlComment(`Material 3 theme for ${brandbook.meta.name}, generated by Brandbook Visualizer.`)}`,
+            '     Merge into res/values/themes.xml; the colors are defined in colors.xml',
+            '     (values-night/colors.xml holds the dark mode variants). -->',
+            '<resources>',
+            `    <style name="Theme.${toPascalCase([brandbook.meta.name], 'Brand')}" parent="Theme.Material3.DayNight.NoActionBar">`,
+            ...items.map(([attribute, name]) => `        <item name="${attribute}">@color/${name}</item>`),
+            '    </style>',
+            '</resources>',
+            ''
+        ];
+        return lines.join('\n');
+    }
+
+    /**
+     * Xcode colorset Contents.json with an optional dark appearance
+     * @param {string} hex - Light (any appearance) color
+     * @param {string} dark - Dark appearance color or undefined
+     * @returns {string} JSON
+     */
+    function toColorset(hex, dark) {
+        const toColor = (value) => {
+            const { r, g, b } = ColorsModule.hexToRgb(value);
+            const component = (channel) => `0x${channel.toString(16).toUpperCase().padStart(2, '0')}`;
+            return {
+                'color-space': 'srgb',
+                components: { alpha: '1.000', blue: component(b), green: component(g), red: component(r) }
+            };
+        };
+
+        const colors = [{ color: toColor(hex), idiom: 'universal' }];
+        if (dark) {
+            colors.push({
+                appearances: [{ appearance: 'luminosity', value: 'dark' }],
+                color: toColor(dark),
+                idiom: 'universal'
+            });
+        }
+        return JSON.stringify({ colors, info: { author: 'xcode', version: 1 } }, null, 2) + '\n';
+    }
+
+    /**
+     * iOS asset catalog files: Assets.xcassets/<Prefix>/ is a namespace folder with a colorset per
+     * palette color (with its dark variant) and per scale step, e.g. Color("Brand/Primary"),
+     * UIColor(named: "Brand/Primary500")
+     * @param {Object} brandbook - Brandbook data
+     * @param {Object} options - Export options
+     * @param {string} options.prefix - Namespace folder name (defaults to Brand when empty)
+     * @returns {Array<{name: string, content: string}>} Files with paths relative to the catalog's parent
+     */
+    function toXcassets(brandbook, { prefix = 'brand' } = {}) {
+        const catalog = 'Assets.xcassets';
+        const folder = `${catalog}/${toPascalCase([prefix], 'Brand')}`;
+        const info = { info: { author: 'xcode', version: 1 } };
+        const files = [
+            { name: `${catalog}/Contents.json`, content: JSON.stringify(info, null, 2) + '\n' },
+            { name: `${folder}/Contents.json`, content: JSON.stringify({ ...info, properties: { 'provides-namespace': true } }, null, 2) + '\n' }
+        ];
+
+        getColorKeys(brandbook).forEach(({ key, color }) => {
+            const name = toPascalCase([key], 'Color');
+            files.push({ name: `${folder}/${name}.colorset/Contents.json`, content: toColorset(color.hex, color.dark) });
+            ColorsModule.SCALE_STEPS.forEach(step => {
+                files.push({ name: `${folder}/${name}${step}.colorset/Contents.json`, content: toColorset(color.scale[step].hex) });
+            });
+        });
+        return files;
+    }
+
+    /**
+     * Android and iOS color resources as one file list (zip it with createZip)
+     * @param {Object} brandbook - Brandbook data
+     * @param {Object} options - See toAndroidColors
+     * @returns {Array<{name: string, content: string}>} android/res/... and ios/Assets.xcassets/... files
+     */
+    function toMobileResources(brandbook, { prefix = 'brand' } = {}) {
+        const files = [
+            { name: 'android/res/values/colors.xml', content: toAndroidColors(brandbook, { prefix }) },
+            { name: 'android/res/values/themes.xml', content: toAndroidTheme(brandbook, { prefix }) }
+        ];
+        if (brandbook.colors.some(color => color.dark)) {
+            files.push({ name: 'android/res/values-night/colors.xml', content: toAndroidColors(brandbook, { prefix, night: true }) });
+        }
+        toXcassets(brandbook, { prefix }).forEach(file => files.push({ ...file, name: `ios/${file.name}` }));
+        return files;
+    }
+
+    // Code formats offered in the developer handoff panel.
+    // Tailwind keys are used in class names (bg-primary-500), so they default to no prefix.
+    const HANDOFF_FORMATS = [
+        { id: 'css', label: 'CSS custom properties', extension: 'css', type: 'text/css', generate: toCss },
+        { id: 'scss', label: 'SCSS', extension: 'scss', type: 'text/x-scss', generate: toScss },
+        { id: 'less', label: 'Less', extension: 'less', type: 'text/x-less', generate: toLess },
+        {
+            id: 'tailwind',
+            label: 'Tailwind config (v3)',
+            fileName: 'tailwind.config.js',
+            type: 'text/javascript',
+            defaultPrefix: '',
+            generate: toTailwindConfig
+        },
+        {
+            id: 'tailwind-v4',
+            label: 'Tailwind @theme (v4)',
+            extension: 'tailwind.css',
+            type: 'text/css',
+            defaultPrefix: '',
+            generate: toTailwindTheme
+        },
+        // Android resource names are always snake_case
+        {
+            id: 'android-colors',
+            label: 'Android colors.xml',
+            fileName: 'colors.xml',
+            type: 'application/xml',
+            namingFixed: true,
+            generate: toAndroidColors
+        },
+        {
+            id: 'android-theme',
+            label: 'Android themes.xml',
+            fileName: 'themes.xml',
+            type: 'application/xml',
+            namingFixed: true,
+            generate: toAndroidTheme
+        }
+    ];
+
+    /**
+     * Get the formats offered in the developer handoff panel
+     * @returns {Array<{id: string, label: string, extension?: string, fileName?: string, type: string, defaultPrefix?: string, namingFixed?: boolean, generate: Function}>}
+     */
+    function getHandoffFormats() {
+        return [...HANDOFF_FORMATS];
+    }
+
+    /**
+     * Get the variable naming conventions
+     * @returns {Array<{id: string, label: string}>}
+     */
+    function getNamingConventions() {
+        return NAMING_CONVENTIONS.map(convention => ({ ...convention }));
+    }
+
+    /**
+     * Build a ZIP archive (browser only, needs JSZip)
+     * @param {Array<{name: string, content: string|Blob|Uint8Array}>} files - Paths inside the archive and their contents
+     * @returns {Promise<Blob>} ZIP file
+     */
+    function createZip(files) {
+        if (typeof JSZip === 'undefined') {
+            return Promise.reject(new Error('ZIP support is not available (JSZip failed to load)'));
+        }
+        const zip = new JSZip();
+        files.forEach(file => zip.file(file.name, file.content));
+        return zip.generateAsync({ type: 'blob', mimeType: 'application/zip', compression: 'DEFLATE' });
+    }
+
+    /**
+     * Save content as a file (browser only)
+     * @param {string|Blob|Uint8Array} content - File content
+     * @param {string} fileName - Download name
+     * @param {string} type - MIME type
+     */
+    function download(content, fileName, type = 'text/plain') {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    return {
+        slugify,
+        getFileBaseName,
+        getColorKeys,
+        getFontKeys,
+        toDesignTokens,
+        toDesignTokensJson,
+        formatName,
+        toCss,
+        toScss,
+        toLess,
+        toTailwindConfig,
+        toTailwindTheme,
+        toAndroidColors,
+        toAndroidTheme,
+        toXcassets,
+        toMobileResources,
+        toAse,
+        toGpl,
+        toProcreateSwatches,
+        toProcreateSwatchesFile,
+        getSwatchFormats,
+        getHandoffFormats,
+        getNamingConventions,
+        createZip,
+        download
+    };
+})(
+    typeof ColorsModule !== 'undefined' ? ColorsModule : require('./colors.js'),
+    typeof FontsModule !== 'undefined' ? FontsModule : require('./fonts.js'),
+    typeof BrandbookCore !== 'undefined' ? BrandbookCore : require('./core.js')
+);
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ExportersModule = ExportersModule;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExportersModule;
+}
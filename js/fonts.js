@@ -306,3 +306,6 @@ const FontsModule = (function() {
 if (typeof window !== 'undefined') {
     window.FontsModule = FontsModule;
 }
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FontsModule;
+}
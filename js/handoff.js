@@ -0,0 +1,158 @@
+/**
+ * Developer Handoff Module
+ * Shows generated stylesheet, Tailwind and Android code for the brandbook with copy and download actions,
+ * and bundles Android and iOS color resources as a ZIP
+ */
+
+const HandoffModule = (function() {
+    const FEEDBACK_DURATION = 2000;
+    const DEFAULT_PREFIX = 'brand';
+
+    let elements = null;
+    let feedbackTimer = null;
+    let currentFormat = null;
+
+    /**
+     * Set up the panel and keep it in sync with brandbook edits
+     */
+    function init() {
+        elements = {
+            format: document.getElementById('handoff-format'),
+            naming: document.getElementById('handoff-naming'),
+            prefix: document.getElementById('handoff-prefix'),
+            code: document.getElementById('handoff-code'),
+            feedback: document.getElementById('handoff-feedback'),
+            btnCopy: document.getElementById('btn-handoff-copy'),
+            btnDownload: document.getElementById('btn-handoff-download'),
+            btnMobile: document.getElementById('btn-handoff-mobile')
+        };
+        if (!elements.code) return;
+
+        ExportersModule.getHandoffFormats().forEach(format => {
+            elements.format.appendChild(createOption(format.id, format.label));
+        });
+        ExportersModule.getNamingConventions().forEach(convention => {
+            elements.naming.appendChild(createOption(convention.id, convention.label));
+        });
+
+        currentFormat = getSelectedFormat();
+        elements.prefix.value = getDefaultPrefix(currentFormat);
+        elements.naming.disabled = Boolean(currentFormat.namingFixed);
+
+        elements.format.addEventListener('change', handleFormatChange);
+        elements.naming.addEventListener('change', render);
+        elements.prefix.addEventListener('input', render);
+        elements.btnCopy.addEventListener('click', copyCode);
+        elements.btnDownload.addEventListener('click', downloadCode);
+        elements.btnMobile.addEventListener('click', downloadMobileResources);
+
+        BrandbookModule.subscribe('change', render);
+        render();
+    }
+
+    function createOption(value, label) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        return option;
+    }
+
+    function getDefaultPrefix(format) {
+        return format.defaultPrefix ?? DEFAULT_PREFIX;
+    }
+
+    /**
+     * Switch format; an untouched prefix follows the format's default (none for Tailwind).
+     * Formats with a required naming style (Android) disable the naming picker.
+     */
+    function handleFormatChange() {
+        const format = getSelectedFormat();
+        if (elements.prefix.value.trim() === getDefaultPrefix(currentFormat)) {
+            elements.prefix.value = getDefaultPrefix(format);
+        }
+        currentFormat = format;
+        elements.naming.disabled = Boolean(format.namingFixed);
+        render();
+    }
+
+    function getSelectedFormat() {
+        const formats = ExportersModule.getHandoffFormats();
+        return formats.find(format => format.id === elements.format.value) || formats[0];
+    }
+
+    /**
+     * Generate code in the selected format
+     * @returns {string} Code
+     */
+    function generate() {
+        return getSelectedFormat().generate(BrandbookModule.getBrandbook(), {
+            naming: elements.naming.value,
+            prefix: elements.prefix.value.trim()
+        });
+    }
+
+    /**
+     * Refresh the code preview
+     */
+    function render() {
+        elements.code.textContent = generate();
+    }
+
+    async function copyCode() {
+        const code = generate();
+        try {
+            await navigator.clipboard.writeText(code);
+        } catch (err) {
+            // Fallback for browsers that don't support clipboard API
+            const selection = window.getSelection();
+            const range = document.createRange();
+            range.selectNodeContents(elements.code);
+            selection.removeAllRanges();
+            selection.addRange(range);
+            document.execCommand('copy');
+            selection.removeAllRanges();
+        }
+        showFeedback('Copied to clipboard');
+    }
+
+    function downloadCode() {
+        const format = getSelectedFormat();
+        const fileName = format.fileName || `${ExportersModule.getFileBaseName(BrandbookModule.getBrandbook())}.${format.extension}`;
+        ExportersModule.download(generate(), fileName, format.type);
+        showFeedback(`Downloaded ${fileName}`);
+    }
+
+    /**
+     * Download Android resources and an iOS asset catalog, named with the current prefix
+     */
+    async function downloadMobileResources() {
+        const brandbook = BrandbookModule.getBrandbook();
+        const fileName = `${ExportersModule.getFileBaseName(brandbook)}-mobile.zip`;
+        try {
+            const files = ExportersModule.toMobileResources(brandbook, { prefix: elements.prefix.value.trim() });
+            ExportersModule.download(await ExportersModule.createZip(files), fileName, 'application/zip');
+            showFeedback(`Downloaded ${fileName}`);
+        } catch (error) {
+            console.warn('Mobile resources export failed:', error);
+            showFeedback(`Export failed: ${error.message}`);
+        }
+    }
+
+    function showFeedback(message) {
+        clearTimeout(feedbackTimer);
+        elements.feedback.textContent = message;
+        feedbackTimer = setTimeout(() => {
+            elements.feedback.textContent = '';
+        }, FEEDBACK_DURATION);
+    }
+
+    return {
+        init,
+        render
+    };
+})();
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.HandoffModule = HandoffModule;
+}
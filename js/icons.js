@@ -0,0 +1,385 @@
+/**
+ * Icons Module
+ * Generates favicons, touch icons, maskable Android icons and a web app manifest from the logo,
+ * and shows how they look in a browser tab and on a home screen.
+ * ICO encoding and the manifest are environment-agnostic; rendering and the panel are browser-only.
+ */
+
+const IconsModule = (function(BrandbookCore) {
+    const ICO_SIZES = [16, 32, 48];
+
+    // Maskable icons may be cropped to any shape inside the central circle of 80% diameter
+    const MASKABLE_SAFE_ZONE = 0.8;
+
+    // iOS fills transparency with black, so touch icons get the background color and some breathing room
+    const TOUCH_ICON_PADDING = 0.12;
+
+    // Chrome truncates longer home screen labels
+    const MAX_SHORT_NAME = 12;
+
+    const DEFAULT_BACKGROUND = '#FFFFFF';
+
+    // Small square icons read best with the icon mark, then the stacked lockup
+    const ICON_LOGO_VARIANTS = ['icon', 'stacked'];
+
+    const ICON_FILES = [
+        { name: 'favicon-16x16.png', size: 16 },
+        { name: 'favicon-32x32.png', size: 32 },
+        { name: 'apple-touch-icon.png', size: 180, background: true, padding: TOUCH_ICON_PADDING },
+        { name: 'android-chrome-192x192.png', size: 192 },
+        { name: 'android-chrome-512x512.png', size: 512 },
+        { name: 'maskable-icon-192x192.png', size: 192, maskable: true },
+        { name: 'maskable-icon-512x512.png', size: 512, maskable: true }
+    ];
+
+    const FEEDBACK_DURATION = 2000;
+
+    let elements = null;
+    let feedbackTimer = null;
+    let backgroundId = null;
+    let renderToken = 0;
+    let cachedImage = null;
+
+    // Inputs of the last rendered background picker and icon previews; edits that change
+    // neither (such as typing in a usage note) skip the rebuild and rasterizing
+    let lastOptionsKey = null;
+    let lastPreview = { url: null, background: null };
+
+    /**
+     * Icon background: the chosen palette color, else the background role color, else white
+     * @param {Object} brandbook - Brandbook data
+     * @param {string|null} colorId - Palette color id picked in the panel
+     * @returns {string} Hex color
+     */
+    function getIconBackground(brandbook, colorId = null) {
+        const chosen = colorId && brandbook.colors.find(color => color.id === colorId);
+        if (chosen) return chosen.hex;
+        const background = BrandbookCore.getColorByRole('background', brandbook);
+        return background ? background.hex : DEFAULT_BACKGROUND;
+    }
+
+    /**
+     * Home screen label: the brand name, or its first word when the name is too long
+     * @param {string} name - Brand name
+     * @returns {string} At most 12 characters
+     */
+    function getShortName(name) {
+        const trimmed = name.trim() || 'Brand';
+        if (trimmed.length <= MAX_SHORT_NAME) return trimmed;
+        return trimmed.split(/\s+/)[0].slice(0, MAX_SHORT_NAME);
+    }
+
+    /**
+     * Web app manifest with the primary color as theme_color
+     * @param {Object} brandbook - Brandbook data
+     * @param {Object} options
+     * @param {string} options.background - Icon background, also used for the splash screen
+     * @returns {string} site.webmanifest JSON
+     */
+    function toWebManifest(brandbook, { background = getIconBackground(brandbook) } = {}) {
+        const icon = (file, purpose) => ({
+            src: `/${file.name}`,
+            sizes: `${file.size}x${file.size}`,
+            type: 'image/png',
+            purpose
+        });
+        const manifest = {
+            name: brandbook.meta.name,
+            short_name: getShortName(brandbook.meta.name),
+            icons: [
+                ...ICON_FILES.filter(file => file.name.startsWith('android-chrome')).map(file => icon(file, 'any')),
+                ...ICON_FILES.filter(file => file.maskable).map(file => icon(file, 'maskable'))
+            ],
+            theme_color: BrandbookCore.getRoleColors(brandbook).primary.toLowerCase(),
+            background_color: background.toLowerCase(),
+            display: 'standalone',
+            start_url: '/'
+        };
+        return JSON.stringify(manifest, null, 2) + '\n';
+    }
+
+    /**
+     * Tags to paste into the page <head>
+     * @param {Object} brandbook - Brandbook data
+     * @param {Object} options
+     * @param {boolean} options.svg - Whether favicon.svg is part of the set
+     * @returns {string} HTML
+     */
+    function getHeadTags(brandbook, { svg = false } = {}) {
+        return [
+            '<link rel="icon" href="/favicon.ico" sizes="48x48">',
+            ...(svg ? ['<link rel="icon" href="/favicon.svg" type="image/svg+xml">'] : []),
+            '<link rel="icon" href="/favicon-32x32.png" type="image/png" sizes="32x32">',
+            '<link rel="icon" href="/favicon-16x16.png" type="image/png" sizes="16x16">',
+            '<link rel="apple-touch-icon" href="/apple-touch-icon.png">',
+            '<link rel="manifest" href="/site.webmanifest">',
+            `<meta name="theme-color" content="${BrandbookCore.getRoleColors(brandbook).primary.toLowerCase()}">`
+        ].join('\n') + '\n';
+    }
+
+    /**
+     * Pack PNG images into a Windows icon file (PNG-compressed entries, Windows Vista and later)
+     * @param {Array<{size: number, bytes: Uint8Array}>} images - Square PNGs up to 256px
+     * @returns {Uint8Array} .ico file contents
+     */
+    function encodeIco(images) {
+        const headerSize = 6 + images.length * 16;
+        const total = images.reduce((sum, image) => sum + image.bytes.length, headerSize);
+        const bytes = new Uint8Array(total);
+        const view = new DataView(bytes.buffer);
+
+        view.setUint16(2, 1, true); // Type: icon
+        view.setUint16(4, images.length, true);
+
+        let offset = headerSize;
+        images.forEach((image, index) => {
+            const entry = 6 + index * 16;
+            // 0 means 256
+            view.setUint8(entry, image.size >= 256 ? 0 : image.size);
+            view.setUint8(entry + 1, image.size >= 256 ? 0 : image.size);
+            view.setUint16(entry + 4, 1, true); // Color planes
+            view.setUint16(entry + 6, 32, true); // Bits per pixel
+            view.setUint32(entry + 8, image.bytes.length, true);
+            view.setUint32(entry + 12, offset, true);
+            bytes.set(image.bytes, offset);
+            offset += image.bytes.length;
+        });
+        return bytes;
+    }
+
+    /**
+     * Draw the logo as a square icon (browser only)
+     * @param {HTMLImageElement} image - Loaded logo
+     * @param {number} size - Icon size in pixels
+     * @param {Object} options
+     * @param {string|null} options.background - Fill color, or null for transparent
+     * @param {boolean} options.maskable - Keep the logo inside the maskable safe zone
+     * @param {number} options.padding - Margin on each side as a share of the size
+     * @returns {HTMLCanvasElement} Canvas
+     */
+    function renderIcon(image, size, { background = null, maskable = false, padding = 0 } = {}) {
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+
+        if (background) {
+            ctx.fillStyle = background;
+            ctx.fillRect(0, 0, size, size);
+        }
+
+        const sourceWidth = image.naturalWidth || size;
+        const sourceHeight = image.naturalHeight || size;
+        // A maskable logo's corners must stay inside the safe circle, so fit its diagonal
+        const scale = maskable
+            ? (size * MASKABLE_SAFE_ZONE) / Math.hypot(sourceWidth, sourceHeight)
+            : (size * (1 - padding * 2)) / Math.max(sourceWidth, sourceHeight);
+        const width = sourceWidth * scale;
+        const height = sourceHeight * scale;
+        ctx.drawImage(image, (size - width) / 2, (size - height) / 2, width, height);
+        return canvas;
+    }
+
+    /**
+     * Render the full icon set (browser only)
+     * @param {Object} brandbook - Brandbook data
+     * @param {Object} options
+     * @param {string} options.background - Background for touch and maskable icons
+     * @returns {Promise<Array<{name: string, content: Blob|Uint8Array|string}>>} Files for the site root
+     */
+    async function createIconFiles(brandbook, { background = getIconBackground(brandbook) } = {}) {
+        const url = BrandbookCore.getLogoUrl(brandbook, ICON_LOGO_VARIANTS);
+        if (!url) {
+            throw new Error('Upload a logo first');
+        }
+        const image = await loadImage(url);
+        const files = [];
+
+        const icoImages = [];
+        for (const size of ICO_SIZES) {
+            const blob = await canvasToBlob(renderIcon(image, size));
+            icoImages.push({ size, bytes: new Uint8Array(await blob.arrayBuffer()) });
+        }
+        files.push({ name: 'favicon.ico', content: encodeIco(icoImages) });
+
+        // Browsers that support SVG favicons scale the original crisply
+        if (url.startsWith('data:image/svg')) {
+            const response = await fetch(url);
+            files.push({ name: 'favicon.svg', content: await response.blob() });
+        }
+
+        for (const file of ICON_FILES) {
+            const canvas = renderIcon(image, file.size, {
+                background: (file.background || file.maskable) ? background : null,
+                maskable: file.maskable,
+                padding: file.padding
+            });
+            files.push({ name: file.name, content: await canvasToBlob(canvas) });
+        }
+
+        files.push({ name: 'site.webmanifest', content: toWebManifest(brandbook, { background }) });
+        files.push({ name: 'head-snippet.html', content: getHeadTags(brandbook, { svg: url.startsWith('data:image/svg') }) });
+        return files;
+    }
+
+    /**
+     * Set up the App Icons panel and keep its previews in sync with brandbook edits
+     */
+    function init() {
+        elements = {
+            panel: document.getElementById('icons-panel'),
+            empty: document.getElementById('icons-empty'),
+            background: document.getElementById('icons-background'),
+            tabFavicon: document.getElementById('icons-tab-favicon'),
+            tabTitle: document.getElementById('icons-tab-title'),
+            homeAndroid: document.getElementById('icons-home-android'),
+            homeIos: document.getElementById('icons-home-ios'),
+            homeLabels: document.querySelectorAll('.icons-home-label'),
+            code: document.getElementById('icons-code'),
+            feedback: document.getElementById('icons-feedback'),
+            btnDownload: document.getElementById('btn-icons-download')
+        };
+        if (!elements.panel) return;
+
+        elements.background.addEventListener('change', () => {
+            backgroundId = elements.background.value || null;
+            render();
+        });
+        elements.btnDownload.addEventListener('click', downloadIcons);
+
+        BrandbookModule.subscribe('change', render);
+        render();
+    }
+
+    /**
+     * Refresh the background picker, previews and head snippet
+     */
+    async function render() {
+        const brandbook = BrandbookModule.getBrandbook();
+        const url = BrandbookCore.getLogoUrl(brandbook, ICON_LOGO_VARIANTS);
+
+        renderBackgroundOptions(brandbook);
+        const background = getIconBackground(brandbook, backgroundId);
+        const shortName = getShortName(brandbook.meta.name);
+
+        elements.tabTitle.textContent = brandbook.meta.name;
+        elements.homeLabels.forEach(label => { label.textContent = shortName; });
+        elements.code.textContent = getHeadTags(brandbook, { svg: Boolean(url && url.startsWith('data:image/svg')) }) + '\n' + toWebManifest(brandbook, { background });
+        elements.empty.hidden = Boolean(url);
+        elements.btnDownload.disabled = !url;
+
+        if (url === lastPreview.url && background === lastPreview.background) return;
+        lastPreview = { url, background };
+        const token = ++renderToken;
+
+        if (!url) {
+            [elements.tabFavicon, elements.homeAndroid, elements.homeIos].forEach(img => img.removeAttribute('src'));
+            return;
+        }
+
+        let image;
+        try {
+            image = await getCachedImage(url);
+        } catch (error) {
+            cachedImage = null;
+            lastPreview = { url: null, background: null };
+            console.warn('Could not render icon previews:', error);
+            return;
+        }
+        // A newer edit started rendering while the logo loaded
+        if (token !== renderToken) return;
+
+        elements.tabFavicon.src = renderIcon(image, 32).toDataURL('image/png');
+        elements.homeAndroid.src = renderIcon(image, 192, { background, maskable: true }).toDataURL('image/png');
+        elements.homeIos.src = renderIcon(image, 180, { background, padding: TOUCH_ICON_PADDING }).toDataURL('image/png');
+    }
+
+    function renderBackgroundOptions(brandbook) {
+        const select = elements.background;
+        if (backgroundId && !brandbook.colors.some(color => color.id === backgroundId)) {
+            backgroundId = null;
+        }
+
+        const key = JSON.stringify([backgroundId, getIconBackground(brandbook), brandbook.colors.map(({ id, name, role, hex }) => [id, name, role, hex])]);
+        if (key === lastOptionsKey) return;
+        lastOptionsKey = key;
+
+        const automatic = document.createElement('option');
+        automatic.value = '';
+        automatic.textContent = `Auto (${getIconBackground(brandbook)})`;
+        const options = [automatic, ...brandbook.colors.map(color => {
+            const option = document.createElement('option');
+            option.value = color.id;
+            option.textContent = `${color.name || color.role} (${color.hex})`;
+            return option;
+        })];
+        select.replaceChildren(...options);
+        select.value = backgroundId || '';
+    }
+
+    async function downloadIcons() {
+        const brandbook = BrandbookModule.getBrandbook();
+        const fileName = `${ExportersModule.getFileBaseName(brandbook)}-icons.zip`;
+        try {
+            const files = await createIconFiles(brandbook, { background: getIconBackground(brandbook, backgroundId) });
+            ExportersModule.download(await ExportersModule.createZip(files), fileName, 'application/zip');
+            showFeedback(`Downloaded ${fileName}`);
+        } catch (error) {
+            console.warn('Icon export failed:', error);
+            showFeedback(`Export failed: ${error.message}`);
+        }
+    }
+
+    function getCachedImage(url) {
+        if (!cachedImage || cachedImage.url !== url) {
+            cachedImage = { url, image: loadImage(url) };
+        }
+        return cachedImage.image;
+    }
+
+    function loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('Could not load the logo image'));
+            image.src = src;
+        });
+    }
+
+    function canvasToBlob(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not render icon'))), 'image/png');
+        });
+    }
+
+    function showFeedback(message) {
+        clearTimeout(feedbackTimer);
+        elements.feedback.textContent = message;
+        feedbackTimer = setTimeout(() => {
+            elements.feedback.textContent = '';
+        }, FEEDBACK_DURATION);
+    }
+
+    return {
+        getIconBackground,
+        getShortName,
+        toWebManifest,
+        getHeadTags,
+        encodeIco,
+        renderIcon,
+        createIconFiles,
+        init,
+        render
+    };
+})(
+    typeof BrandbookCore !== 'undefined' ? BrandbookCore : require('./core.js')
+);
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.IconsModule = IconsModule;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IconsModule;
+}
@@ -0,0 +1,532 @@
+/**
+ * Importers Module
+ * Reads colors (and fonts, where present) from palette files made by other tools:
+ * Adobe Swatch Exchange, GIMP palettes, CSS custom properties and design token JSON.
+ * Parsers are environment-agnostic; readFile() is browser-only.
+ */
+
+const ImportersModule = (function(ColorsModule, SchemaModule) {
+    // Colors beyond this many are set to Skip in the mapping suggestions
+    const MAX_SUGGESTED_COLORS = 12;
+
+    const FORMAT_LABELS = {
+        ase: 'Adobe Swatch Exchange',
+        gpl: 'GIMP palette',
+        css: 'CSS custom properties',
+        tokens: 'design tokens'
+    };
+
+    // Words in color names that hint at a role, besides the role names themselves
+    const ROLE_SYNONYMS = {
+        brand: 'primary',
+        main: 'primary',
+        highlight: 'accent',
+        gray: 'neutral',
+        grey: 'neutral',
+        bg: 'background',
+        surface: 'background',
+        fg: 'text',
+        foreground: 'text',
+        ink: 'text',
+        danger: 'error',
+        destructive: 'error',
+        caution: 'warning',
+        positive: 'success'
+    };
+
+    const FONT_SLOT_HINTS = {
+        primary: ['primary', 'heading', 'headings', 'display', 'title', 'headline'],
+        secondary: ['secondary', 'body', 'text', 'base', 'copy', 'paragraph']
+    };
+
+    const GENERIC_FONT_FAMILIES = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'ui-sans-serif', 'ui-serif', 'ui-monospace', 'inherit', 'initial'];
+
+    const SCALE_SUFFIX = new RegExp(`^(.+?)[-_.]?(${ColorsModule.SCALE_STEPS.join('|')})$`);
+    const BASE_SUFFIX = /[-_.](base|default)$/i;
+
+    /**
+     * Work out the format from a file name
+     * @param {string} fileName - File name
+     * @returns {string|null} 'ase', 'gpl', 'css', 'json' (brandbook or tokens), 'brandbook' or null
+     */
+    function getFormat(fileName) {
+        const match = /\.([a-z0-9]+)$/i.exec(fileName);
+        const extension = match ? match[1].toLowerCase() : '';
+        if (['ase', 'gpl', 'css', 'brandbook', 'json'].includes(extension)) return extension;
+        if (extension === 'tokens') return 'json';
+        return null;
+    }
+
+    /**
+     * Check whether parsed JSON is a brandbook rather than a token file
+     * @param {*} data - Parsed JSON
+     * @returns {boolean}
+     */
+    function isBrandbookData(data) {
+        return Boolean(data) && typeof data === 'object' && 'version' in data && 'colors' in data;
+    }
+
+    /**
+     * Parse a CSS color value (hex, rgb() or hsl()); alpha is dropped
+     * @param {string} value - CSS color
+     * @returns {string|null} Uppercase #RRGGBB or null if not a supported color
+     */
+    function parseColorValue(value) {
+        const text = String(value).trim().toLowerCase();
+
+        const hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(text);
+        if (hex) {
+            const digits = hex[1].length <= 4
+                ? hex[1].slice(0, 3).split('').map(digit => digit + digit).join('')
+                : hex[1].slice(0, 6);
+            return `#${digits.toUpperCase()}`;
+        }
+
+        const fn = /^(rgba?|hsla?)\(([^)]*)\)$/.exec(text);
+        if (!fn) return null;
+        const parts = fn[2].split(/[\s,/]+/).filter(Boolean);
+        if (parts.length < 3) return null;
+
+        if (fn[1].startsWith('rgb')) {
+            const channels = parts.slice(0, 3).map(part => part.endsWith('%') ? parseFloat(part) * 2.55 : parseFloat(part));
+            if (channels.some(Number.isNaN)) return null;
+            return ColorsModule.rgbToHex({ r: channels[0], g: channels[1], b: channels[2] });
+        }
+
+        const [h, s, l] = [parseFloat(parts[0]), parseFloat(parts[1]) / 100, parseFloat(parts[2]) / 100];
+        if ([h, s, l].some(Number.isNaN)) return null;
+        const k = (n) => (n + h / 30) % 12;
+        const a = s * Math.min(l, 1 - l);
+        const channel = (n) => 255 * (l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1)));
+        return ColorsModule.rgbToHex({ r: channel(0), g: channel(8), b: channel(4) });
+    }
+
+    /**
+     * Read an Adobe Swatch Exchange file. RGB, CMYK and Gray swatches are read; LAB swatches are skipped.
+     * @param {ArrayBuffer|Uint8Array} buffer - File contents
+     * @returns {Object} Palette (see parse)
+     * @throws {Error} If the file is not a valid ASE file
+     */
+    function parseAse(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const signature = String.fromCharCode(...bytes.slice(0, 4));
+        if (bytes.length < 12 || signature !== 'ASEF') {
+            throw new Error('Not an Adobe Swatch Exchange file');
+        }
+
+        const palette = { format: 'ase', name: '', colors: [], fonts: [], warnings: [] };
+        const blockCount = view.getUint32(8);
+        let offset = 12;
+        let skipped = 0;
+
+        const readName = (end) => {
+            const length = view.getUint16(offset);
+            offset += 2;
+            if (offset + length * 2 > end) throw new Error('Adobe Swatch Exchange file is damaged');
+            let name = '';
+            for (let i = 0; i < length; i++) {
+                const code = view.getUint16(offset + i * 2);
+                if (code !== 0) name += String.fromCharCode(code);
+            }
+            offset += length * 2;
+            return name.trim();
+        };
+
+        for (let block = 0; block < blockCount; block++) {
+            if (offset + 6 > bytes.length) throw new Error('Adobe Swatch Exchange file is truncated');
+            const type = view.getUint16(offset);
+            const end = offset + 6 + view.getUint32(offset + 2);
+            offset += 6;
+            if (end > bytes.length) throw new Error('Adobe Swatch Exchange file is truncated');
+
+            if (type === 0xC001 && !palette.name) {
+                palette.name = readName(end);
+            } else if (type === 0x0001) {
+                const name = readName(end);
+                const model = String.fromCharCode(...bytes.slice(offset, offset + 4));
+                offset += 4;
+                const values = [];
+                const count = { 'RGB ': 3, CMYK: 4, Gray: 1, 'LAB ': 3 }[model] || 0;
+                if (offset + count * 4 > end) throw new Error('Adobe Swatch Exchange file is damaged');
+                for (let i = 0; i < count; i++) values.push(view.getFloat32(offset + i * 4));
+
+                let rgb = null;
+                if (model === 'RGB ') {
+                    rgb = { r: values[0] * 255, g: values[1] * 255, b: values[2] * 255 };
+                } else if (model === 'CMYK') {
+                    const [c, m, y, k] = values;
+                    rgb = { r: 255 * (1 - c) * (1 - k), g: 255 * (1 - m) * (1 - k), b: 255 * (1 - y) * (1 - k) };
+                } else if (model === 'Gray') {
+                    rgb = { r: values[0] * 255, g: values[0] * 255, b: values[0] * 255 };
+                }
+
+                if (rgb) {
+                    palette.colors.push({ key: name, name, hex: ColorsModule.rgbToHex(rgb) });
+                } else {
+                    skipped++;
+                }
+            }
+            offset = end;
+        }
+
+        if (skipped > 0) {
+            palette.warnings.push(`${skipped} swatch${skipped === 1 ? '' : 'es'} in an unsupported color model (such as LAB) skipped`);
+        }
+        return palette;
+    }
+
+    /**
+     * Read a GIMP palette (.gpl)
+     * @param {string} text - File contents
+     * @returns {Object} Palette (see parse)
+     * @throws {Error} If the header is missing
+     */
+    function parseGpl(text) {
+        const lines = text.split(/\r?\n/);
+        if (lines[0].replace(/^\uFEFF/, '').trim() !== 'GIMP Palette') {
+            throw new Error('Not a GIMP palette (missing "GIMP Palette" header)');
+        }
+
+        const palette = { format: 'gpl', name: '', colors: [], fonts: [], warnings: [] };
+        lines.slice(1).forEach(line => {
+            const header = /^Name:\s*(.*)$/.exec(line);
+            if (header) {
+                palette.name = header[1].trim();
+                return;
+            }
+            const color = /^\s*(\d{1,3})\s+(\d{1,3})\s+(\d{1,3})\s*(.*)$/.exec(line);
+            if (!color) return;
+
+            const hex = ColorsModule.rgbToHex({ r: Number(color[1]), g: Number(color[2]), b: Number(color[3]) });
+            const name = color[4].trim();
+            // GIMP writes "Untitled" for unnamed entries
+            palette.colors.push({ key: name || hex, name: name === 'Untitled' ? '' : name, hex });
+        });
+        return palette;
+    }
+
+    /**
+     * First named family of a font-family value
+     * @param {string|string[]} value - Font stack
+     * @returns {string|null} Family or null for generic-only stacks
+     */
+    function getFontFamily(value) {
+        const families = (Array.isArray(value) ? value : String(value).split(','))
+            .map(family => String(family).trim().replace(/^['"]|['"]$/g, '').trim())
+            .filter(family => family && !GENERIC_FONT_FAMILIES.includes(family.toLowerCase()));
+        return families[0] || null;
+    }
+
+    /**
+     * Read CSS custom properties. Colors use hex, rgb() or hsl() values (or var() references
+     * to them); properties with "font" in the name are read as font stacks. A comment after a
+     * color declaration is used as its name.
+     * @param {string} text - Stylesheet
+     * @returns {Object} Palette (see parse)
+     */
+    function parseCss(text) {
+        const palette = { format: 'css', name: '', colors: [], fonts: [], warnings: [] };
+        const values = new Map();
+        const declaration = /(--[\w-]+)\s*:\s*([^;}]+?)\s*(?:;|(?=\}))[ \t]*(?:\/\*\s*(.*?)\s*\*\/)?/g;
+
+        let match;
+        while ((match = declaration.exec(text)) !== null) {
+            const [, property, value, comment] = match;
+            // The first definition wins (later ones are usually dark mode or media overrides)
+            if (!values.has(property)) {
+                values.set(property, { value, comment: comment || '' });
+            }
+        }
+
+        const resolve = (value, depth = 0) => {
+            const reference = /^var\(\s*(--[\w-]+)\s*(?:,\s*(.+))?\)$/.exec(value.trim());
+            if (!reference || depth > 5) return value;
+            const target = values.get(reference[1]);
+            if (target) return resolve(target.value, depth + 1);
+            return reference[2] ? resolve(reference[2], depth + 1) : value;
+        };
+
+        values.forEach(({ value, comment }, property) => {
+            const key = property.slice(2);
+            const resolved = resolve(value);
+            const hex = parseColorValue(resolved);
+            if (hex) {
+                palette.colors.push({ key, name: comment, hex });
+            } else if (/font/i.test(key) && !/size|weight|height|spacing/i.test(key)) {
+                const family = getFontFamily(resolved);
+                if (family) palette.fonts.push({ key, family });
+            }
+        });
+        return palette;
+    }
+
+    /**
+     * Read a design token file: W3C DTCG ($value/$type, including aliases and sRGB color objects)
+     * or the older Style Dictionary shape (value/type)
+     * @param {Object} data - Parsed JSON
+     * @returns {Object} Palette (see parse)
+     */
+    function parseDesignTokens(data) {
+        const palette = {
+            format: 'tokens',
+            name: '',
+            colors: [],
+            fonts: [],
+            warnings: []
+        };
+        const tokens = new Map();
+
+        // A group's description also names its base token (color.primary.base)
+        const walk = (node, path, inheritedType, groupDescription = '') => {
+            if (!node || typeof node !== 'object' || Array.isArray(node)) return;
+            const type = node.$type || inheritedType;
+            const hasValue = '$value' in node || ('value' in node && typeof node.value !== 'object');
+            if (hasValue) {
+                tokens.set(path.join('.'), {
+                    path,
+                    type: type || node.type,
+                    value: '$value' in node ? node.$value : node.value,
+                    description: node.$description || node.description || (BASE_SUFFIX.test(`.${path[path.length - 1]}`) ? groupDescription : '')
+                });
+                return;
+            }
+            Object.entries(node).forEach(([key, child]) => {
+                if (!key.startsWith('$')) walk(child, [...path, key], type, node.$description || '');
+            });
+        };
+        walk(data, [], null);
+
+        const resolve = (value, depth = 0) => {
+            const alias = typeof value === 'string' ? /^\{([^}]+)\}$/.exec(value.trim()) : null;
+            if (!alias || depth > 5) return value;
+            const target = tokens.get(alias[1]);
+            return target ? resolve(target.value, depth + 1) : value;
+        };
+
+        const toHex = (value) => {
+            if (typeof value === 'string') return parseColorValue(value);
+            if (value && typeof value === 'object') {
+                if (typeof value.hex === 'string') return parseColorValue(value.hex);
+                if (value.colorSpace === 'srgb' && Array.isArray(value.components)) {
+                    const [r, g, b] = value.components.map(component => Number(component) * 255);
+                    return ColorsModule.rgbToHex({ r, g, b });
+                }
+            }
+            return null;
+        };
+
+        // Descriptions written by this app read "Sunset Orange (primary)"
+        const roleSuffix = new RegExp(`\\s*\\((${SchemaModule.COLOR_ROLES.join('|')})\\)$`);
+
+        tokens.forEach((token, key) => {
+            const value = resolve(token.value);
+            const isFont = token.type === 'fontFamily' || (!token.type && token.path.some(part => /font/i.test(part)) && token.path.some(part => /family/i.test(part)));
+            if (isFont) {
+                const family = getFontFamily(value);
+                if (family) palette.fonts.push({ key, family });
+                return;
+            }
+            if (token.type && token.type !== 'color') return;
+
+            const hex = toHex(value);
+            if (hex) {
+                const description = String(token.description).replace(roleSuffix, '').trim();
+                palette.colors.push({ key, name: description.length <= 40 ? description : '', hex });
+            }
+        });
+
+        if (data && typeof data.$description === 'string') {
+            palette.name = data.$description.replace(/^Design tokens for /, '');
+        }
+        return palette;
+    }
+
+    /**
+     * Drop the scale steps of colors that are also present as a base color
+     * (brand-primary-50 ... brand-primary-900 next to brand-primary). A scale without a base
+     * keeps its 500 step under the scale's name; without a 500 step all steps are kept.
+     * @param {Array<{key: string}>} colors - Discovered colors
+     * @returns {Array<{key: string}>} Colors without scale steps
+     */
+    function collapseScales(colors) {
+        const baseKey = (key) => key.replace(BASE_SUFFIX, '');
+        const bases = new Set(colors.map(color => baseKey(color.key)).filter(key => !SCALE_SUFFIX.test(key)));
+        const scaleOf = (key) => {
+            const match = SCALE_SUFFIX.exec(key);
+            return match ? { scale: match[1], step: Number(match[2]) } : null;
+        };
+
+        const withBaseStep = new Set(colors
+            .map(color => scaleOf(color.key))
+            .filter(scale => scale && scale.step === 500)
+            .map(scale => scale.scale));
+
+        return colors
+            .filter(color => {
+                const scale = scaleOf(color.key);
+                if (!scale) return true;
+                if (bases.has(scale.scale) || bases.has(baseKey(scale.scale))) return false;
+                return !withBaseStep.has(scale.scale) || scale.step === 500;
+            })
+            .map(color => {
+                const scale = scaleOf(color.key);
+                const collapsed = scale && withBaseStep.has(scale.scale) ? scale.scale : color.key;
+                return { ...color, key: baseKey(collapsed) };
+            });
+    }
+
+    /**
+     * Parse palette file contents
+     * @param {string} format - 'ase', 'gpl', 'css' or 'tokens'
+     * @param {string|ArrayBuffer|Uint8Array|Object} content - Binary for ASE, text for GPL and CSS, text or parsed JSON for tokens
+     * @returns {{format: string, name: string, colors: Array<{key: string, name: string, hex: string}>, fonts: Array<{key: string, family: string}>, warnings: string[]}}
+     * @throws {Error} If the file cannot be read or holds no colors
+     */
+    function parse(format, content) {
+        let palette;
+        if (format === 'ase') {
+            palette = parseAse(content);
+        } else if (format === 'gpl') {
+            palette = parseGpl(content);
+        } else if (format === 'css') {
+            palette = parseCss(content);
+        } else if (format === 'tokens') {
+            let data = content;
+            if (typeof content === 'string') {
+                try {
+                    data = JSON.parse(content);
+                } catch (error) {
+                    throw new Error('Failed to parse token file: ' + error.message);
+                }
+            }
+            palette = parseDesignTokens(data);
+        } else {
+            throw new Error(`Unsupported palette format: ${format}`);
+        }
+
+        if (format !== 'ase' && format !== 'gpl') {
+            palette.colors = collapseScales(palette.colors);
+        }
+
+        // Identical entries (same key and color) appear when files repeat definitions
+        const seen = new Set();
+        palette.colors = palette.colors.filter(color => {
+            const id = `${color.key}|${color.hex}`;
+            if (seen.has(id)) return false;
+            seen.add(id);
+            return true;
+        });
+
+        if (palette.colors.length === 0) {
+            throw new Error(`No colors found in this ${FORMAT_LABELS[format]} file`);
+        }
+        return palette;
+    }
+
+    function getWords(text) {
+        return String(text)
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .toLowerCase()
+            .split(/[^a-z]+/)
+            .filter(Boolean);
+    }
+
+    /**
+     * Suggest a role for each discovered color: a role name (or else a synonym) in the color's key or name,
+     * otherwise primary, secondary and accent in order, then neutral; colors past
+     * MAX_SUGGESTED_COLORS are skipped ('').
+     * @param {Array<{key: string, name: string}>} colors - Discovered colors
+     * @returns {string[]} Role per color
+     */
+    function suggestColorRoles(colors) {
+        const roles = colors.map(color => {
+            const words = getWords(`${color.key} ${color.name}`);
+            const role = words.find(word => SchemaModule.COLOR_ROLES.includes(word));
+            const synonym = words.find(word => ROLE_SYNONYMS[word]);
+            return role || (synonym ? ROLE_SYNONYMS[synonym] : null);
+        });
+
+        const open = ['primary', 'secondary', 'accent'].filter(role => !roles.includes(role));
+        let suggested = roles.filter(Boolean).length;
+        return roles.map(role => {
+            if (role) return role;
+            if (suggested >= MAX_SUGGESTED_COLORS) return '';
+            suggested++;
+            return open.shift() || 'neutral';
+        });
+    }
+
+    /**
+     * Suggest which discovered font goes into each typography slot
+     * @param {Array<{key: string, family: string}>} fonts - Discovered fonts
+     * @returns {{primary: string|null, secondary: string|null}} Font families
+     */
+    function suggestFonts(fonts) {
+        const suggestion = { primary: null, secondary: null };
+        const remaining = [...fonts];
+
+        Object.entries(FONT_SLOT_HINTS).forEach(([slot, hints]) => {
+            const index = remaining.findIndex(font => getWords(font.key).some(word => hints.includes(word)));
+            if (index !== -1) {
+                suggestion[slot] = remaining.splice(index, 1)[0].family;
+            }
+        });
+        Object.keys(suggestion).forEach(slot => {
+            if (!suggestion[slot] && remaining.length > 0) {
+                suggestion[slot] = remaining.shift().family;
+            }
+        });
+        return suggestion;
+    }
+
+    /**
+     * Read a file chosen for import (browser only)
+     * @param {File} file - Selected file
+     * @returns {Promise<Object|null>} Palette (see parse), or null for .brandbook files
+     * @throws {Error} If the file type is not supported or the palette cannot be read
+     */
+    async function readFile(file) {
+        const format = getFormat(file.name);
+        if (format === 'brandbook') return null;
+        if (format === 'ase') return parse('ase', await file.arrayBuffer());
+        if (format === 'gpl' || format === 'css') return parse(format, await file.text());
+        if (format === 'json') {
+            let data;
+            try {
+                data = JSON.parse(await file.text());
+            } catch (error) {
+                // Reported by the brandbook importer
+                return null;
+            }
+            return isBrandbookData(data) ? null : parse('tokens', data);
+        }
+        throw new Error('Unsupported file type. Use .brandbook, .ase, .gpl, .css or design token .json');
+    }
+
+    return {
+        getFormat,
+        isBrandbookData,
+        parseColorValue,
+        parseAse,
+        parseGpl,
+        parseCss,
+        parseDesignTokens,
+        collapseScales,
+        parse,
+        suggestColorRoles,
+        suggestFonts,
+        readFile
+    };
+})(
+    typeof ColorsModule !== 'undefined' ? ColorsModule : require('./colors.js'),
+    typeof SchemaModule !== 'undefined' ? SchemaModule : require('./schema.js')
+);
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ImportersModule = ImportersModule;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImportersModule;
+}
@@ -0,0 +1,398 @@
+/**
+ * Logo Module
+ * Handles palette extraction from uploaded logos and recolored variants of SVG logos
+ */
+
+const LogoModule = (function() {
+    // Maximum number of suggested colors
+    const MAX_COLORS = 6;
+
+    // PNG analysis: logos are downscaled before clustering
+    const SAMPLE_SIZE = 100;
+    const MIN_ALPHA = 200;
+    const KMEANS_ITERATIONS = 12;
+
+    // Clusters below this share of pixels are dropped; closer than this OKLab distance are merged
+    const MIN_CLUSTER_WEIGHT = 0.03;
+    const MERGE_DISTANCE = 0.05;
+
+    // SVG attributes and style properties that carry paint colors
+    const SVG_PAINT_PROPERTIES = ['fill', 'stroke', 'stop-color', 'flood-color', 'lighting-color'];
+
+    // One-color and grayscale versions generated from an SVG logo, with the slot they suit best
+    const RECOLOR_MODES = [
+        { id: 'black', label: 'Black', variant: 'monochrome' },
+        { id: 'white', label: 'White', variant: 'reversed' },
+        { id: 'brand', label: 'Brand color', variant: 'monochrome' },
+        { id: 'grayscale', label: 'Grayscale', variant: 'monochrome' }
+    ];
+
+    /**
+     * Extract a suggested palette from a logo file
+     * @param {File} file - SVG or PNG logo
+     * @returns {Promise<Array<{hex: string, weight: number}>>} Colors sorted by prominence, weights sum to 1
+     */
+    async function extractPalette(file) {
+        if (file.type === 'image/svg+xml') {
+            return extractSvgPalette(await file.text());
+        }
+        return extractRasterPalette(file);
+    }
+
+    /**
+     * Collect fill and stroke colors from SVG markup
+     * @param {string} svgText - SVG source
+     * @returns {Array<{hex: string, weight: number}>} Colors weighted by number of uses
+     */
+    function extractSvgPalette(svgText) {
+        const doc = new DOMParser().parseFromString(svgText, 'image/svg+xml');
+        if (doc.querySelector('parsererror')) {
+            throw new Error('Invalid SVG file');
+        }
+
+        const counts = new Map();
+        const addColor = (value) => {
+            const hex = normalizeCssColor(value);
+            if (hex) {
+                counts.set(hex, (counts.get(hex) || 0) + 1);
+            }
+        };
+
+        doc.querySelectorAll('*').forEach(el => {
+            SVG_PAINT_PROPERTIES.forEach(prop => {
+                if (el.hasAttribute(prop)) addColor(el.getAttribute(prop));
+            });
+
+            const style = el.getAttribute('style');
+            if (style) {
+                parseDeclarations(style).forEach(({ prop, value }) => {
+                    if (SVG_PAINT_PROPERTIES.includes(prop)) addColor(value);
+                });
+            }
+        });
+
+        // <style> blocks
+        doc.querySelectorAll('style').forEach(styleEl => {
+            const declarations = styleEl.textContent.replace(/\/\*[\s\S]*?\*\//g, '').match(/\{[^}]*\}/g) || [];
+            declarations.forEach(block => {
+                parseDeclarations(block.slice(1, -1)).forEach(({ prop, value }) => {
+                    if (SVG_PAINT_PROPERTIES.includes(prop)) addColor(value);
+                });
+            });
+        });
+
+        const total = [...counts.values()].reduce((sum, count) => sum + count, 0);
+        return [...counts.entries()]
+            .map(([hex, count]) => ({ hex, weight: count / total }))
+            .sort((a, b) => b.weight - a.weight)
+            .slice(0, MAX_COLORS);
+    }
+
+    /**
+     * Recolor every paint in an SVG logo.
+     * One-color modes also cover shapes that rely on the default black fill or on currentColor.
+     * @param {string} svgText - SVG source
+     * @param {string} mode - 'black', 'white', 'brand' or 'grayscale'
+     * @param {string} brandHex - Color used by the 'brand' mode
+     * @returns {string} Recolored SVG source
+     * @throws {Error} If the SVG cannot be parsed
+     */
+    function recolorSvg(svgText, mode, brandHex = '#000000') {
+        const doc = new DOMParser().parseFromString(svgText, 'image/svg+xml');
+        const root = doc.documentElement;
+        if (doc.querySelector('parsererror') || root.nodeName.toLowerCase() !== 'svg') {
+            throw new Error('Invalid SVG file');
+        }
+
+        const solid = { black: '#000000', white: '#FFFFFF', brand: brandHex }[mode];
+        const mapColor = (value) => {
+            const hex = normalizeCssColor(value);
+            if (!hex) return value;
+            if (solid) return solid;
+            const { l } = ColorsModule.rgbToOklch(ColorsModule.hexToRgb(hex));
+            return ColorsModule.oklchToHex({ l, c: 0, h: 0 });
+        };
+        const recolorDeclarations = (text) => parseDeclarations(text)
+            .map(({ prop, value }) => `${prop}:${SVG_PAINT_PROPERTIES.includes(prop) ? mapColor(value) : value}`)
+            .join(';');
+
+        doc.querySelectorAll('*').forEach(el => {
+            SVG_PAINT_PROPERTIES.forEach(prop => {
+                if (el.hasAttribute(prop)) el.setAttribute(prop, mapColor(el.getAttribute(prop)));
+            });
+
+            const style = el.getAttribute('style');
+            if (style) el.setAttribute('style', recolorDeclarations(style));
+        });
+
+        doc.querySelectorAll('style').forEach(styleEl => {
+            styleEl.textContent = styleEl.textContent
+                .replace(/\/\*[\s\S]*?\*\//g, '')
+                .replace(/\{([^}]*)\}/g, (match, declarations) => `{${recolorDeclarations(declarations)}}`);
+        });
+
+        if (solid) {
+            root.setAttribute('color', solid);
+            if (!root.hasAttribute('fill')) root.setAttribute('fill', solid);
+        }
+
+        return new XMLSerializer().serializeToString(doc);
+    }
+
+    function getRecolorModes() {
+        return RECOLOR_MODES;
+    }
+
+    /**
+     * Split a CSS declaration list into property/value pairs
+     */
+    function parseDeclarations(text) {
+        return text.split(';')
+            .map(declaration => {
+                const index = declaration.indexOf(':');
+                if (index === -1) return null;
+                return {
+                    prop: declaration.slice(0, index).trim().toLowerCase(),
+                    value: declaration.slice(index + 1).replace(/!important/i, '').trim()
+                };
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Normalize any CSS color to #RRGGBB using the canvas parser
+     * @param {string} value - CSS color value
+     * @returns {string|null} Hex color, or null for none/transparent/paint servers
+     */
+    function normalizeCssColor(value) {
+        const trimmed = (value || '').trim().toLowerCase();
+        if (!trimmed || trimmed === 'none' || trimmed === 'transparent' ||
+            trimmed === 'currentcolor' || trimmed === 'inherit' || trimmed.startsWith('url(')) {
+            return null;
+        }
+
+        const ctx = getParserContext();
+        // Reset with a sentinel so invalid values are detectable
+        ctx.fillStyle = '#010203';
+        ctx.fillStyle = trimmed;
+        const parsed = ctx.fillStyle;
+
+        if (parsed === '#010203' && trimmed !== '#010203') return null;
+
+        if (parsed.startsWith('#')) {
+            return parsed.toUpperCase();
+        }
+
+        // Colors with alpha come back as rgba(); ignore fully transparent ones
+        const match = /^rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)$/.exec(parsed);
+        if (!match || (match[4] !== undefined && Number(match[4]) === 0)) return null;
+        return ColorsModule.rgbToHex({ r: Number(match[1]), g: Number(match[2]), b: Number(match[3]) });
+    }
+
+    let parserContext = null;
+    function getParserContext() {
+        if (!parserContext) {
+            parserContext = document.createElement('canvas').getContext('2d');
+        }
+        return parserContext;
+    }
+
+    /**
+     * Cluster the opaque pixels of a raster logo
+     * @param {File} file - PNG logo
+     * @returns {Promise<Array<{hex: string, weight: number}>>} Cluster colors weighted by pixel share
+     */
+    async function extractRasterPalette(file) {
+        const url = URL.createObjectURL(file);
+        try {
+            const img = await new Promise((resolve, reject) => {
+                const image = new Image();
+                image.onload = () => resolve(image);
+                image.onerror = () => reject(new Error('Failed to load logo image'));
+                image.src = url;
+            });
+
+            const scale = Math.min(1, SAMPLE_SIZE / Math.max(img.width, img.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(img.width * scale));
+            canvas.height = Math.max(1, Math.round(img.height * scale));
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+            const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+            return clusterPixels(data);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * Group RGBA pixel data into prominent colors with weighted k-means in OKLab
+     * @param {Uint8ClampedArray} data - RGBA pixel data
+     * @returns {Array<{hex: string, weight: number}>} Cluster colors
+     */
+    function clusterPixels(data) {
+        // Histogram of 4-bit-per-channel bins keeps k-means cheap
+        const bins = new Map();
+        let total = 0;
+
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] < MIN_ALPHA) continue;
+
+            const key = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+            let bin = bins.get(key);
+            if (!bin) {
+                bin = { r: 0, g: 0, b: 0, count: 0 };
+                bins.set(key, bin);
+            }
+            bin.r += data[i];
+            bin.g += data[i + 1];
+            bin.b += data[i + 2];
+            bin.count++;
+            total++;
+        }
+
+        if (total === 0) return [];
+
+        const points = [...bins.values()].map(bin => {
+            const lab = ColorsModule.rgbToOklab({ r: bin.r / bin.count, g: bin.g / bin.count, b: bin.b / bin.count });
+            return { lab: [lab.l, lab.a, lab.b], weight: bin.count };
+        });
+
+        const k = Math.min(MAX_COLORS, points.length);
+        let centers = initCenters(points, k);
+        let assignments = [];
+
+        for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+            assignments = points.map(point => nearestCenter(point.lab, centers));
+
+            const sums = centers.map(() => ({ l: 0, a: 0, b: 0, weight: 0 }));
+            points.forEach((point, index) => {
+                const sum = sums[assignments[index]];
+                sum.l += point.lab[0] * point.weight;
+                sum.a += point.lab[1] * point.weight;
+                sum.b += point.lab[2] * point.weight;
+                sum.weight += point.weight;
+            });
+
+            centers = sums.map((sum, index) => sum.weight > 0
+                ? [sum.l / sum.weight, sum.a / sum.weight, sum.b / sum.weight]
+                : centers[index]);
+        }
+
+        let clusters = centers.map(center => ({ lab: center, weight: 0 }));
+        points.forEach((point, index) => {
+            clusters[assignments[index]].weight += point.weight / total;
+        });
+
+        clusters = mergeClusters(clusters.filter(cluster => cluster.weight >= MIN_CLUSTER_WEIGHT));
+
+        return clusters
+            .sort((a, b) => b.weight - a.weight)
+            .map(cluster => ({
+                hex: ColorsModule.rgbToHex(ColorsModule.oklabToRgb({ l: cluster.lab[0], a: cluster.lab[1], b: cluster.lab[2] })),
+                weight: cluster.weight
+            }));
+    }
+
+    /**
+     * Deterministic k-means++ style seeding: heaviest bin first, then weighted farthest points
+     */
+    function initCenters(points, k) {
+        const centers = [points.reduce((best, point) => point.weight > best.weight ? point : best).lab];
+
+        while (centers.length < k) {
+            let best = null;
+            let bestScore = -1;
+            points.forEach(point => {
+                const distance = distanceSquared(point.lab, centers[nearestCenter(point.lab, centers)]);
+                const score = distance * point.weight;
+                if (score > bestScore) {
+                    bestScore = score;
+                    best = point;
+                }
+            });
+            if (bestScore <= 0) break;
+            centers.push(best.lab);
+        }
+
+        return centers;
+    }
+
+    /**
+     * Merge clusters whose centers are perceptually indistinguishable
+     */
+    function mergeClusters(clusters) {
+        const merged = [];
+        clusters.sort((a, b) => b.weight - a.weight).forEach(cluster => {
+            const target = merged.find(other => distanceSquared(other.lab, cluster.lab) < MERGE_DISTANCE * MERGE_DISTANCE);
+            if (target) {
+                const weight = target.weight + cluster.weight;
+                target.lab = target.lab.map((value, i) => (value * target.weight + cluster.lab[i] * cluster.weight) / weight);
+                target.weight = weight;
+            } else {
+                merged.push({ lab: [...cluster.lab], weight: cluster.weight });
+            }
+        });
+        return merged;
+    }
+
+    function nearestCenter(lab, centers) {
+        let nearest = 0;
+        let nearestDistance = Infinity;
+        centers.forEach((center, index) => {
+            const distance = distanceSquared(lab, center);
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearest = index;
+            }
+        });
+        return nearest;
+    }
+
+    function distanceSquared(a, b) {
+        return (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+    }
+
+    /**
+     * Propose a role for each extracted color.
+     * Chromatic colors fill primary, secondary and accent in order of prominence;
+     * near-black becomes text, near-white is skipped (usually the logo background), other grays are neutral.
+     * @param {Array<{hex: string}>} colors - Extracted colors, most prominent first
+     * @returns {Array<string|null>} Role per color, null to skip
+     */
+    function suggestRoles(colors) {
+        const brandRoles = ['primary', 'secondary', 'accent'];
+        let hasText = false;
+
+        return colors.map(({ hex }) => {
+            const { l, c } = ColorsModule.rgbToOklch(ColorsModule.hexToRgb(hex));
+
+            if (c >= 0.04 && brandRoles.length > 0) {
+                return brandRoles.shift();
+            }
+            if (c < 0.04 && l > 0.95) {
+                return null;
+            }
+            if (c < 0.04 && l < 0.3 && !hasText) {
+                hasText = true;
+                return 'text';
+            }
+            return 'neutral';
+        });
+    }
+
+    return {
+        extractPalette,
+        extractSvgPalette,
+        clusterPixels,
+        suggestRoles,
+        recolorSvg,
+        getRecolorModes
+    };
+})();
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.LogoModule = LogoModule;
+}
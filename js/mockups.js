@@ -4,14 +4,37 @@
  */
 
 const MockupsModule = (function() {
-    function getBrandData(brandbook) {
+    let visionMode = 'normal';
+    let colorPreview = null;
+
+    // Logo variants each mockup prefers, falling back to the primary logo
+    const MOCKUP_LOGO_VARIANTS = {
+        // White text on the secondary color
+        'business-card': ['reversed'],
+        'letterhead': ['horizontal'],
+        'envelope': ['horizontal'],
+        'social-avatar': ['icon', 'stacked'],
+        'presentation': ['horizontal']
+    };
+
+    /**
+     * Logo image for a mockup
+     * @param {string} mockupId - Mockup ID, e.g. 'business-card'
+     * @returns {string|null} Logo data URL or null
+     */
+    function getMockupLogoUrl(mockupId) {
+        return BrandbookModule.getLogoUrl(MOCKUP_LOGO_VARIANTS[mockupId] || []);
+    }
+
+    function getBrandData(brandbook, mockupId) {
+        const roleColors = { ...BrandbookModule.getRoleColors(brandbook), ...colorPreview };
         return {
-            primaryColor: brandbook.colors.primary.hex,
-            secondaryColor: brandbook.colors.secondary.hex,
-            accentColor: brandbook.colors.accent?.hex || brandbook.colors.primary.hex,
+            primaryColor: roleColors.primary,
+            secondaryColor: roleColors.secondary,
+            accentColor: roleColors.accent,
             primaryFont: brandbook.typography.primary.family,
             secondaryFont: brandbook.typography.secondary?.family || brandbook.typography.primary.family,
-            logoUrl: BrandbookModule.getLogoUrl(),
+            logoUrl: getMockupLogoUrl(mockupId),
             brandName: brandbook.meta.name
         };
     }
@@ -21,6 +44,14 @@ const MockupsModule = (function() {
         element.style.backgroundImage = logoUrl ? `url(${logoUrl})` : 'none';
     }
 
+    /**
+     * Temporarily override role colors in the mockups without changing the brandbook
+     * @param {{secondary?: string, accent?: string}|null} colors - Role hex overrides, or null to clear
+     */
+    function setColorPreview(colors) {
+        colorPreview = colors;
+    }
+
     function updateAll() {
         const brandbook = BrandbookModule.getBrandbook();
 
@@ -39,7 +70,7 @@ const MockupsModule = (function() {
         const mockup = document.getElementById('mockup-business-card');
         if (!mockup) return;
 
-        const { primaryColor, secondaryColor, primaryFont, secondaryFont, logoUrl, brandName } = getBrandData(brandbook);
+        const { primaryColor, secondaryColor, primaryFont, secondaryFont, logoUrl, brandName } = getBrandData(brandbook, 'business-card');
 
         const front = mockup.querySelector('.business-card-front');
         front.style.background = secondaryColor;
@@ -75,7 +106,7 @@ const MockupsModule = (function() {
         const mockup = document.getElementById('mockup-letterhead');
         if (!mockup) return;
 
-        const { primaryColor, secondaryColor, primaryFont, secondaryFont, logoUrl, brandName } = getBrandData(brandbook);
+        const { primaryColor, secondaryColor, primaryFont, secondaryFont, logoUrl, brandName } = getBrandData(brandbook, 'letterhead');
         const letterhead = mockup.querySelector('.letterhead');
 
         const header = letterhead.querySelector('.letterhead-header');
@@ -108,7 +139,7 @@ const MockupsModule = (function() {
         const mockup = document.getElementById('mockup-envelope');
         if (!mockup) return;
 
-        const { primaryColor, primaryFont, secondaryFont, logoUrl, brandName } = getBrandData(brandbook);
+        const { primaryColor, primaryFont, secondaryFont, logoUrl, brandName } = getBrandData(brandbook, 'envelope');
         const envelope = mockup.querySelector('.envelope');
         envelope.style.borderTop = `3px solid ${primaryColor}`;
 
@@ -131,7 +162,7 @@ const MockupsModule = (function() {
         const mockup = document.getElementById('mockup-social-avatar');
         if (!mockup) return;
 
-        const { primaryColor, secondaryColor, primaryFont, logoUrl, brandName } = getBrandData(brandbook);
+        const { primaryColor, secondaryColor, primaryFont, logoUrl, brandName } = getBrandData(brandbook, 'social-avatar');
         const gradient = `linear-gradient(135deg, ${primaryColor}, ${secondaryColor})`;
 
         const avatar = mockup.querySelector('.social-avatar');
@@ -162,7 +193,7 @@ const MockupsModule = (function() {
         const mockup = document.getElementById('mockup-presentation');
         if (!mockup) return;
 
-        const { primaryColor, secondaryColor, primaryFont, secondaryFont, logoUrl, brandName } = getBrandData(brandbook);
+        const { primaryColor, secondaryColor, primaryFont, secondaryFont, logoUrl, brandName } = getBrandData(brandbook, 'presentation');
 
         const slide = mockup.querySelector('.presentation-slide');
         slide.style.background = '#ffffff';
@@ -233,6 +264,62 @@ const MockupsModule = (function() {
         });
     }
 
+    /**
+     * Re-render the mockups whenever the brandbook changes
+     */
+    function initLiveUpdates() {
+        BrandbookModule.subscribe('change', () => updateAll());
+    }
+
+    /**
+     * Initialize the vision simulation switcher
+     */
+    function initVisionSwitcher() {
+        const select = document.getElementById('vision-mode-select');
+        if (!select) return;
+
+        AccessibilityModule.initVisionFilters();
+
+        AccessibilityModule.getVisionModes().forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode.id;
+            option.textContent = mode.label;
+            select.appendChild(option);
+        });
+
+        select.value = visionMode;
+        select.addEventListener('change', () => setVisionMode(select.value));
+    }
+
+    /**
+     * Render all mockups as seen with a vision mode
+     * @param {string} modeId - Vision mode id from AccessibilityModule.getVisionModes()
+     */
+    function setVisionMode(modeId) {
+        const modes = AccessibilityModule.getVisionModes();
+        visionMode = modes.some(mode => mode.id === modeId) ? modeId : 'normal';
+
+        // Filter is set on the container so cloned mockups (PDF capture) stay unfiltered
+        const container = document.querySelector('.mockup-container');
+        if (container) {
+            container.style.setProperty('--vision-filter', AccessibilityModule.getVisionFilter(visionMode));
+            container.dataset.visionMode = visionMode;
+        }
+
+        const select = document.getElementById('vision-mode-select');
+        if (select && select.value !== visionMode) {
+            select.value = visionMode;
+        }
+    }
+
+    /**
+     * Get the active vision mode
+     * @returns {string} Vision mode id
+     */
+    function getVisionMode() {
+        return visionMode;
+    }
+
     /**
      * Clone mockups for PDF rendering
      * @param {HTMLElement} container - Container to clone mockups into
@@ -255,6 +342,8 @@ const MockupsModule = (function() {
     }
 
     return {
+        setColorPreview,
+        getMockupLogoUrl,
         updateAll,
         updateBusinessCard,
         updateLetterhead,
@@ -263,6 +352,10 @@ const MockupsModule = (function() {
         updatePresentation,
         switchMockup,
         initTabs,
+        initLiveUpdates,
+        initVisionSwitcher,
+        setVisionMode,
+        getVisionMode,
         cloneForPdf
     };
 })();
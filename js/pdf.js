@@ -56,6 +56,8 @@ const PdfModule = (function() {
             const pdfSave = this.durations['pdfSave'] || 0;
             const colorPalettePage = this.durations['addColorPalettePage'] || 0;
             const typographyPage = this.durations['addTypographyPage'] || 0;
+            const accessibilityPage = this.durations['addAccessibilityPage'] || 0;
+            const visionAppendixPage = this.durations['addVisionAppendixPage'] || 0;
 
             const mockupsPercent = total > 0 ? ((mockupsTotal / total) * 100).toFixed(0) : 0;
 
@@ -71,7 +73,9 @@ const PdfModule = (function() {
                 mockupPagesAssembly,
                 pdfSave,
                 colorPalettePage,
-                typographyPage
+                typographyPage,
+                accessibilityPage,
+                visionAppendixPage
             };
         },
 
@@ -114,6 +118,10 @@ const PdfModule = (function() {
             if (r.logoPage > 0) {
                 lines.push(`  Logo Page:                ${r.logoPage.toFixed(0)}ms`);
             }
+            lines.push(`  Accessibility Page:       ${r.accessibilityPage.toFixed(0)}ms`);
+            if (r.visionAppendixPage > 0) {
+                lines.push(`  Vision Appendix Page:     ${r.visionAppendixPage.toFixed(0)}ms`);
+            }
             lines.push(`  QR Code Page:             ${r.qrCodePage.toFixed(0)}ms`);
             lines.push(`  Mockup Pages Assembly:    ${r.mockupPagesAssembly.toFixed(0)}ms`);
             lines.push(`  PDF Save:                 ${r.pdfSave.toFixed(0)}ms`);
@@ -140,8 +148,7 @@ const PdfModule = (function() {
      * Preload and process logo image for reuse across PDF pages
      * Returns cached image data ready for pdf.addImage()
      */
-    async function preloadLogo() {
-        const logoUrl = BrandbookModule.getLogoUrl();
+    async function preloadLogo(logoUrl = BrandbookModule.getLogoUrl()) {
         if (!logoUrl) return null;
 
         return new Promise((resolve, reject) => {
@@ -186,6 +193,29 @@ const PdfModule = (function() {
         });
     }
 
+    /**
+     * Preload every logo variant that has an image, in display order
+     * @returns {Promise<Array<{id: string, label: string, usage: string, logo: Object}>>} Variants for the logo pages
+     */
+    async function preloadLogoVariants(brandbook) {
+        const variants = [];
+        for (const variant of BrandbookCore.LOGO_VARIANTS) {
+            const url = BrandbookCore.getLogoVariantUrl(brandbook, variant.id);
+            if (!url) continue;
+            try {
+                variants.push({
+                    id: variant.id,
+                    label: variant.label,
+                    usage: brandbook.logo.variants[variant.id].usage || variant.hint,
+                    logo: await preloadLogo(url)
+                });
+            } catch (e) {
+                console.warn(`Could not load the ${variant.label} logo:`, e);
+            }
+        }
+        return variants;
+    }
+
     /**
      * Add cached logo to PDF at specified position
      */
@@ -223,12 +253,50 @@ const PdfModule = (function() {
         PdfTiming.reset();
         PdfTiming.start('generatePdf_total');
 
+        const pdf = await buildPdf();
+
+        // Download PDF
+        PdfTiming.start('pdfSave');
+        pdf.save(getPdfFileName(BrandbookModule.getBrandbook()));
+        PdfTiming.end('pdfSave');
+
+        // Complete total timing and print report (if enabled)
+        PdfTiming.end('generatePdf_total');
+        if (PdfTiming.enabled) {
+            PdfTiming.printReport();
+        }
+    }
+
+    /**
+     * Generate the PDF brandbook without downloading it
+     * @returns {Promise<Blob>} PDF file
+     */
+    async function createPdfBlob() {
+        const pdf = await buildPdf();
+        return pdf.output('blob');
+    }
+
+    /**
+     * Download name of the PDF brandbook
+     * @param {Object} brandbook - Brandbook data
+     * @returns {string} e.g. 'my-brand-brandbook.pdf'
+     */
+    function getPdfFileName(brandbook) {
+        return `${brandbook.meta.name.toLowerCase().replace(/\s+/g, '-')}-brandbook.pdf`;
+    }
+
+    /**
+     * Build all pages of the PDF brandbook
+     * @returns {Promise<Object>} jsPDF document
+     */
+    async function buildPdf() {
         const brandbook = BrandbookModule.getBrandbook();
         const { jsPDF } = window.jspdf;
 
         // Preload logo once for reuse
         PdfTiming.start('preloadLogo');
         const cachedLogo = await preloadLogo();
+        const cachedVariants = await preloadLogoVariants(brandbook);
         PdfTiming.end('preloadLogo');
 
         const pdf = new jsPDF({
@@ -263,40 +331,50 @@ const PdfModule = (function() {
             pdf.addPage();
             PdfTiming.start('addLogoPage');
             await addLogoPage(pdf, brandbook, cachedLogo);
+            if (cachedVariants.length > 0) {
+                pdf.addPage();
+                addLogoVariantsPage(pdf, brandbook, cachedVariants);
+            }
             PdfTiming.end('addLogoPage');
         }
 
+        // Accessibility (contrast) page
+        pdf.addPage();
+        PdfTiming.start('addAccessibilityPage');
+        addAccessibilityPage(pdf, brandbook);
+        PdfTiming.end('addAccessibilityPage');
+
         // Wait for mockup captures to complete and add pages
         const captures = await mockupCapturesPromise;
         PdfTiming.start('addMockupPagesFromCaptures');
         await addMockupPagesFromCaptures(pdf, captures, brandbook);
         PdfTiming.end('addMockupPagesFromCaptures');
 
+        // Vision simulation appendix (when a simulation is active in the preview)
+        const visionMode = MockupsModule.getVisionMode();
+        if (visionMode !== 'normal' && captures.length > 0) {
+            pdf.addPage();
+            PdfTiming.start('addVisionAppendixPage');
+            await addVisionAppendixPage(pdf, captures, visionMode, brandbook);
+            PdfTiming.end('addVisionAppendixPage');
+        }
+
         // QR Code page (last page)
         pdf.addPage();
         PdfTiming.start('addQrCodePage');
         await addQrCodePage(pdf, brandbook);
         PdfTiming.end('addQrCodePage');
 
-        // Download PDF
-        PdfTiming.start('pdfSave');
-        const fileName = `${brandbook.meta.name.toLowerCase().replace(/\s+/g, '-')}-brandbook.pdf`;
-        pdf.save(fileName);
-        PdfTiming.end('pdfSave');
-
-        // Complete total timing and print report (if enabled)
-        PdfTiming.end('generatePdf_total');
-        if (PdfTiming.enabled) {
-            PdfTiming.printReport();
-        }
+        return pdf;
     }
 
     /**
      * Add modern title page
      */
     async function addTitlePage(pdf, brandbook, cachedLogo) {
-        const primaryColor = hexToRgb(brandbook.colors.primary.hex);
-        const secondaryColor = hexToRgb(brandbook.colors.secondary.hex);
+        const roleColors = BrandbookModule.getRoleColors(brandbook);
+        const primaryColor = hexToRgb(roleColors.primary);
+        const secondaryColor = hexToRgb(roleColors.secondary);
 
         // Dark background
         pdf.setFillColor(15, 15, 26);
@@ -336,27 +414,28 @@ const PdfModule = (function() {
         pdf.setLineWidth(0.5);
         pdf.line(PAGE_WIDTH / 2 - 30, brandNameY + 25, PAGE_WIDTH / 2 + 30, brandNameY + 25);
 
-        // Color swatches preview at bottom
+        // Color swatches preview at bottom - shrink to fit large palettes
         const swatchY = PAGE_HEIGHT - 70;
-        const swatchSize = 20;
-        const swatchGap = 15;
-        const colors = [brandbook.colors.primary, brandbook.colors.secondary, brandbook.colors.accent].filter(c => c);
+        const colors = brandbook.colors;
+        const swatchGap = colors.length > 6 ? 5 : 15;
+        const swatchSize = Math.min(20, (CONTENT_WIDTH - ((colors.length - 1) * swatchGap)) / colors.length);
+        const showHex = swatchSize + swatchGap >= 16;
         const totalWidth = (colors.length * swatchSize) + ((colors.length - 1) * swatchGap);
         let swatchX = (PAGE_WIDTH - totalWidth) / 2;
 
         colors.forEach(color => {
-            if (color) {
-                const rgb = hexToRgb(color.hex);
-                pdf.setFillColor(rgb.r, rgb.g, rgb.b);
-                roundedRect(pdf, swatchX, swatchY, swatchSize, swatchSize, 3, 'F');
+            const rgb = hexToRgb(color.hex);
+            pdf.setFillColor(rgb.r, rgb.g, rgb.b);
+            roundedRect(pdf, swatchX, swatchY, swatchSize, swatchSize, 3, 'F');
 
-                // Hex code under swatch
+            // Hex code under swatch
+            if (showHex) {
                 pdf.setFontSize(8);
                 pdf.setTextColor(200, 200, 200);
                 pdf.text(color.hex.toUpperCase(), swatchX + swatchSize / 2, swatchY + swatchSize + 10, { align: 'center' });
-
-                swatchX += swatchSize + swatchGap;
             }
+
+            swatchX += swatchSize + swatchGap;
         });
 
         // Footer
@@ -368,70 +447,85 @@ const PdfModule = (function() {
             PAGE_WIDTH / 2, PAGE_HEIGHT - 14, { align: 'center' });
     }
 
+    // Usage descriptions for each palette role
+    const ROLE_GUIDELINES = {
+        primary: 'Main brand elements, headers, buttons, and key UI components',
+        secondary: 'Supporting elements, backgrounds, borders, and text',
+        accent: 'Highlights, notifications, and emphasis elements',
+        neutral: 'Dividers, muted text, and subtle surfaces',
+        background: 'Page and section backgrounds',
+        text: 'Body copy and long-form reading text',
+        success: 'Confirmations and positive states',
+        warning: 'Cautions and pending states',
+        error: 'Errors and destructive actions'
+    };
+
+    // Color palette grid layout
+    const PALETTE_COLUMNS = 3;
+    const PALETTE_SWATCH_WIDTH = 50;
+    const PALETTE_SWATCH_GAP = 12;
+    const PALETTE_TOP = 70;
+    const PALETTE_BOTTOM = PAGE_HEIGHT - 25;
+
     /**
-     * Add color palette page with modern layout
+     * Start a color palette page (the palette continues onto extra pages for large palettes)
      */
-    function addColorPalettePage(pdf, brandbook) {
-        const primaryColor = hexToRgb(brandbook.colors.primary.hex);
-
+    function startColorPalettePage(pdf, brandbook, continued) {
         // Dark background
         pdf.setFillColor(15, 15, 26);
         pdf.rect(0, 0, PAGE_WIDTH, PAGE_HEIGHT, 'F');
 
         // Header
-        addModernPageHeader(pdf, 'Color Palette', '01', brandbook);
-
-        // Large color swatches
-        let yPos = 70;
-        const swatchWidth = 50;
-        const swatchHeight = 70;
-        const colors = [
-            { key: 'primary', label: 'PRIMARY', color: brandbook.colors.primary },
-            { key: 'secondary', label: 'SECONDARY', color: brandbook.colors.secondary },
-            { key: 'accent', label: 'ACCENT', color: brandbook.colors.accent }
-        ];
-
-        const totalSwatchWidth = (colors.length * swatchWidth) + ((colors.length - 1) * 12);
-        let xPos = (PAGE_WIDTH - totalSwatchWidth) / 2;
-
-        colors.forEach(item => {
-            if (item.color) {
-                const rgb = hexToRgb(item.color.hex);
-
-                // Color swatch
-                pdf.setFillColor(rgb.r, rgb.g, rgb.b);
-                roundedRect(pdf, xPos, yPos, swatchWidth, swatchHeight, 4, 'F');
+        addModernPageHeader(pdf, continued ? 'Color Palette (cont.)' : 'Color Palette', '01', brandbook);
+    }
 
-                // Label
-                pdf.setFontSize(8);
-                pdf.setFont('helvetica', 'bold');
-                pdf.setTextColor(120, 120, 120);
-                pdf.text(item.label, xPos + swatchWidth / 2, yPos + swatchHeight + 12, { align: 'center' });
+    /**
+     * Add color palette page(s) with modern layout
+     */
+    function addColorPalettePage(pdf, brandbook) {
+        const primaryColor = hexToRgb(BrandbookModule.getRoleColors(brandbook).primary);
+        const colors = brandbook.colors;
+
+        // Large swatches for small palettes, compact rows once the palette wraps
+        const swatchHeight = colors.length > PALETTE_COLUMNS ? 28 : 40;
+        const rowHeight = swatchHeight + 72;
+
+        startColorPalettePage(pdf, brandbook, false);
+        let yPos = PALETTE_TOP;
+
+        for (let i = 0; i < colors.length; i += PALETTE_COLUMNS) {
+            if (yPos + rowHeight > PALETTE_BOTTOM) {
+                addPageNumber(pdf);
+                pdf.addPage();
+                startColorPalettePage(pdf, brandbook, true);
+                yPos = PALETTE_TOP;
+            }
 
-                // Color name
-                pdf.setFontSize(10);
-                pdf.setFont('helvetica', 'normal');
-                pdf.setTextColor(255, 255, 255);
-                pdf.text(item.color.name || 'Unnamed', xPos + swatchWidth / 2, yPos + swatchHeight + 22, { align: 'center' });
+            const row = colors.slice(i, i + PALETTE_COLUMNS);
+            const rowWidth = (row.length * PALETTE_SWATCH_WIDTH) + ((row.length - 1) * PALETTE_SWATCH_GAP);
+            let xPos = (PAGE_WIDTH - rowWidth) / 2;
 
-                // Hex value
-                pdf.setFontSize(9);
-                pdf.setTextColor(180, 180, 180);
-                pdf.text(item.color.hex.toUpperCase(), xPos + swatchWidth / 2, yPos + swatchHeight + 32, { align: 'center' });
+            row.forEach(color => {
+                addPaletteSwatch(pdf, color, xPos, yPos, PALETTE_SWATCH_WIDTH, swatchHeight);
+                xPos += PALETTE_SWATCH_WIDTH + PALETTE_SWATCH_GAP;
+            });
 
-                // RGB value
-                pdf.setFontSize(8);
-                pdf.setTextColor(140, 140, 140);
-                pdf.text(`RGB(${rgb.r}, ${rgb.g}, ${rgb.b})`, xPos + swatchWidth / 2, yPos + swatchHeight + 42, { align: 'center' });
+            yPos += rowHeight;
+        }
 
-                xPos += swatchWidth + 12;
-            }
-        });
+        // Color usage section - one line per role used in the palette
+        const roles = [...new Set(colors.map(color => color.role))];
+        const boxHeight = 28 + (roles.length * 14);
+        yPos += 15;
+        if (yPos + boxHeight > PALETTE_BOTTOM) {
+            addPageNumber(pdf);
+            pdf.addPage();
+            startColorPalettePage(pdf, brandbook, true);
+            yPos = PALETTE_TOP;
+        }
 
-        // Color usage section
-        yPos = 210;
         pdf.setFillColor(25, 25, 40);
-        roundedRect(pdf, MARGIN, yPos, CONTENT_WIDTH, 70, 6, 'F');
+        roundedRect(pdf, MARGIN, yPos, CONTENT_WIDTH, boxHeight, 6, 'F');
 
         pdf.setTextColor(255, 255, 255);
         pdf.setFontSize(12);
@@ -442,28 +536,84 @@ const PdfModule = (function() {
         pdf.setFont('helvetica', 'normal');
         pdf.setTextColor(200, 200, 200);
 
-        const guidelines = [
-            'Primary: Main brand elements, headers, buttons, and key UI components',
-            'Secondary: Supporting elements, backgrounds, borders, and text',
-            'Accent: Highlights, notifications, and emphasis elements'
-        ];
-
         let guideY = yPos + 32;
-        guidelines.forEach(line => {
+        roles.forEach(role => {
+            const line = `${role.charAt(0).toUpperCase() + role.slice(1)}: ${ROLE_GUIDELINES[role] || ''}`;
             pdf.setFillColor(primaryColor.r, primaryColor.g, primaryColor.b);
             pdf.circle(MARGIN + 19, guideY - 1.5, 1.5, 'F');
             pdf.text(line, MARGIN + 26, guideY);
             guideY += 14;
         });
 
-        addPageNumber(pdf, 2);
+        addPageNumber(pdf);
+    }
+
+    /**
+     * Draw a single palette swatch with its role, name and values in every color space
+     */
+    function addPaletteSwatch(pdf, color, x, y, width, height) {
+        const rgb = hexToRgb(color.hex);
+        const values = ColorsModule.formatColorValues(color);
+        const centerX = x + width / 2;
+
+        // Color swatch
+        pdf.setFillColor(rgb.r, rgb.g, rgb.b);
+        roundedRect(pdf, x, y, width, height, 4, 'F');
+
+        // Label
+        pdf.setFontSize(8);
+        pdf.setFont('helvetica', 'bold');
+        pdf.setTextColor(120, 120, 120);
+        pdf.text(color.role.toUpperCase(), centerX, y + height + 10, { align: 'center' });
+
+        // Color name
+        pdf.setFontSize(10);
+        pdf.setFont('helvetica', 'normal');
+        pdf.setTextColor(255, 255, 255);
+        pdf.text(color.name || 'Unnamed', centerX, y + height + 18, { align: 'center' });
+
+        // Hex value
+        pdf.setFontSize(9);
+        pdf.setTextColor(180, 180, 180);
+        pdf.text(values.hex, centerX, y + height + 25, { align: 'center' });
+
+        // RGB, CMYK, HSL, LAB and OKLCH values
+        pdf.setFontSize(7);
+        pdf.setTextColor(140, 140, 140);
+        ['rgb', 'cmyk', 'hsl', 'lab', 'oklch'].forEach((space, index) => {
+            pdf.text(values[space], centerX, y + height + 31 + (index * 6), { align: 'center' });
+        });
+
+        // Tint/shade scale row
+        if (color.scale) {
+            addScaleRow(pdf, color.scale, x, y + height + 58, width);
+        }
+    }
+
+    /**
+     * Draw a 50-900 scale as a row of small swatches with step labels
+     */
+    function addScaleRow(pdf, scale, x, y, width) {
+        const steps = ColorsModule.SCALE_STEPS;
+        const stepWidth = width / steps.length;
+
+        steps.forEach((step, index) => {
+            const rgb = hexToRgb(scale[step].hex);
+            const stepX = x + index * stepWidth;
+            pdf.setFillColor(rgb.r, rgb.g, rgb.b);
+            pdf.rect(stepX, y, stepWidth, 6, 'F');
+
+            pdf.setFontSize(4.5);
+            pdf.setTextColor(120, 120, 120);
+            pdf.text(String(step), stepX + stepWidth / 2, y + 10, { align: 'center' });
+        });
     }
 
     /**
      * Add typography page
      */
     function addTypographyPage(pdf, brandbook) {
-        const primaryColor = hexToRgb(brandbook.colors.primary.hex);
+        const primaryColor = hexToRgb(BrandbookModule.getRoleColors(brandbook).primary);
 
         // Dark background
         pdf.setFillColor(15, 15, 26);
@@ -535,15 +685,14 @@ const PdfModule = (function() {
             pdf.text('Oo Pp Qq Rr Ss Tt Uu Vv Ww Xx Yy Zz', MARGIN + 15, yPos + 78);
         }
 
-        addPageNumber(pdf, 3);
+        addPageNumber(pdf);
     }
 
     /**
      * Add logo guidelines page
      */
     async function addLogoPage(pdf, brandbook, cachedLogo) {
-        const primaryColor = hexToRgb(brandbook.colors.primary.hex);
-        const secondaryColor = hexToRgb(brandbook.colors.secondary.hex);
+        const roleColors = BrandbookModule.getRoleColors(brandbook);
 
         // Dark background
         pdf.setFillColor(15, 15, 26);
@@ -557,7 +706,14 @@ const PdfModule = (function() {
             pdf.setFillColor(25, 25, 40);
             roundedRect(pdf, MARGIN, 70, CONTENT_WIDTH, 100, 6, 'F');
 
-            addCachedLogoToPdf(pdf, cachedLogo, PAGE_WIDTH / 2 - 35, 90, 70, 60);
+            addCachedLogoToPdf(pdf, cachedLogo, PAGE_WIDTH / 2 - 35, 85, 70, 60);
+
+            if (BrandbookCore.getLogoVariantUrl(brandbook, 'primary') && brandbook.logo.usage) {
+                pdf.setFontSize(9);
+                pdf.setFont('helvetica', 'normal');
+                pdf.setTextColor(180, 180, 180);
+                pdf.text(pdf.splitTextToSize(brandbook.logo.usage, CONTENT_WIDTH - 20)[0], PAGE_WIDTH / 2, 160, { align: 'center' });
+            }
         }
 
         // Logo on backgrounds section
@@ -571,8 +727,8 @@ const PdfModule = (function() {
         const boxSize = 35;
         const boxGap = 10;
         const backgrounds = [
-            { color: brandbook.colors.primary.hex, label: 'Primary' },
-            { color: brandbook.colors.secondary.hex, label: 'Secondary' },
+            { color: roleColors.primary, label: 'Primary' },
+            { color: roleColors.secondary, label: 'Secondary' },
             { color: '#FFFFFF', label: 'White' },
             { color: '#000000', label: 'Black' }
         ];
@@ -588,7 +744,185 @@ const PdfModule = (function() {
             pdf.text(bg.label, xPos + boxSize / 2, yPos + boxSize + 8, { align: 'center' });
         });
 
-        addPageNumber(pdf, 4);
+        addPageNumber(pdf);
+    }
+
+    /**
+     * Add the logo variants page: each lockup on a suitable background with its usage note
+     */
+    function addLogoVariantsPage(pdf, brandbook, variants) {
+        const roleColors = BrandbookModule.getRoleColors(brandbook);
+        // Reversed logos need a dark background; prefer a dark brand color
+        const darkBackground = [roleColors.secondary, roleColors.primary]
+            .find(hex => BrandbookCore.getContrastColor(hex) === '#FFFFFF') || '#000000';
+
+        // Dark background
+        pdf.setFillColor(15, 15, 26);
+        pdf.rect(0, 0, PAGE_WIDTH, PAGE_HEIGHT, 'F');
+
+        // Header
+        addModernPageHeader(pdf, 'Logo Variants', '03', brandbook);
+
+        const columns = 3;
+        const gap = 8;
+        const cardWidth = (CONTENT_WIDTH - gap * (columns - 1)) / columns;
+        const previewHeight = 40;
+        const cardHeight = previewHeight + 32;
+
+        variants.forEach((variant, index) => {
+            const x = MARGIN + (index % columns) * (cardWidth + gap);
+            const y = 70 + Math.floor(index / columns) * (cardHeight + gap);
+
+            const background = hexToRgb(variant.id === 'reversed' ? darkBackground : '#FFFFFF');
+            pdf.setFillColor(background.r, background.g, background.b);
+            roundedRect(pdf, x, y, cardWidth, previewHeight, 4, 'F');
+            addCachedLogoToPdf(pdf, variant.logo, x + 6, y + 6, cardWidth - 12, previewHeight - 12);
+
+            pdf.setFontSize(11);
+            pdf.setFont('helvetica', 'bold');
+            pdf.setTextColor(255, 255, 255);
+            pdf.text(variant.label, x, y + previewHeight + 8);
+
+            pdf.setFontSize(8);
+            pdf.setFont('helvetica', 'normal');
+            pdf.setTextColor(170, 170, 170);
+            pdf.text(pdf.splitTextToSize(variant.usage, cardWidth).slice(0, 4), x, y + previewHeight + 14);
+        });
+
+        addPageNumber(pdf);
+    }
+
+    /**
+     * Start an accessibility page (the suggestion list continues onto extra pages when needed)
+     */
+    function startAccessibilityPage(pdf, brandbook, continued) {
+        // Dark background
+        pdf.setFillColor(15, 15, 26);
+        pdf.rect(0, 0, PAGE_WIDTH, PAGE_HEIGHT, 'F');
+
+        // Header
+        addModernPageHeader(pdf, continued ? 'Accessibility (cont.)' : 'Accessibility', '04', brandbook);
+    }
+
+    /**
+     * Add accessibility page with the WCAG contrast matrix and suggested fixes
+     */
+    function addAccessibilityPage(pdf, brandbook) {
+        const { entries, pairs } = AccessibilityModule.getContrastMatrix(brandbook.colors);
+        const getLabel = (entry) => entry.name || entry.hex.toUpperCase();
+        const pageBottom = PAGE_HEIGHT - 25;
+
+        startAccessibilityPage(pdf, brandbook, false);
+
+        // Description
+        pdf.setFontSize(9);
+        pdf.setFont('helvetica', 'normal');
+        pdf.setTextColor(180, 180, 180);
+        pdf.text('WCAG 2.x contrast of text colors (rows) on backgrounds (columns).', MARGIN, 66);
+        pdf.text('AA: 4.5:1 normal text, 3:1 large text (AA18)  •  AAA: 7:1 normal text', MARGIN, 72);
+
+        // Matrix - each cell shows the ratio and level in the text color on the background color
+        const labelWidth = 30;
+        const cellSize = Math.min(14, (CONTENT_WIDTH - labelWidth) / entries.length);
+        const tableX = MARGIN + labelWidth;
+        let yPos = 80;
+
+        entries.forEach((entry, index) => {
+            const rgb = hexToRgb(entry.hex);
+            pdf.setFillColor(rgb.r, rgb.g, rgb.b);
+            pdf.setDrawColor(60, 60, 80);
+            pdf.setLineWidth(0.2);
+            pdf.rect(tableX + index * cellSize + cellSize / 2 - 2, yPos, 4, 4, 'FD');
+        });
+        yPos += 7;
+
+        entries.forEach(foreground => {
+            const fgRgb = hexToRgb(foreground.hex);
+
+            pdf.setFontSize(7);
+            pdf.setFont('helvetica', 'normal');
+            pdf.setTextColor(200, 200, 200);
+            pdf.setFillColor(fgRgb.r, fgRgb.g, fgRgb.b);
+            pdf.setDrawColor(60, 60, 80);
+            pdf.rect(MARGIN, yPos + cellSize / 2 - 2, 4, 4, 'FD');
+            const name = pdf.splitTextToSize(getLabel(foreground), labelWidth - 8)[0];
+            pdf.text(name, MARGIN + 6, yPos + cellSize / 2 + 1.2);
+
+            entries.forEach((background, index) => {
+                const cellX = tableX + index * cellSize;
+                const pair = pairs.find(item => item.foreground === foreground && item.background === background);
+                const bgRgb = hexToRgb(background.hex);
+
+                pdf.setFillColor(bgRgb.r, bgRgb.g, bgRgb.b);
+                pdf.rect(cellX, yPos, cellSize, cellSize, 'F');
+
+                if (!pair) return;
+
+                pdf.setTextColor(fgRgb.r, fgRgb.g, fgRgb.b);
+                pdf.setFontSize(Math.min(6, cellSize * 0.55));
+                pdf.setFont('helvetica', 'bold');
+                pdf.text(pair.ratio.toFixed(1), cellX + cellSize / 2, yPos + cellSize / 2, { align: 'center' });
+                pdf.setFontSize(Math.min(4.5, cellSize * 0.4));
+                pdf.setFont('helvetica', 'normal');
+                const level = pair.label === 'AA Large' ? 'AA18' : pair.label.toUpperCase();
+                pdf.text(level, cellX + cellSize / 2, yPos + cellSize / 2 + 3, { align: 'center' });
+            });
+
+            yPos += cellSize;
+        });
+
+        // Suggested fixes for pairs failing AA normal text
+        const failing = pairs.filter(pair => pair.suggestion);
+        yPos += 12;
+
+        if (yPos + 20 > pageBottom) {
+            addPageNumber(pdf);
+            pdf.addPage();
+            startAccessibilityPage(pdf, brandbook, true);
+            yPos = 70;
+        }
+
+        pdf.setTextColor(255, 255, 255);
+        pdf.setFontSize(12);
+        pdf.setFont('helvetica', 'bold');
+        pdf.text('Suggested Fixes', MARGIN, yPos);
+        yPos += 8;
+
+        pdf.setFontSize(8);
+        pdf.setFont('helvetica', 'normal');
+
+        if (failing.length === 0) {
+            pdf.setTextColor(180, 180, 180);
+            pdf.text('Every color pair passes WCAG AA for normal text.', MARGIN, yPos);
+        }
+
+        failing.forEach(pair => {
+            if (yPos + 6 > pageBottom) {
+                addPageNumber(pdf);
+                pdf.addPage();
+                startAccessibilityPage(pdf, brandbook, true);
+                yPos = 70;
+                pdf.setFontSize(8);
+                pdf.setFont('helvetica', 'normal');
+            }
+
+            const adjusted = pair.suggestion.target === 'foreground' ? pair.foreground : pair.background;
+            const original = hexToRgb(adjusted.hex);
+            const suggested = hexToRgb(pair.suggestion.hex);
+
+            pdf.setFillColor(original.r, original.g, original.b);
+            pdf.rect(MARGIN, yPos - 3, 4, 4, 'F');
+            pdf.setFillColor(suggested.r, suggested.g, suggested.b);
+            pdf.rect(MARGIN + 5, yPos - 3, 4, 4, 'F');
+
+            pdf.setTextColor(200, 200, 200);
+            pdf.text(`${getLabel(pair.foreground)} on ${getLabel(pair.background)}: ${pair.ratio.toFixed(2)}:1`, MARGIN + 12, yPos);
+            pdf.setTextColor(150, 150, 150);
+            pdf.text(`use ${pair.suggestion.hex} for ${getLabel(adjusted)} (${pair.suggestion.ratio.toFixed(2)}:1)`, MARGIN + 95, yPos);
+            yPos += 6;
+        });
+
+        addPageNumber(pdf);
     }
 
     /**
@@ -652,9 +986,11 @@ const PdfModule = (function() {
     }
 
     /**
-     * Pre-capture all mockups sequentially (parallel causes issues with htmlToImage)
+     * Pre-capture all mockups sequentially (parallel causes issues with htmlToImage).
+     * PDF pages use compact JPEGs of the capture area; with { png: true } each mockup is
+     * captured on its own as a transparent PNG at twice the resolution.
      */
-    async function captureMockups(brandbook) {
+    async function captureMockups(brandbook, { png = false, message = 'Generating PDF...' } = {}) {
         PdfTiming.start('captureMockups_total');
 
         // Suppress CORS errors from html-to-image
@@ -680,7 +1016,7 @@ const PdfModule = (function() {
         // Create overlay to hide capture process from user
         const overlay = document.createElement('div');
         overlay.style.cssText = 'position:fixed;inset:0;background:#0f0f1a;z-index:100000;display:flex;align-items:center;justify-content:center;color:#fff;font-size:1.5rem;';
-        overlay.textContent = 'Generating PDF...';
+        overlay.textContent = message;
         document.body.appendChild(overlay);
 
         const tempContainer = document.createElement('div');
@@ -707,20 +1043,29 @@ const PdfModule = (function() {
                 // Wait for DOM settling - fonts are already loaded via FontFace API
                 await new Promise(r => setTimeout(r, 50));
 
-                // Use JPEG for ALL mockups - significantly reduces data size
-                // which speeds up pdf.addImage() (the main bottleneck)
-                tempContainer.style.background = '#0f0f1a';
                 let imgData;
 
                 // Time the actual htmlToImage conversion
                 const htmlToImageStart = performance.now();
-                imgData = await htmlToImage.toJpeg(tempContainer, {
-                    pixelRatio: 1.0,  // Lower ratio = smaller image = faster pdf.addImage
-                    quality: 0.85,
-                    backgroundColor: '#0f0f1a',
-                    cacheBust: true,
-                    fontEmbedCSS: fontEmbedCSS
-                });
+                if (png) {
+                    tempContainer.style.background = 'transparent';
+                    imgData = await htmlToImage.toPng(clone, {
+                        pixelRatio: 2,
+                        cacheBust: true,
+                        fontEmbedCSS: fontEmbedCSS
+                    });
+                } else {
+                    // Use JPEG for ALL mockups - significantly reduces data size
+                    // which speeds up pdf.addImage() (the main bottleneck)
+                    tempContainer.style.background = '#0f0f1a';
+                    imgData = await htmlToImage.toJpeg(tempContainer, {
+                        pixelRatio: 1.0,  // Lower ratio = smaller image = faster pdf.addImage
+                        quality: 0.85,
+                        backgroundColor: '#0f0f1a',
+                        cacheBust: true,
+                        fontEmbedCSS: fontEmbedCSS
+                    });
+                }
                 const htmlToImageDuration = performance.now() - htmlToImageStart;
                 if (PdfTiming.enabled) {
                     console.log(`[PDF Timing] htmlToImage ${config.id}: ${htmlToImageDuration.toFixed(0)}ms`);
@@ -739,7 +1084,7 @@ const PdfModule = (function() {
                     imgData,
                     width: img.width,
                     height: img.height,
-                    format: 'JPEG'
+                    format: png ? 'PNG' : 'JPEG'
                 });
 
             } catch (e) {
@@ -793,8 +1138,6 @@ const PdfModule = (function() {
      * Add mockup pages from pre-captured images
      */
     function addMockupPagesFromCaptures(pdf, captures, brandbook) {
-        let pageNum = BrandbookModule.getLogoUrl() ? 5 : 4;
-
         // Now add pages from captures (no more DOM manipulation)
         for (const capture of captures) {
             pdf.addPage();
@@ -814,17 +1157,67 @@ const PdfModule = (function() {
 
             pdf.addImage(capture.imgData, capture.format || 'PNG', xPos, layout.yPos, width, height);
 
-            addPageNumber(pdf, pageNum++);
+            addPageNumber(pdf);
         }
     }
 
+    /**
+     * Add appendix page showing all mockups as seen with a vision simulation
+     */
+    async function addVisionAppendixPage(pdf, captures, visionMode, brandbook) {
+        const mode = AccessibilityModule.getVisionModes().find(m => m.id === visionMode);
+
+        // Dark background
+        pdf.setFillColor(15, 15, 26);
+        pdf.rect(0, 0, PAGE_WIDTH, PAGE_HEIGHT, 'F');
+
+        // Header
+        addModernPageHeader(pdf, 'Vision Simulation', 'A', brandbook);
+
+        pdf.setFontSize(9);
+        pdf.setFont('helvetica', 'normal');
+        pdf.setTextColor(180, 180, 180);
+        pdf.text(`Appendix: mockups as seen with ${mode.label.toLowerCase()}.`, MARGIN, 66);
+
+        // Two-column grid of simulated mockups
+        const columns = 2;
+        const gap = 8;
+        const labelHeight = 6;
+        const gridTop = 76;
+        const rows = Math.ceil(captures.length / columns);
+        const cellWidth = (CONTENT_WIDTH - gap * (columns - 1)) / columns;
+        const cellHeight = (PAGE_HEIGHT - 30 - gridTop - gap * (rows - 1)) / rows;
+
+        for (let i = 0; i < captures.length; i++) {
+            const capture = captures[i];
+            const x = MARGIN + (i % columns) * (cellWidth + gap);
+            const y = gridTop + Math.floor(i / columns) * (cellHeight + gap);
+
+            pdf.setFontSize(8);
+            pdf.setFont('helvetica', 'bold');
+            pdf.setTextColor(200, 200, 200);
+            pdf.text(capture.title, x, y + 4);
+
+            try {
+                const simulated = await AccessibilityModule.simulateImage(capture.imgData, visionMode);
+                const { width, height } = calculateFitDimensions(simulated.width, simulated.height, cellWidth, cellHeight - labelHeight);
+                pdf.addImage(simulated.imgData, 'JPEG', x + (cellWidth - width) / 2, y + labelHeight, width, height);
+            } catch (e) {
+                console.warn(`Could not simulate ${capture.id}:`, e);
+            }
+        }
+
+        addPageNumber(pdf);
+    }
+
     /**
      * Prepare cloned element for PDF capture by applying explicit inline styles
      * Uses setAttribute to completely override any CSS
      */
     function prepareCloneForCapture(clone, brandbook) {
-        const primaryColor = brandbook.colors.primary.hex;
-        const secondaryColor = brandbook.colors.secondary.hex;
+        const roleColors = BrandbookModule.getRoleColors(brandbook);
+        const primaryColor = roleColors.primary;
+        const secondaryColor = roleColors.secondary;
         const primaryFont = brandbook.typography.primary.family;
         const secondaryFont = brandbook.typography.secondary?.family || primaryFont;
 
@@ -879,7 +1272,7 @@ const PdfModule = (function() {
 
             const cardLogo = cardFront.querySelector('.card-logo');
             if (cardLogo) {
-                const logoUrl = BrandbookModule.getLogoUrl();
+                const logoUrl = MockupsModule.getMockupLogoUrl('business-card');
                 const bgImage = logoUrl ? `url(${logoUrl})` : 'none';
                 setStyle(cardLogo, `width: 512px !important; height: 512px !important; margin-bottom: 8rem !important; background-size: contain !important; background-repeat: no-repeat !important; background-position: center !important; background-image: ${bgImage} !important; display: block !important;`);
             }
@@ -963,7 +1356,7 @@ const PdfModule = (function() {
 
             const avatarLogo = socialAvatar.querySelector('.avatar-logo');
             if (avatarLogo) {
-                const logoUrl = BrandbookModule.getLogoUrl();
+                const logoUrl = MockupsModule.getMockupLogoUrl('social-avatar');
                 const bgImage = logoUrl ? `url(${logoUrl})` : 'none';
                 setStyle(avatarLogo, `width: 960px !important; height: 960px !important; background-size: contain !important; background-repeat: no-repeat !important; background-position: center !important; background-image: ${bgImage} !important; filter: drop-shadow(0 8px 24px rgba(0,0,0,0.2)) !important;`);
             }
@@ -1081,7 +1474,7 @@ const PdfModule = (function() {
 
         const letterheadLogo = clone.querySelector('.letterhead-logo');
         if (letterheadLogo) {
-            const logoUrl = BrandbookModule.getLogoUrl();
+            const logoUrl = MockupsModule.getMockupLogoUrl('letterhead');
             const bgImage = logoUrl ? `url(${logoUrl})` : 'none';
             setStyle(letterheadLogo, `width: 186px !important; height: 186px !important; background-size: contain !important; background-repeat: no-repeat !important; background-position: center !important; flex-shrink: 0 !important; background-image: ${bgImage} !important;`);
         }
@@ -1168,7 +1561,7 @@ const PdfModule = (function() {
 
         const envelopeLogo = clone.querySelector('.envelope-logo');
         if (envelopeLogo) {
-            const logoUrl = BrandbookModule.getLogoUrl();
+            const logoUrl = MockupsModule.getMockupLogoUrl('envelope');
             const bgImage = logoUrl ? `url(${logoUrl})` : 'none';
             setStyle(envelopeLogo, `
                 width: 154px !important;
@@ -1276,7 +1669,7 @@ const PdfModule = (function() {
 
         const slideLogo = clone.querySelector('.slide-logo');
         if (slideLogo) {
-            const logoUrl = BrandbookModule.getLogoUrl();
+            const logoUrl = MockupsModule.getMockupLogoUrl('presentation');
             const bgImage = logoUrl ? `url(${logoUrl})` : 'none';
             setStyle(slideLogo, `width: 240px !important; height: 240px !important; background-size: contain !important; background-repeat: no-repeat !important; background-image: ${bgImage} !important; display: block !important;`);
         }
@@ -1294,8 +1687,7 @@ const PdfModule = (function() {
      * Add QR code page for easy brandbook sharing
      */
     async function addQrCodePage(pdf, brandbook) {
-        const primaryColor = hexToRgb(brandbook.colors.primary.hex);
-        const secondaryColor = hexToRgb(brandbook.colors.secondary.hex);
+        const primaryColor = hexToRgb(BrandbookModule.getRoleColors(brandbook).primary);
 
         // Dark background
         pdf.setFillColor(15, 15, 26);
@@ -1411,19 +1803,19 @@ const PdfModule = (function() {
         pdf.setFont('helvetica', 'normal');
         pdf.setTextColor(150, 150, 150);
 
-        // Color swatches preview
+        // Color swatches preview - shrink to fit large palettes beside the label
         const swatchY = includedY + 8;
-        const swatchSize = 8;
-        const colors = [brandbook.colors.primary, brandbook.colors.secondary, brandbook.colors.accent].filter(c => c);
+        const colors = brandbook.colors;
+        const swatchGap = colors.length > 10 ? 2 : 4;
+        const labelWidth = pdf.getTextWidth('Brand Colors') + 4;
+        const swatchSize = Math.min(8, (CONTENT_WIDTH - labelWidth - (colors.length * swatchGap)) / colors.length);
         let swatchX = MARGIN;
 
         colors.forEach(color => {
-            if (color) {
-                const rgb = hexToRgb(color.hex);
-                pdf.setFillColor(rgb.r, rgb.g, rgb.b);
-                roundedRect(pdf, swatchX, swatchY, swatchSize, swatchSize, 2, 'F');
-                swatchX += swatchSize + 4;
-            }
+            const rgb = hexToRgb(color.hex);
+            pdf.setFillColor(rgb.r, rgb.g, rgb.b);
+            roundedRect(pdf, swatchX, swatchY, swatchSize, swatchSize, Math.min(2, swatchSize / 4), 'F');
+            swatchX += swatchSize + swatchGap;
         });
         pdf.text('Brand Colors', swatchX + 4, swatchY + 6);
 
@@ -1434,16 +1826,14 @@ const PdfModule = (function() {
         pdf.setTextColor(150, 150, 150);
         pdf.text(`${brandbook.typography.primary.family}${brandbook.typography.secondary ? ' + ' + brandbook.typography.secondary.family : ''}`, MARGIN + 12, typographyY);
 
-        // Page number
-        const totalPages = BrandbookModule.getLogoUrl() ? 10 : 9;
-        addPageNumber(pdf, totalPages);
+        addPageNumber(pdf);
     }
 
     /**
      * Add modern page header
      */
     function addModernPageHeader(pdf, title, pageNum, brandbook) {
-        const primaryColor = hexToRgb(brandbook.colors.primary.hex);
+        const primaryColor = hexToRgb(BrandbookModule.getRoleColors(brandbook).primary);
 
         // Small accent bar
         pdf.setFillColor(primaryColor.r, primaryColor.g, primaryColor.b);
@@ -1463,9 +1853,9 @@ const PdfModule = (function() {
     }
 
     /**
-     * Add page number
+     * Add page number (defaults to the current last page)
      */
-    function addPageNumber(pdf, num) {
+    function addPageNumber(pdf, num = pdf.getNumberOfPages()) {
         pdf.setFontSize(9);
         pdf.setTextColor(100, 100, 100);
         pdf.text(String(num).padStart(2, '0'), PAGE_WIDTH - MARGIN, PAGE_HEIGHT - 15, { align: 'right' });
@@ -1537,7 +1927,7 @@ const PdfModule = (function() {
             pdf.addImage(capture.imgData, 'PNG', xPos, layout.yPos, width, height);
         }
 
-        addPageNumber(pdf, 1);
+        addPageNumber(pdf);
 
         pdf.save(config.fileName);
     }
@@ -1600,8 +1990,19 @@ const PdfModule = (function() {
         }
     }
 
+    /**
+     * Render every mockup as a PNG
+     * @returns {Promise<Array<{id: string, title: string, num: string, imgData: string, width: number, height: number}>>} PNG data URLs
+     */
+    function captureMockupImages() {
+        return captureMockups(BrandbookModule.getBrandbook(), { png: true, message: 'Rendering mockups...' });
+    }
+
     return {
         generatePdf,
+        createPdfBlob,
+        getPdfFileName,
+        captureMockupImages,
         generateSingleMockupPdf,
         timing: PdfTiming
     };
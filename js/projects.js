@@ -0,0 +1,316 @@
+/**
+ * Projects Module
+ * Handles the library of brandbook projects stored in the browser
+ */
+
+const ProjectsModule = (function() {
+    // Library index (names, timestamps, thumbnails); each project's brandbook lives under its own key
+    const INDEX_KEY = 'brandbook-visualizer-projects';
+    const PROJECT_KEY_PREFIX = 'brandbook-visualizer-project:';
+
+    // Thumbnails are captured from the visible mockup once edits settle
+    const THUMBNAIL_WIDTH = 240;
+    const THUMBNAIL_DELAY = 3000;
+
+    let library = { activeId: null, projects: [] };
+    let thumbnailTimer = null;
+
+    /**
+     * Load the library, migrating single-slot data on first run, and point BrandbookModule at the active project.
+     * Call after StorageModule.init() and before BrandbookModule.loadFromStorage().
+     * @returns {Promise<void>}
+     */
+    async function init() {
+        library = (await readIndex()) || (await migrateLegacyData());
+
+        if (!getProject(library.activeId)) {
+            library.activeId = library.projects.length > 0
+                ? sortByModified(library.projects)[0].id
+                : addProjectEntry('My Brand').id;
+        }
+
+        saveIndex();
+        BrandbookModule.setStorageKey(getProjectKey(library.activeId));
+        BrandbookModule.subscribe('save', handleSave);
+    }
+
+    function getProjectKey(id) {
+        return PROJECT_KEY_PREFIX + id;
+    }
+
+    function generateProjectId() {
+        return 'project-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    }
+
+    async function readIndex() {
+        try {
+            const index = await StorageModule.get(INDEX_KEY);
+            return index && Array.isArray(index.projects) ? index : null;
+        } catch (e) {
+            console.warn('Could not load project library:', e);
+            return null;
+        }
+    }
+
+    function saveIndex() {
+        return StorageModule.set(INDEX_KEY, library).catch(e => {
+            console.warn('Could not save project library:', e);
+        });
+    }
+
+    /**
+     * Move data from the single slot used before the library existed into a project
+     */
+    async function migrateLegacyData() {
+        library = { activeId: null, projects: [] };
+
+        try {
+            const legacy = await StorageModule.get(BrandbookModule.STORAGE_KEY);
+            if (legacy) {
+                const project = addProjectEntry(legacy.meta?.name || 'My Brand');
+                await StorageModule.set(getProjectKey(project.id), legacy);
+                await StorageModule.remove(BrandbookModule.STORAGE_KEY);
+                library.activeId = project.id;
+            }
+        } catch (e) {
+            console.warn('Could not migrate saved brandbook into the project library:', e);
+        }
+
+        return library;
+    }
+
+    function addProjectEntry(name) {
+        const project = {
+            id: generateProjectId(),
+            name,
+            modified: new Date().toISOString(),
+            thumbnail: null
+        };
+        library.projects.push(project);
+        return project;
+    }
+
+    function getProject(id) {
+        return library.projects.find(project => project.id === id) || null;
+    }
+
+    function sortByModified(projects) {
+        return [...projects].sort((a, b) => b.modified.localeCompare(a.modified));
+    }
+
+    /**
+     * Get all projects, most recently modified first
+     * @returns {Object[]} Project entries ({ id, name, modified, thumbnail })
+     */
+    function listProjects() {
+        return sortByModified(library.projects).map(project => ({ ...project }));
+    }
+
+    /**
+     * Get the open project
+     * @returns {Object} Project entry
+     */
+    function getActiveProject() {
+        return { ...getProject(library.activeId) };
+    }
+
+    /**
+     * Update the saved project's timestamp after BrandbookModule saves
+     * @param {{key: string}} event - Brandbook save event
+     */
+    function handleSave({ key }) {
+        const project = library.projects.find(entry => getProjectKey(entry.id) === key);
+        if (!project) return;
+
+        project.modified = new Date().toISOString();
+        saveIndex();
+        if (project.id === library.activeId) {
+            scheduleThumbnail();
+        }
+    }
+
+    function scheduleThumbnail() {
+        clearTimeout(thumbnailTimer);
+        thumbnailTimer = setTimeout(captureThumbnail, THUMBNAIL_DELAY);
+    }
+
+    /**
+     * Render a thumbnail of the visible mockup for the active project
+     */
+    async function captureThumbnail() {
+        clearTimeout(thumbnailTimer);
+        thumbnailTimer = null;
+
+        const element = document.querySelector('.mockup-container > .mockup.active');
+        const project = getProject(library.activeId);
+        if (!element || !project || typeof htmlToImage === 'undefined' || element.offsetWidth === 0) return;
+
+        try {
+            project.thumbnail = await htmlToImage.toJpeg(element, {
+                quality: 0.7,
+                pixelRatio: THUMBNAIL_WIDTH / element.offsetWidth,
+                backgroundColor: '#0f0f1a',
+                skipFonts: true
+            });
+            saveIndex();
+        } catch (e) {
+            console.warn('Could not capture project thumbnail:', e);
+        }
+    }
+
+    /**
+     * Create an empty project and open it
+     * @param {string} name - Project name
+     * @returns {Promise<Object>} The new project entry
+     */
+    async function createProject(name = 'Untitled Brand') {
+        await flushThumbnail();
+        const project = addProjectEntry(name);
+        switchTo(project.id);
+
+        const brandbook = BrandbookModule.createEmptyBrandbook();
+        brandbook.meta.name = name;
+        BrandbookModule.loadBrandbook(brandbook);
+        await BrandbookModule.saveToStorage();
+
+        return { ...project };
+    }
+
+    /**
+     * Open a project
+     * @param {string} id - Project id
+     * @returns {Promise<Object>} The loaded brandbook
+     * @throws {Error} If the project does not exist or its data is invalid
+     */
+    async function openProject(id) {
+        if (!getProject(id)) {
+            throw new Error('Project not found');
+        }
+
+        const saved = await StorageModule.get(getProjectKey(id));
+        const data = saved || BrandbookModule.createEmptyBrandbook();
+        await flushThumbnail();
+        const brandbook = BrandbookModule.loadBrandbook(data);
+        switchTo(id);
+        return brandbook;
+    }
+
+    /**
+     * Capture a pending thumbnail now. It belongs to the project being left, so it has to
+     * finish before loading another brandbook re-renders the mockups.
+     */
+    async function flushThumbnail() {
+        if (thumbnailTimer) {
+            await captureThumbnail();
+        }
+    }
+
+    function switchTo(id) {
+        library.activeId = id;
+        saveIndex();
+        BrandbookModule.setStorageKey(getProjectKey(id));
+    }
+
+    /**
+     * Rename a project
+     * @param {string} id - Project id
+     * @param {string} name - New name
+     */
+    function renameProject(id, name) {
+        const project = getProject(id);
+        const trimmed = (name || '').trim();
+        if (project && trimmed) {
+            project.name = trimmed;
+            saveIndex();
+        }
+    }
+
+    /**
+     * Copy a project (the copy is not opened)
+     * @param {string} id - Project id
+     * @returns {Promise<Object|null>} The new project entry
+     */
+    async function duplicateProject(id) {
+        const source = getProject(id);
+        if (!source) return null;
+
+        const copy = {
+            id: generateProjectId(),
+            name: `${source.name} (copy)`,
+            modified: new Date().toISOString(),
+            thumbnail: source.thumbnail
+        };
+
+        try {
+            // Make sure the latest edits of the open project are written first
+            if (id === library.activeId) {
+                await BrandbookModule.saveToStorage();
+            }
+            const data = await StorageModule.get(getProjectKey(id));
+            if (data) {
+                await StorageModule.set(getProjectKey(copy.id), data);
+            }
+        } catch (e) {
+            console.warn('Could not duplicate project:', e);
+            return null;
+        }
+
+        library.projects.push(copy);
+        saveIndex();
+        return { ...copy };
+    }
+
+    /**
+     * Delete a project. Deleting the open project opens the most recent remaining one (or a new empty one).
+     * @param {string} id - Project id
+     * @returns {Promise<boolean>} True if the open project changed
+     */
+    async function deleteProject(id) {
+        if (!getProject(id)) return false;
+
+        library.projects = library.projects.filter(project => project.id !== id);
+        try {
+            // Let queued writes of the open project land first so they cannot recreate its record
+            if (id === library.activeId) {
+                await BrandbookModule.saveToStorage();
+            }
+            await StorageModule.remove(getProjectKey(id));
+        } catch (e) {
+            console.warn('Could not delete project data:', e);
+        }
+
+        if (id !== library.activeId) {
+            saveIndex();
+            return false;
+        }
+
+        clearTimeout(thumbnailTimer);
+        thumbnailTimer = null;
+
+        const next = sortByModified(library.projects)[0];
+        try {
+            if (!next) throw new Error('No projects left');
+            await openProject(next.id);
+        } catch (e) {
+            await createProject();
+        }
+        return true;
+    }
+
+    return {
+        init,
+        listProjects,
+        getActiveProject,
+        createProject,
+        openProject,
+        renameProject,
+        duplicateProject,
+        deleteProject,
+        captureThumbnail
+    };
+})();
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ProjectsModule = ProjectsModule;
+}
@@ -0,0 +1,362 @@
+/**
+ * Schema Module
+ * Defines the .brandbook JSON Schema, validates imported data and migrates older format versions
+ */
+
+const SchemaModule = (function(ColorsModule) {
+    const CURRENT_VERSION = '1.1';
+
+    // Roles a palette entry can take; mockups look up primary/secondary/accent
+    const COLOR_ROLES = ['primary', 'secondary', 'accent', 'neutral', 'background', 'text', 'success', 'warning', 'error'];
+
+    // Named logo lockups stored next to the primary logo
+    const LOGO_VARIANTS = ['horizontal', 'stacked', 'icon', 'monochrome', 'reversed'];
+
+    const HEX_PATTERN = '^#[0-9A-Fa-f]{6}$';
+
+    /**
+     * JSON Schema (draft-07) for the current .brandbook format.
+     * errorMessage is a non-standard keyword used for friendlier pattern errors.
+     */
+    const BRANDBOOK_SCHEMA = {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        title: 'Brandbook',
+        type: 'object',
+        required: ['version', 'meta', 'colors', 'typography'],
+        properties: {
+            version: { type: 'string', enum: [CURRENT_VERSION] },
+            meta: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                    name: { type: 'string' },
+                    created: { type: 'string' },
+                    generator: { type: 'string' }
+                }
+            },
+            colors: {
+                type: 'array',
+                minItems: 1,
+                items: { $ref: '#/definitions/color' }
+            },
+            typography: {
+                type: 'object',
+                required: ['primary'],
+                properties: {
+                    primary: { $ref: '#/definitions/font' },
+                    secondary: { $ref: '#/definitions/font' }
+                },
+                additionalProperties: { $ref: '#/definitions/font' }
+            },
+            logo: {
+                type: 'object',
+                properties: {
+                    svg: { $ref: '#/definitions/imageDataUrl' },
+                    png: { $ref: '#/definitions/imageDataUrl' },
+                    usage: { type: 'string' },
+                    variants: {
+                        type: 'object',
+                        properties: Object.fromEntries(LOGO_VARIANTS.map(variant => [variant, { $ref: '#/definitions/logoVariant' }])),
+                        additionalProperties: false
+                    }
+                }
+            }
+        },
+        definitions: {
+            hex: {
+                type: 'string',
+                pattern: HEX_PATTERN,
+                errorMessage: 'must be a hex color like #FF5733'
+            },
+            color: {
+                type: 'object',
+                required: ['hex'],
+                properties: {
+                    id: { type: 'string', minLength: 1 },
+                    role: { type: 'string', enum: COLOR_ROLES },
+                    hex: { $ref: '#/definitions/hex' },
+                    name: { type: 'string' },
+                    // Optional dark mode variant
+                    dark: { $ref: '#/definitions/hex' },
+                    scale: {
+                        type: 'object',
+                        propertyNames: { enum: ColorsModule.SCALE_STEPS.map(String) },
+                        additionalProperties: {
+                            type: 'object',
+                            required: ['hex'],
+                            properties: {
+                                hex: { $ref: '#/definitions/hex' },
+                                locked: { type: 'boolean' }
+                            }
+                        }
+                    },
+                    cmyk: {
+                        type: 'object',
+                        required: ['c', 'm', 'y', 'k'],
+                        properties: {
+                            c: { $ref: '#/definitions/percentage' },
+                            m: { $ref: '#/definitions/percentage' },
+                            y: { $ref: '#/definitions/percentage' },
+                            k: { $ref: '#/definitions/percentage' }
+                        }
+                    },
+                    // Informational values written on export; ignored on import
+                    values: { type: 'object' }
+                }
+            },
+            font: {
+                type: 'object',
+                required: ['family'],
+                properties: {
+                    family: { type: 'string', minLength: 1 },
+                    source: { type: 'string' },
+                    weights: {
+                        type: 'array',
+                        items: { type: 'integer', minimum: 100, maximum: 900 }
+                    },
+                    usage: { type: 'string' },
+                    optional: { type: 'boolean' }
+                }
+            },
+            logoVariant: {
+                type: 'object',
+                properties: {
+                    svg: { $ref: '#/definitions/imageDataUrl' },
+                    png: { $ref: '#/definitions/imageDataUrl' },
+                    usage: { type: 'string' }
+                }
+            },
+            percentage: { type: 'number', minimum: 0, maximum: 100 },
+            imageDataUrl: {
+                type: ['string', 'null'],
+                pattern: '^data:image/',
+                errorMessage: 'must be an image data URL'
+            }
+        }
+    };
+
+    /**
+     * Upgrades keyed by the version they upgrade from.
+     * Each step returns data in the next version; migrate() chains them up to CURRENT_VERSION.
+     */
+    const MIGRATIONS = {
+        // 1.0 stored colors as a { primary, secondary, accent } object keyed by role.
+        // Unset slots (null or without a hex) are dropped; keys that are not roles become neutral colors.
+        '1.0': (data) => ({
+            ...data,
+            version: '1.1',
+            colors: Array.isArray(data.colors)
+                ? data.colors
+                : Object.entries(data.colors || {})
+                    .filter(([, color]) => color && typeof color === 'object' && color.hex)
+                    .map(([key, color]) => ({ id: key, role: COLOR_ROLES.includes(key) ? key : 'neutral', ...color }))
+        })
+    };
+
+    /**
+     * Upgrade brandbook data to the current format version
+     * @param {Object} data - Parsed brandbook data
+     * @returns {Object} Data in the current format version
+     * @throws {Error} If the version is missing, unknown or newer than supported
+     */
+    function migrate(data) {
+        if (!isObject(data) || typeof data.version !== 'string') {
+            throw new Error('Invalid brandbook format: missing version');
+        }
+
+        let migrated = data;
+        const seen = new Set();
+
+        while (migrated.version !== CURRENT_VERSION) {
+            const step = MIGRATIONS[migrated.version];
+            if (!step || seen.has(migrated.version)) {
+                throw new Error(compareVersions(migrated.version, CURRENT_VERSION) > 0
+                    ? `Brandbook version ${migrated.version} is newer than this app supports (${CURRENT_VERSION})`
+                    : `Unsupported brandbook version: ${migrated.version}`);
+            }
+            seen.add(migrated.version);
+            migrated = step(migrated);
+        }
+
+        return migrated;
+    }
+
+    function compareVersions(a, b) {
+        const partsA = a.split('.').map(Number);
+        const partsB = b.split('.').map(Number);
+        for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+            const diff = (partsA[i] || 0) - (partsB[i] || 0);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    }
+
+    /**
+     * Validate data against the brandbook schema
+     * @param {*} data - Brandbook data (current format version)
+     * @returns {Array<{path: string, message: string}>} Validation errors (empty when valid)
+     */
+    function validate(data) {
+        const errors = [];
+        validateNode(data, BRANDBOOK_SCHEMA, '', errors);
+        return errors;
+    }
+
+    /**
+     * Migrate then validate brandbook data
+     * @param {Object} data - Parsed brandbook data of any supported version
+     * @returns {Object} Migrated, valid data
+     * @throws {Error} With an errors array of {path, message} when validation fails
+     */
+    function parse(data) {
+        const migrated = migrate(data);
+        const errors = validate(migrated);
+
+        if (errors.length > 0) {
+            const error = new Error(formatErrors(errors));
+            error.errors = errors;
+            throw error;
+        }
+
+        return migrated;
+    }
+
+    /**
+     * Summarize validation errors in one line
+     * @param {Array<{path: string, message: string}>} errors - Validation errors
+     * @param {number} limit - Number of errors to list before summarizing the rest
+     * @returns {string} Message such as "colors[0].hex must be a hex color like #FF5733 (+2 more)"
+     */
+    function formatErrors(errors, limit = 1) {
+        const listed = errors.slice(0, limit).map(({ path, message }) => `${path || 'brandbook'} ${message}`);
+        const remaining = errors.length - limit;
+        return listed.join('; ') + (remaining > 0 ? ` (+${remaining} more)` : '');
+    }
+
+    function resolveRef(ref) {
+        const name = ref.replace('#/definitions/', '');
+        return BRANDBOOK_SCHEMA.definitions[name];
+    }
+
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function getType(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+
+    function matchesType(value, type) {
+        const actual = getType(value);
+        return actual === type || (type === 'number' && actual === 'integer');
+    }
+
+    function describeTypes(types) {
+        const names = types.map(type => (type === 'array' || type === 'object' || type === 'integer' ? 'an ' : 'a ') + type);
+        return names.map(name => name.replace(/^a null$/, 'null')).join(' or ');
+    }
+
+    /**
+     * Validate one value against a schema node, appending errors
+     */
+    function validateNode(value, schema, path, errors) {
+        if (schema.$ref) {
+            validateNode(value, { ...resolveRef(schema.$ref), ...omit(schema, '$ref') }, path, errors);
+            return;
+        }
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => matchesType(value, type))) {
+                errors.push({ path, message: `must be ${describeTypes(types)}` });
+                return;
+            }
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push({ path, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push({ path, message: schema.errorMessage || `must match ${schema.pattern}` });
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push({ path, message: `must be at least ${schema.minimum}` });
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push({ path, message: `must be at most ${schema.maximum}` });
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push({ path, message: `must contain at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+            }
+            if (schema.items) {
+                value.forEach((item, index) => validateNode(item, schema.items, `${path}[${index}]`, errors));
+            }
+        }
+
+        if (isObject(value)) {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) {
+                    errors.push({ path: joinPath(path, key), message: 'is required' });
+                }
+            });
+
+            Object.keys(value).forEach(key => {
+                const childPath = joinPath(path, key);
+
+                if (schema.propertyNames) {
+                    validateNode(key, schema.propertyNames, childPath, errors);
+                }
+
+                if (schema.properties && schema.properties[key]) {
+                    validateNode(value[key], schema.properties[key], childPath, errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ path: childPath, message: 'is not allowed' });
+                } else if (isObject(schema.additionalProperties)) {
+                    validateNode(value[key], schema.additionalProperties, childPath, errors);
+                }
+            });
+        }
+    }
+
+    function joinPath(path, key) {
+        return path ? `${path}.${key}` : key;
+    }
+
+    function omit(object, key) {
+        const { [key]: omitted, ...rest } = object;
+        return rest;
+    }
+
+    return {
+        CURRENT_VERSION,
+        COLOR_ROLES,
+        LOGO_VARIANTS,
+        BRANDBOOK_SCHEMA,
+        migrate,
+        validate,
+        parse,
+        formatErrors
+    };
+})(typeof ColorsModule !== 'undefined' ? ColorsModule : require('./colors.js'));
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.SchemaModule = SchemaModule;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SchemaModule;
+}
@@ -0,0 +1,360 @@
+/**
+ * Storage Module
+ * Persists app data in IndexedDB (binary assets as Blobs), falling back to localStorage
+ */
+
+const StorageModule = (function() {
+    const DB_NAME = 'brandbook-visualizer';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'records';
+    // A slow open is retried with a longer wait before giving up on IndexedDB
+    const OPEN_TIMEOUT = 3000;
+    const OPEN_ATTEMPTS = 3;
+
+    // Data URLs longer than this are stored as Blobs in IndexedDB
+    const BLOB_MIN_LENGTH = 1024;
+
+    // Each value has a sibling record with its save time, so copies in IndexedDB and localStorage can be compared
+    const SAVED_AT_SUFFIX = ':savedAt';
+
+    let backend = createMemoryBackend();
+    let warningListener = null;
+    let failing = false;
+
+    /**
+     * Pick the storage backend: IndexedDB, else localStorage, else memory only
+     * @returns {Promise<string>} Backend name ('indexeddb', 'localstorage' or 'memory')
+     */
+    async function init() {
+        try {
+            backend = await createIndexedDbBackend();
+        } catch (e) {
+            console.warn('IndexedDB unavailable, falling back to localStorage:', e);
+            if (isLocalStorageAvailable()) {
+                backend = createLocalStorageBackend();
+                if (e.timedOut) {
+                    // Projects saved in IndexedDB exist but cannot be read this session
+                    notifyWarning('Browser storage did not respond, so projects saved earlier are not shown and changes are kept separately until you reload. Reload the page to try again.');
+                }
+            } else {
+                backend = createMemoryBackend();
+                notifyWarning('Browser storage is unavailable. Changes will be lost when you close this page; download a .brandbook file to keep your work.');
+            }
+        }
+        return backend.name;
+    }
+
+    /**
+     * Get the active backend name
+     * @returns {string} 'indexeddb', 'localstorage' or 'memory'
+     */
+    function getBackendName() {
+        return backend.name;
+    }
+
+    /**
+     * Register a callback for persistence problems
+     * @param {Function|null} listener - Called with a user-facing message, or null once saving works again
+     */
+    function onWarning(listener) {
+        warningListener = listener;
+    }
+
+    function notifyWarning(message) {
+        if (warningListener) {
+            warningListener(message);
+        }
+    }
+
+    /**
+     * Read a value
+     * @param {string} key - Storage key
+     * @returns {Promise<*>} Stored value or null
+     */
+    function get(key) {
+        return backend.get(key);
+    }
+
+    /**
+     * Write a value; failures are reported through onWarning and rethrown
+     * @param {string} key - Storage key
+     * @param {*} value - JSON-compatible value
+     * @returns {Promise<void>}
+     */
+    async function set(key, value) {
+        try {
+            await backend.set(key, value);
+        } catch (e) {
+            failing = true;
+            notifyWarning(isQuotaError(e)
+                ? 'Browser storage is full, so recent changes were not saved. Delete unused projects or download a .brandbook file to keep your work.'
+                : 'Changes could not be saved in this browser. Download a .brandbook file to keep your work.');
+            throw e;
+        }
+
+        if (failing) {
+            failing = false;
+            notifyWarning(null);
+        }
+    }
+
+    /**
+     * Delete a value
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    function remove(key) {
+        return backend.remove(key);
+    }
+
+    function isQuotaError(e) {
+        return !!e && (e.name === 'QuotaExceededError' || e.name === 'NS_ERROR_DOM_QUOTA_REACHED' || e.code === 22);
+    }
+
+    function isLocalStorageAvailable() {
+        try {
+            const probe = '__brandbook_storage_probe__';
+            localStorage.setItem(probe, probe);
+            localStorage.removeItem(probe);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    function getSavedAtKey(key) {
+        return key + SAVED_AT_SUFFIX;
+    }
+
+    function readLocalStorage(key) {
+        try {
+            const saved = localStorage.getItem(key);
+            return saved === null ? null : JSON.parse(saved);
+        } catch (e) {
+            console.warn(`Could not read ${key} from localStorage:`, e);
+            return null;
+        }
+    }
+
+    function createLocalStorageBackend() {
+        return {
+            name: 'localstorage',
+            async get(key) {
+                return readLocalStorage(key);
+            },
+            async set(key, value) {
+                localStorage.setItem(key, JSON.stringify(value));
+                localStorage.setItem(getSavedAtKey(key), String(Date.now()));
+            },
+            async remove(key) {
+                removeLocalStorage(key);
+            }
+        };
+    }
+
+    function removeLocalStorage(key) {
+        localStorage.removeItem(key);
+        localStorage.removeItem(getSavedAtKey(key));
+    }
+
+    function createMemoryBackend() {
+        const records = new Map();
+        return {
+            name: 'memory',
+            async get(key) {
+                return records.has(key) ? JSON.parse(records.get(key)) : null;
+            },
+            async set(key, value) {
+                records.set(key, JSON.stringify(value));
+            },
+            async remove(key) {
+                records.delete(key);
+            }
+        };
+    }
+
+    /**
+     * Open the database, retrying when it is slow to respond
+     * @returns {Promise<IDBDatabase>}
+     */
+    async function openDatabaseWithRetry() {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const db = await openDatabase(OPEN_TIMEOUT * attempt);
+                if (attempt > 1) {
+                    notifyWarning(null);
+                }
+                return db;
+            } catch (e) {
+                if (!e.timedOut || attempt === OPEN_ATTEMPTS) throw e;
+                console.warn(`IndexedDB did not open within ${OPEN_TIMEOUT * attempt}ms, retrying`);
+                notifyWarning('Browser storage is slow to respond. Still trying to load your projects…');
+            }
+        }
+    }
+
+    /**
+     * Open the database; rejects if IndexedDB is missing, blocked or too slow to respond
+     * (with error.timedOut set in the last case)
+     * @param {number} timeout - Milliseconds to wait
+     */
+    function openDatabase(timeout) {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not supported'));
+                return;
+            }
+
+            let timedOut = false;
+            const timer = setTimeout(() => {
+                timedOut = true;
+                const error = new Error('Timed out opening IndexedDB');
+                error.timedOut = true;
+                reject(error);
+            }, timeout);
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+                    request.result.createObjectStore(STORE_NAME);
+                }
+            };
+            request.onsuccess = () => {
+                clearTimeout(timer);
+                if (timedOut) {
+                    // A later attempt owns the connection
+                    request.result.close();
+                    return;
+                }
+                resolve(request.result);
+            };
+            request.onerror = () => {
+                clearTimeout(timer);
+                reject(request.error);
+            };
+            request.onblocked = () => {
+                clearTimeout(timer);
+                reject(new Error('IndexedDB is blocked by another tab'));
+            };
+        });
+    }
+
+    async function createIndexedDbBackend() {
+        const db = await openDatabaseWithRetry();
+
+        // operation returns a request or a list of them; resolves with their results
+        const run = (mode, operation) => new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(Array.isArray(request) ? request.map(item => item.result) : request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+
+        const saveRecord = (key, value, savedAt) => run('readwrite', store => [
+            store.put(deflateDataUrls(value), key),
+            store.put(savedAt, getSavedAtKey(key))
+        ]);
+
+        return {
+            name: 'indexeddb',
+            async get(key) {
+                const [stored, savedAt] = await run('readonly', store => [store.get(key), store.get(getSavedAtKey(key))]);
+
+                // localStorage holds data saved before IndexedDB was used or while it was unavailable;
+                // the newer copy wins and ends up in IndexedDB (copies without a save time count as oldest)
+                const local = readLocalStorage(key);
+                if (local !== null) {
+                    const localSavedAt = Number(localStorage.getItem(getSavedAtKey(key))) || 0;
+                    if (stored === undefined || localSavedAt > (savedAt || 0)) {
+                        await saveRecord(key, local, localSavedAt || Date.now());
+                        removeLocalStorage(key);
+                        return local;
+                    }
+                    removeLocalStorage(key);
+                }
+                return stored === undefined ? null : inflateBlobs(stored);
+            },
+            async set(key, value) {
+                await saveRecord(key, value, Date.now());
+            },
+            async remove(key) {
+                await run('readwrite', store => [store.delete(key), store.delete(getSavedAtKey(key))]);
+                if (isLocalStorageAvailable()) {
+                    removeLocalStorage(key);
+                }
+            }
+        };
+    }
+
+    /**
+     * Copy a value, replacing large data URLs with Blobs
+     */
+    function deflateDataUrls(value) {
+        if (typeof value === 'string') {
+            return value.length >= BLOB_MIN_LENGTH && value.startsWith('data:') ? dataUrlToBlob(value) : value;
+        }
+        if (Array.isArray(value)) return value.map(deflateDataUrls);
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, deflateDataUrls(item)]));
+        }
+        return value;
+    }
+
+    /**
+     * Copy a value, turning Blobs back into data URLs
+     */
+    async function inflateBlobs(value) {
+        if (value instanceof Blob) return blobToDataUrl(value);
+        if (Array.isArray(value)) return Promise.all(value.map(inflateBlobs));
+        if (value && typeof value === 'object') {
+            const entries = await Promise.all(Object.entries(value).map(async ([key, item]) => [key, await inflateBlobs(item)]));
+            return Object.fromEntries(entries);
+        }
+        return value;
+    }
+
+    function dataUrlToBlob(dataUrl) {
+        const comma = dataUrl.indexOf(',');
+        const header = dataUrl.slice(5, comma);
+        const payload = dataUrl.slice(comma + 1);
+        const mimeType = header.split(';')[0] || 'application/octet-stream';
+
+        if (!header.endsWith(';base64')) {
+            return new Blob([decodeURIComponent(payload)], { type: mimeType });
+        }
+
+        const binary = atob(payload);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Blob([bytes], { type: mimeType });
+    }
+
+    function blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    return {
+        init,
+        getBackendName,
+        onWarning,
+        get,
+        set,
+        remove
+    };
+})();
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.StorageModule = StorageModule;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StorageModule;
+}
@@ -0,0 +1,552 @@
+/**
+ * SVG Module
+ * Environment-agnostic SVG handling: sanitizing logos and encoding them as data URLs.
+ * Reads SVG with a small XML parser of its own, so uploads in the browser, imported
+ * .brandbook files and the Node CLI all apply the same rules.
+ */
+
+const SvgModule = (function() {
+    const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+    const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+    const XMLNS_NAMESPACE = 'http://www.w3.org/2000/xmlns/';
+
+    // Elements removed from SVGs: script hosts and embedded foreign content
+    const SCRIPT_ELEMENTS = ['script', 'handler', 'listener'];
+    const FOREIGN_ELEMENTS = ['foreignObject', 'iframe', 'embed', 'object', 'audio', 'video', 'canvas'];
+
+    // Editor bookkeeping that does not affect rendering
+    const CRUFT_ELEMENTS = ['metadata'];
+    const EDITOR_NAMESPACE_PATTERN = /inkscape|sodipodi|adobe\.com|bohemiancoding|serif\.com|figma|vectornator|corel/i;
+
+    // Whitespace matters inside these
+    const TEXT_ELEMENTS = ['text', 'tspan', 'textPath', 'style', 'title', 'desc'];
+
+    // Raster images an <image> may embed
+    const SAFE_IMAGE_DATA_PATTERN = /^data:image\/(png|jpe?g|gif|webp);base64,/i;
+
+    // CSS that runs script or loads code
+    const UNSAFE_CSS_PATTERN = /expression\s*\(|(java|vb)script:|behavior\s*:|-moz-binding/i;
+
+    // CSS functions that load whatever their arguments name (image-set also covers -webkit-image-set)
+    const LOADING_CSS_PATTERN = /image-set\(|\bsrc\(/i;
+
+    const XML_ENTITIES = new Map([['amp', '&'], ['lt', '<'], ['gt', '>'], ['quot', '"'], ['apos', "'"]]);
+
+    // Labels for the counts in a sanitize result
+    const REMOVED_LABELS = {
+        scripts: ['script or event handler', 'scripts and event handlers'],
+        references: ['external reference', 'external references'],
+        cruft: ['editor leftover', 'editor leftovers']
+    };
+
+    /**
+     * Make an SVG safe to store and share, and drop what does not affect rendering.
+     * Removes scripts, event handlers, javascript: links, external references (hrefs, url(), image-set(), src(), @import),
+     * embedded foreign content, comments, metadata and editor namespaces; normalizes the viewBox,
+     * adding one from width and height when missing.
+     * @param {string} svgText - SVG source
+     * @returns {{svg: string, originalSize: number, size: number, removed: {scripts: number, references: number, cruft: number}, unsafe: boolean, viewBox: string|null}}
+     *   Cleaned source, byte sizes, counts of removed items, whether scripts or external references
+     *   were among them, and 'added' or 'normalized' when the viewBox changed
+     * @throws {Error} With a message for the user when the file is malformed or cannot be made safe
+     */
+    function sanitizeSvg(svgText) {
+        // Entities can expand without bound or pull in local files; there is no safe way to keep them
+        if (/<!ENTITY/i.test(svgText)) {
+            throw new Error('The SVG declares XML entities, which are not allowed. Re-export it without a DOCTYPE.');
+        }
+
+        const { root, cruft } = parseXml(svgText);
+        if (root.local !== 'svg') {
+            throw new Error('The file is not an SVG image');
+        }
+        if (root.namespace !== SVG_NAMESPACE) {
+            throw new Error(`The SVG is missing xmlns="${SVG_NAMESPACE}" and cannot be displayed`);
+        }
+
+        const removed = { scripts: 0, references: 0, cruft };
+        sanitizeElement(root, removed);
+        removeInsignificantNodes(root);
+        const viewBox = normalizeViewBox(root);
+
+        const svg = serialize(root);
+        return {
+            svg,
+            originalSize: getByteLength(svgText),
+            size: getByteLength(svg),
+            removed,
+            unsafe: removed.scripts + removed.references > 0,
+            viewBox
+        };
+    }
+
+    /**
+     * Describe removed items, e.g. "1 script or event handler and 2 external references"
+     * @param {Object} removed - Counts from a sanitizeSvg result
+     * @param {string[]} kinds - Which counts to list
+     * @returns {string} Description, empty when nothing was removed
+     */
+    function describeRemoved(removed, kinds = Object.keys(REMOVED_LABELS)) {
+        const parts = kinds
+            .filter(kind => removed[kind] > 0)
+            .map(kind => `${removed[kind]} ${REMOVED_LABELS[kind][removed[kind] === 1 ? 0 : 1]}`);
+        return parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}` : parts.join('');
+    }
+
+    /**
+     * Decode an SVG data URL (base64 or percent-encoded) to markup
+     * @param {string} dataUrl - data:image/svg+xml URL
+     * @returns {string} SVG source
+     */
+    function decodeDataUrl(dataUrl) {
+        const comma = dataUrl.indexOf(',');
+        const payload = dataUrl.slice(comma + 1);
+        if (!dataUrl.slice(0, comma).endsWith(';base64')) {
+            return decodeURIComponent(payload);
+        }
+        const binary = atob(payload);
+        return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+    }
+
+    /**
+     * Encode SVG markup as a data URL
+     * @param {string} svgText - SVG source
+     * @returns {string} data:image/svg+xml URL
+     */
+    function toDataUrl(svgText) {
+        return 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svgText);
+    }
+
+    /**
+     * Parse XML into element, text and cdata nodes. Elements carry their resolved namespace.
+     * Comments, processing instructions and the doctype are dropped and counted.
+     * @param {string} text - XML source
+     * @returns {{root: Object, cruft: number}} Root element and number of dropped nodes
+     * @throws {Error} If the XML is not well-formed
+     */
+    function parseXml(text) {
+        let pos = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+        let root = null;
+        let cruft = 0;
+        const stack = [];
+
+        const fail = (message, at = pos) => {
+            const line = text.slice(0, at).split('\n').length;
+            throw new Error(`The SVG file is malformed: ${message} (line ${line})`);
+        };
+        const current = () => stack[stack.length - 1];
+
+        const skipSpace = () => {
+            const start = pos;
+            while (pos < text.length && /\s/.test(text[pos])) pos++;
+            return pos > start;
+        };
+        const readName = () => {
+            const match = /^[A-Za-z_][\w.:-]*/.exec(text.slice(pos, pos + 256));
+            if (!match) return null;
+            pos += match[0].length;
+            return match[0];
+        };
+        const readUntil = (terminator, what) => {
+            const end = text.indexOf(terminator, pos);
+            if (end === -1) fail(`${what} is not closed`);
+            const content = text.slice(pos, end);
+            pos = end + terminator.length;
+            return content;
+        };
+        const decode = (raw, at) => raw.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[A-Za-z_][\w.-]*)?(;?)/g, (match, ref, semicolon, offset) => {
+            if (!ref || !semicolon) fail('unescaped "&"', at + offset);
+            if (ref[0] === '#') {
+                const code = ref[1] === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+                if (!(code > 0 && code <= 0x10FFFF)) fail(`invalid character reference ${match}`, at + offset);
+                return String.fromCodePoint(code);
+            }
+            if (!XML_ENTITIES.has(ref)) fail(`undefined entity ${match}`, at + offset);
+            return XML_ENTITIES.get(ref);
+        });
+
+        const skipDoctype = () => {
+            let depth = 0;
+            let quote = null;
+            for (; pos < text.length; pos++) {
+                const char = text[pos];
+                if (quote) {
+                    if (char === quote) quote = null;
+                } else if (char === '"' || char === "'") {
+                    quote = char;
+                } else if (char === '[') {
+                    depth++;
+                } else if (char === ']') {
+                    depth--;
+                } else if (char === '>' && depth === 0) {
+                    pos++;
+                    return;
+                }
+            }
+            fail('the DOCTYPE is not closed');
+        };
+
+        const readStartTag = () => {
+            const start = pos - 1;
+            const name = readName();
+            if (!name) fail('invalid tag name');
+
+            const attributes = [];
+            let selfClosing = false;
+            for (;;) {
+                const spaced = skipSpace();
+                if (text.startsWith('/>', pos)) {
+                    pos += 2;
+                    selfClosing = true;
+                    break;
+                }
+                if (text[pos] === '>') {
+                    pos++;
+                    break;
+                }
+                if (pos >= text.length) fail(`<${name}> is not closed`, start);
+                if (!spaced) fail(`missing space between attributes of <${name}>`);
+
+                const attrName = readName();
+                if (!attrName) fail(`invalid attribute in <${name}>`);
+                skipSpace();
+                if (text[pos] !== '=') fail(`attribute ${attrName} has no value`);
+                pos++;
+                skipSpace();
+                const quote = text[pos];
+                if (quote !== '"' && quote !== "'") fail(`the value of ${attrName} is not quoted`);
+                const end = text.indexOf(quote, pos + 1);
+                if (end === -1) fail(`the value of ${attrName} is not closed`);
+                const raw = text.slice(pos + 1, end);
+                if (raw.includes('<')) fail(`"<" in the value of ${attrName}`);
+                if (attributes.some(attr => attr.name === attrName)) fail(`duplicate attribute ${attrName}`);
+                // Literal whitespace in attribute values reads as spaces in XML
+                attributes.push({ name: attrName, value: decode(raw.replace(/[\t\n\r]/g, ' '), pos + 1) });
+                pos = end + 1;
+            }
+
+            const parent = current();
+            const scope = { ...(parent ? parent.scope : { xml: XML_NAMESPACE }) };
+            attributes.forEach(({ name: attrName, value }) => {
+                if (attrName === 'xmlns') scope[''] = value;
+                else if (attrName.startsWith('xmlns:')) scope[attrName.slice(6)] = value;
+            });
+            const resolve = (qualifiedName, isAttribute) => {
+                const colon = qualifiedName.indexOf(':');
+                const prefix = colon === -1 ? '' : qualifiedName.slice(0, colon);
+                const local = qualifiedName.slice(colon + 1);
+                if (qualifiedName === 'xmlns' || prefix === 'xmlns') return { local, namespace: XMLNS_NAMESPACE };
+                if (!prefix) return { local, namespace: isAttribute ? null : scope[''] || null };
+                if (!Object.prototype.hasOwnProperty.call(scope, prefix)) fail(`namespace prefix ${prefix} is not declared`, start);
+                return { local, namespace: scope[prefix] };
+            };
+
+            const element = { type: 'element', name, ...resolve(name, false), scope, children: [] };
+            element.attributes = attributes.map(attr => ({ ...attr, ...resolve(attr.name, true) }));
+
+            if (parent) {
+                parent.children.push(element);
+            } else if (root) {
+                fail('more than one root element', start);
+            } else {
+                root = element;
+            }
+            if (!selfClosing) stack.push(element);
+        };
+
+        while (pos < text.length) {
+            if (text.startsWith('<!--', pos)) {
+                pos += 4;
+                readUntil('-->', 'a comment');
+                cruft++;
+            } else if (text.startsWith('<![CDATA[', pos)) {
+                if (!current()) fail('CDATA outside the root element');
+                pos += 9;
+                current().children.push({ type: 'cdata', value: readUntil(']]>', 'a CDATA section') });
+            } else if (text.startsWith('<?', pos)) {
+                pos += 2;
+                // The XML declaration is not content; other processing instructions (stylesheets) are dropped
+                if (!/^xml\s/.test(readUntil('?>', 'a processing instruction'))) cruft++;
+            } else if (text.startsWith('<!DOCTYPE', pos)) {
+                if (root) fail('DOCTYPE after the root element');
+                skipDoctype();
+                cruft++;
+            } else if (text.startsWith('</', pos)) {
+                const start = pos;
+                pos += 2;
+                const name = readName();
+                skipSpace();
+                if (!name || text[pos] !== '>') fail('invalid closing tag', start);
+                pos++;
+                const element = stack.pop();
+                if (!element) fail(`unexpected closing tag </${name}>`, start);
+                if (element.name !== name) fail(`<${element.name}> is closed by </${name}>`, start);
+            } else if (text[pos] === '<') {
+                pos++;
+                readStartTag();
+            } else {
+                const start = pos;
+                const end = text.indexOf('<', pos);
+                pos = end === -1 ? text.length : end;
+                const raw = text.slice(start, pos);
+                if (current()) {
+                    current().children.push({ type: 'text', value: decode(raw, start) });
+                } else if (raw.trim()) {
+                    fail('text outside the root element', start);
+                }
+            }
+        }
+
+        if (stack.length > 0) fail(`<${current().name}> is not closed`);
+        if (!root) throw new Error('The file is not an SVG image');
+        return { root, cruft };
+    }
+
+    /**
+     * Remove unsafe and editor-only attributes and children of an element, recursively
+     */
+    function sanitizeElement(element, removed) {
+        element.attributes = element.attributes.filter(attr => {
+            const kind = getUnsafeAttributeKind(element, attr);
+            if (kind) removed[kind]++;
+            return !kind;
+        });
+
+        const style = element.attributes.find(attr => attr.name === 'style');
+        if (style) {
+            const { text, count } = sanitizeDeclarations(style.value);
+            if (count) {
+                removed.references += count;
+                style.value = text;
+                if (!text) element.attributes = element.attributes.filter(attr => attr !== style);
+            }
+        }
+
+        if (element.local === 'style') {
+            sanitizeStyleElement(element, removed);
+        }
+
+        element.children = element.children.filter(child => {
+            if (child.type !== 'element') return true;
+            const kind = getRemovedElementKind(child);
+            if (kind) {
+                removed[kind]++;
+                return false;
+            }
+            sanitizeElement(child, removed);
+            return true;
+        });
+    }
+
+    /**
+     * Classify an element that has to go
+     * @returns {string|null} 'scripts', 'references', 'cruft' or null to keep it
+     */
+    function getRemovedElementKind(element) {
+        if (SCRIPT_ELEMENTS.includes(element.local) || isScriptAnimation(element)) return 'scripts';
+        if (FOREIGN_ELEMENTS.includes(element.local)) return 'references';
+        if (CRUFT_ELEMENTS.includes(element.local) || (element.namespace && EDITOR_NAMESPACE_PATTERN.test(element.namespace))) return 'cruft';
+        return null;
+    }
+
+    /**
+     * <set>/<animate> that rewrite links or event handlers can inject script after sanitizing
+     */
+    function isScriptAnimation(element) {
+        if (!['set', 'animate'].includes(element.local)) return false;
+        const target = (getAttribute(element, 'attributeName') || '').trim().toLowerCase();
+        return target.startsWith('on') || target === 'href' || target === 'xlink:href';
+    }
+
+    /**
+     * Classify an attribute that has to go
+     * @returns {string|null} 'scripts', 'references', 'cruft' or null to keep it
+     */
+    function getUnsafeAttributeKind(element, attr) {
+        const local = attr.local.toLowerCase();
+        // Browsers ignore whitespace and control characters inside URL schemes
+        const compact = attr.value.replace(/[\s\u0000-\u001F]+/g, '');
+
+        if (attr.namespace === XMLNS_NAMESPACE) {
+            return EDITOR_NAMESPACE_PATTERN.test(attr.value) ? 'cruft' : null;
+        }
+        if (local.startsWith('on') || /^(java|vb)script:/i.test(compact)) return 'scripts';
+        if (local === 'href') {
+            const allowed = compact.startsWith('#') || (element.local === 'image' && SAFE_IMAGE_DATA_PATTERN.test(compact));
+            return allowed ? null : 'references';
+        }
+        // style attributes are cleaned declaration by declaration
+        if (attr.name !== 'style' && hasExternalUrl(attr.value)) return 'references';
+        if ((attr.namespace && EDITOR_NAMESPACE_PATTERN.test(attr.namespace)) || attr.name === 'data-name') return 'cruft';
+        return null;
+    }
+
+    /**
+     * Check for url(), image-set() or src() values loading anything but an element in the same file
+     */
+    function hasExternalUrl(value) {
+        const css = decodeCssEscapes(value);
+        if (LOADING_CSS_PATTERN.test(css)) return true;
+        const urls = css.match(/url\(\s*(['"]?)(.*?)\1\s*\)/gi) || [];
+        return urls.some(url => !/^url\(\s*['"]?#/i.test(url));
+    }
+
+    /**
+     * Resolve CSS escapes (\72 or \r), which browsers apply before reading names and functions,
+     * so u\72l( cannot hide a url(
+     */
+    function decodeCssEscapes(value) {
+        return value.replace(/\\(?:([0-9a-fA-F]{1,6})[ \t\n\r\f]?|([^\n0-9a-fA-F]))/g, (match, hex, char) => {
+            if (char) return char;
+            const code = parseInt(hex, 16);
+            return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : '\uFFFD';
+        });
+    }
+
+    /**
+     * Drop CSS declarations that load external resources or run script
+     * @returns {{text: string, count: number}} Remaining declarations and how many were dropped
+     */
+    function sanitizeDeclarations(text) {
+        let count = 0;
+        // Semicolons inside url(...) and strings do not end a declaration
+        const declarations = text.match(/(?:[^;()'"]|\([^)]*\)|'[^']*'|"[^"]*")+/g) || [];
+        const kept = declarations.filter(declaration => {
+            const unsafe = hasExternalUrl(declaration) || UNSAFE_CSS_PATTERN.test(decodeCssEscapes(declaration));
+            if (unsafe) count++;
+            return !unsafe;
+        });
+        return { text: kept.map(declaration => declaration.trim()).filter(Boolean).join(';'), count };
+    }
+
+    /**
+     * Strip comments, @import rules and unsafe declarations from a <style> element
+     */
+    function sanitizeStyleElement(element, removed) {
+        const source = element.children.map(child => child.type === 'element' ? '' : child.value).join('');
+        let count = 0;
+        const css = source
+            .replace(/\/\*[\s\S]*?\*\//g, '')
+            .replace(/@[^;{}]*;?/g, rule => {
+                if (!/^@import\b/i.test(decodeCssEscapes(rule))) return rule;
+                count++;
+                return '';
+            })
+            .replace(/\{([^{}]*)\}/g, (match, declarations) => {
+                const result = sanitizeDeclarations(declarations);
+                count += result.count;
+                return result.count ? `{${result.text}}` : match;
+            })
+            .trim();
+
+        removed.references += count;
+        const useCdata = element.children.some(child => child.type === 'cdata') && !css.includes(']]>');
+        element.children = css ? [{ type: useCdata ? 'cdata' : 'text', value: css }] : [];
+    }
+
+    /**
+     * Remove whitespace-only text outside text content, and empty groups and defs
+     */
+    function removeInsignificantNodes(element) {
+        element.children = element.children.filter(child => {
+            if (child.type === 'text') {
+                return TEXT_ELEMENTS.includes(element.local) || child.value.trim() !== '';
+            }
+            if (child.type !== 'element') return true;
+            removeInsignificantNodes(child);
+            return !(['g', 'defs'].includes(child.local) && child.children.length === 0 && getAttribute(child, 'id') === null);
+        });
+    }
+
+    /**
+     * Rewrite the viewBox as four space-separated numbers, or derive it from width and height
+     * @returns {string|null} 'normalized', 'added' or null when unchanged
+     */
+    function normalizeViewBox(root) {
+        const current = getAttribute(root, 'viewBox');
+        const values = (current || '').trim().split(/[\s,]+/).map(Number);
+        if (current && values.length === 4 && values.every(Number.isFinite) && values[2] > 0 && values[3] > 0) {
+            const normalized = values.join(' ');
+            if (normalized === current) return null;
+            setAttribute(root, 'viewBox', normalized);
+            return 'normalized';
+        }
+
+        // Only unitless or px sizes map to user units
+        const size = (name) => {
+            const match = /^\s*([\d.]+)\s*(px)?\s*$/.exec(getAttribute(root, name) || '');
+            return match ? Number(match[1]) : NaN;
+        };
+        const width = size('width');
+        const height = size('height');
+        if (width > 0 && height > 0) {
+            setAttribute(root, 'viewBox', `0 0 ${width} ${height}`);
+            return current ? 'normalized' : 'added';
+        }
+        if (current) {
+            root.attributes = root.attributes.filter(attr => attr.name !== 'viewBox');
+        }
+        return null;
+    }
+
+    function getAttribute(element, name) {
+        const attr = element.attributes.find(item => item.name === name);
+        return attr ? attr.value : null;
+    }
+
+    function setAttribute(element, name, value) {
+        const attr = element.attributes.find(item => item.name === name);
+        if (attr) {
+            attr.value = value;
+        } else {
+            element.attributes.push({ name, local: name, namespace: null, value });
+        }
+    }
+
+    /**
+     * Write a parsed node back to XML
+     */
+    function serialize(node) {
+        if (node.type === 'text') {
+            return node.value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        }
+        if (node.type === 'cdata') {
+            return `<![CDATA[${node.value}]]>`;
+        }
+
+        const attributes = node.attributes.map(({ name, value }) => ` ${name}="${escapeAttribute(value)}"`).join('');
+        if (node.children.length === 0) {
+            return `<${node.name}${attributes}/>`;
+        }
+        return `<${node.name}${attributes}>${node.children.map(serialize).join('')}</${node.name}>`;
+    }
+
+    function escapeAttribute(value) {
+        return value
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/"/g, '&quot;')
+            .replace(/\t/g, '&#9;')
+            .replace(/\n/g, '&#10;')
+            .replace(/\r/g, '&#13;');
+    }
+
+    function getByteLength(text) {
+        return new TextEncoder().encode(text).length;
+    }
+
+    return {
+        sanitizeSvg,
+        describeRemoved,
+        decodeDataUrl,
+        toDataUrl
+    };
+})();
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.SvgModule = SvgModule;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SvgModule;
+}
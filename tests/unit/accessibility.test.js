@@ -0,0 +1,107 @@
+/**
+ * Unit tests for the accessibility checks (js/accessibility.js)
+ *
+ * Run with: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const AccessibilityModule = require('../../js/accessibility.js');
+const ColorsModule = require('../../js/colors.js');
+
+const PALETTE = [
+    { id: 'primary', name: 'Primary', role: 'primary', hex: '#FF5733' },
+    { id: 'secondary', name: 'Secondary', role: 'secondary', hex: '#2C3E50' }
+];
+
+test('WCAG levels and labels use the 3, 4.5 and 7 thresholds', () => {
+    assert.deepEqual(AccessibilityModule.getWcagLevels(4.5), { aa: true, aaa: false, aaLarge: true, aaaLarge: true });
+    assert.deepEqual(AccessibilityModule.getWcagLevels(2.99), { aa: false, aaa: false, aaLarge: false, aaaLarge: false });
+    assert.deepEqual([7, 4.5, 3, 2.99].map(AccessibilityModule.getWcagLabel), ['AAA', 'AA', 'AA Large', 'Fail']);
+});
+
+test('getContrastMatrix pairs every palette color with the others and with white and black', () => {
+    const { entries, pairs } = AccessibilityModule.getContrastMatrix(PALETTE);
+    assert.deepEqual(entries.map(entry => entry.hex), ['#FF5733', '#2C3E50', '#FFFFFF', '#000000']);
+    assert.equal(pairs.length, 4 * 3);
+    assert.ok(pairs.every(pair => pair.foreground !== pair.background));
+    assert.deepEqual(pairs.slice(0, 3).map(pair => pair.background.hex), ['#2C3E50', '#FFFFFF', '#000000']);
+
+    const onWhite = pairs.find(pair => pair.foreground === PALETTE[1] && pair.background.hex === '#FFFFFF');
+    assert.equal(onWhite.ratio, ColorsModule.getContrastRatio('#2C3E50', '#FFFFFF'));
+    assert.equal(onWhite.label, 'AAA');
+    assert.equal(onWhite.suggestion, null);
+});
+
+test('failing pairs suggest a passing variant of the palette color, never of white or black', () => {
+    const { pairs } = AccessibilityModule.getContrastMatrix(PALETTE);
+    const failing = pairs.filter(pair => !pair.levels.aa);
+    assert.equal(failing.length, 6);
+
+    failing.forEach(pair => {
+        assert.ok(pair.suggestion, `${pair.foreground.hex} on ${pair.background.hex} has a suggestion`);
+        assert.ok(pair.suggestion.ratio >= AccessibilityModule.AA_NORMAL);
+        const adjusted = pair.suggestion.target === 'foreground' ? pair.foreground : pair.background;
+        assert.notEqual(adjusted.role, 'reference');
+    });
+
+    const whiteOnPrimary = pairs.find(pair => pair.foreground.hex === '#FFFFFF' && pair.background === PALETTE[0]);
+    assert.equal(whiteOnPrimary.suggestion.target, 'background');
+});
+
+test('suggestPassingColor changes only the lightness, as little as possible', () => {
+    const suggestion = AccessibilityModule.suggestPassingColor('#FF5733', '#FFFFFF');
+    assert.ok(suggestion.ratio >= 4.5 && suggestion.ratio < 4.6);
+    assert.equal(suggestion.ratio, ColorsModule.getContrastRatio(suggestion.hex, '#FFFFFF'));
+
+    const before = ColorsModule.rgbToOklch(ColorsModule.hexToRgb('#FF5733'));
+    const after = ColorsModule.rgbToOklch(ColorsModule.hexToRgb(suggestion.hex));
+    assert.ok(after.l < before.l, 'darkened against white');
+    assert.ok(Math.abs(after.h - before.h) < 1);
+});
+
+test('suggestPassingColor returns null when no lightness reaches the target', () => {
+    // Against mid gray even white (4.48:1) and black (4.69:1) miss AAA
+    assert.equal(AccessibilityModule.suggestPassingColor('#777777', '#777777', AccessibilityModule.AAA_NORMAL), null);
+});
+
+test('getVisionModes lists normal vision first', () => {
+    assert.deepEqual(AccessibilityModule.getVisionModes().map(mode => mode.id),
+        ['normal', 'protanopia', 'deuteranopia', 'tritanopia', 'achromatopsia', 'low-vision']);
+});
+
+test('vision matrices keep white, black and neutral grays', () => {
+    AccessibilityModule.getVisionModes().forEach(({ id }) => {
+        ['#FFFFFF', '#000000', '#808080'].forEach(hex => {
+            assert.equal(AccessibilityModule.simulateColor(hex, id), hex, `${hex} in ${id}`);
+        });
+    });
+});
+
+test('vision matrices reduce the difference between the colors each deficiency confuses', () => {
+    const distance = (a, b) => {
+        const x = ColorsModule.rgbToOklab(ColorsModule.hexToRgb(a));
+        const y = ColorsModule.rgbToOklab(ColorsModule.hexToRgb(b));
+        return Math.hypot(x.l - y.l, x.a - y.a, x.b - y.b);
+    };
+    const shrinks = (modeId, a, b) => {
+        const simulated = distance(AccessibilityModule.simulateColor(a, modeId), AccessibilityModule.simulateColor(b, modeId));
+        assert.ok(simulated < distance(a, b) / 2, `${a} and ${b} are closer in ${modeId}`);
+    };
+
+    shrinks('protanopia', '#FF0000', '#00A000');
+    shrinks('deuteranopia', '#FF0000', '#00A000');
+    shrinks('tritanopia', '#0000FF', '#00A000');
+
+    const { r, g, b } = ColorsModule.hexToRgb(AccessibilityModule.simulateColor('#FF5733', 'achromatopsia'));
+    assert.ok(r === g && g === b, 'achromatopsia renders gray');
+    assert.equal(AccessibilityModule.simulateColor('#FF5733', 'low-vision'), '#FF5733');
+});
+
+test('getVisionFilter maps modes to CSS filters', () => {
+    assert.equal(AccessibilityModule.getVisionFilter('normal'), 'none');
+    assert.equal(AccessibilityModule.getVisionFilter('unknown'), 'none');
+    assert.equal(AccessibilityModule.getVisionFilter('protanopia'), 'url(#vision-protanopia)');
+    assert.equal(AccessibilityModule.getVisionFilter('low-vision'), 'blur(3px)');
+});
@@ -0,0 +1,134 @@
+/**
+ * Tests for the Node CLI (bin/brandbook.js): output and documented exit codes
+ *
+ * Run with: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const BrandbookCore = require('../../js/core.js');
+
+const CLI = path.join(__dirname, '..', '..', 'bin', 'brandbook.js');
+
+let tempDir;
+let validFile;
+let invalidFile;
+
+function run(...args) {
+    const result = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 30000 });
+    return { code: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+test.before(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'brandbook-cli-'));
+
+    const brandbook = BrandbookCore.createEmptyBrandbook();
+    brandbook.meta.name = 'Acme';
+    validFile = path.join(tempDir, 'acme.brandbook');
+    fs.writeFileSync(validFile, BrandbookCore.toJson(brandbook));
+
+    invalidFile = path.join(tempDir, 'broken.brandbook');
+    fs.writeFileSync(invalidFile, JSON.stringify({ version: '1.1', meta: { name: 'Broken' }, colors: [{ hex: 'red' }] }));
+});
+
+test.after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('validate exits 0 for valid files', () => {
+    const { code, stdout } = run('validate', validFile);
+    assert.equal(code, 0);
+    assert.match(stdout, /✓ .*acme\.brandbook/);
+});
+
+test('validate exits 1 and lists the errors of invalid files', () => {
+    const { code, stdout, stderr } = run('validate', validFile, invalidFile);
+    assert.equal(code, 1);
+    assert.match(stderr, /✗ .*broken\.brandbook/);
+    assert.match(stderr, /colors\[0\]\.hex must be a hex color/);
+    assert.match(stdout, /1 valid, 1 invalid/);
+});
+
+test('validate exits 1 for a file with an unsafe logo', () => {
+    const data = JSON.parse(BrandbookCore.toJson(BrandbookCore.createEmptyBrandbook()));
+    data.logo.svg = 'data:image/svg+xml;charset=utf-8,' +
+        encodeURIComponent('<svg xmlns="http://www.w3.org/2000/svg"><image href="https://tracker.example/pixel.png"/></svg>');
+    const file = path.join(tempDir, 'tracking.brandbook');
+    fs.writeFileSync(file, JSON.stringify(data));
+
+    const { code, stderr } = run('validate', file);
+    assert.equal(code, 1);
+    assert.match(stderr, /logo\.svg contains 1 external reference; upload the logo again to remove them/);
+});
+
+test('validate exits 1 for a file that is not JSON', () => {
+    const file = path.join(tempDir, 'text.brandbook');
+    fs.writeFileSync(file, 'not json');
+    const { code, stderr } = run('validate', file);
+    assert.equal(code, 1);
+    assert.match(stderr, /Failed to parse brandbook file/);
+});
+
+test('usage errors exit 2', () => {
+    assert.equal(run().code, 2);
+    assert.equal(run('validate').code, 2);
+    assert.equal(run('frobnicate').code, 2);
+    assert.equal(run('export', validFile).code, 2);
+    assert.equal(run('export', validFile, '--format', 'css', '--naming', 'shouting').code, 2);
+    assert.equal(run('export', validFile, '--format', 'mobile').code, 2);
+});
+
+test('help exits 0', () => {
+    const { code, stdout } = run('help');
+    assert.equal(code, 0);
+    assert.match(stdout, /Exit codes: 0 on success, 1 if a file is invalid, 2 on usage errors/);
+});
+
+test('a missing file exits 1', () => {
+    const { code, stderr } = run('info', path.join(tempDir, 'missing.brandbook'));
+    assert.equal(code, 1);
+    assert.match(stderr, /^Error: /);
+});
+
+test('info --json summarizes the brandbook', () => {
+    const { code, stdout } = run('info', validFile, '--json');
+    assert.equal(code, 0);
+    const summary = JSON.parse(stdout);
+    assert.equal(summary.name, 'Acme');
+    assert.equal(summary.colors.length, 3);
+    assert.equal(summary.logo, null);
+    assert.deepEqual(summary.logoVariants, []);
+    assert.deepEqual(Object.keys(summary.colors[0].contrast), ['white', 'black']);
+});
+
+test('share-url and decode-url round-trip a brandbook', () => {
+    const shared = run('share-url', validFile, '--base-url', 'https://example.com/');
+    assert.equal(shared.code, 0);
+    assert.match(shared.stdout, /^https:\/\/example\.com\/\?data=/);
+
+    const out = path.join(tempDir, 'decoded.brandbook');
+    assert.equal(run('decode-url', shared.stdout.trim(), '--out', out).code, 0);
+    const decoded = BrandbookCore.parseJson(fs.readFileSync(out, 'utf8'));
+    assert.equal(decoded.meta.name, 'Acme');
+    assert.deepEqual(decoded.colors.map(color => color.hex), ['#FF5733', '#2C3E50', '#27AE60']);
+});
+
+test('export writes text formats to stdout and directory formats to --out', () => {
+    const tokens = run('export', validFile, '--format', 'tokens');
+    assert.equal(tokens.code, 0);
+    assert.equal(JSON.parse(tokens.stdout).color.primary.base.$value, '#ff5733');
+
+    const css = run('export', validFile, '--format', 'css', '--prefix', 'acme');
+    assert.equal(css.code, 0);
+    assert.match(css.stdout, /--acme-primary: #FF5733;/);
+
+    const out = path.join(tempDir, 'mobile');
+    const mobile = run('export', validFile, '--format', 'mobile', '--out', out);
+    assert.equal(mobile.code, 0);
+    assert.ok(fs.existsSync(path.join(out, 'android', 'res', 'values', 'colors.xml')));
+});
@@ -0,0 +1,152 @@
+/**
+ * Unit tests for the color module (js/colors.js)
+ *
+ * Run with: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ColorsModule = require('../../js/colors.js');
+
+function oklch(hex) {
+    return ColorsModule.rgbToOklch(ColorsModule.hexToRgb(hex));
+}
+
+test('hex and RGB convert both ways', () => {
+    assert.deepEqual(ColorsModule.hexToRgb('#ff5733'), { r: 255, g: 87, b: 51 });
+    assert.deepEqual(ColorsModule.hexToRgb('FF5733'), { r: 255, g: 87, b: 51 });
+    assert.deepEqual(ColorsModule.hexToRgb('red'), { r: 0, g: 0, b: 0 });
+    assert.equal(ColorsModule.rgbToHex({ r: 255, g: 87, b: 51 }), '#FF5733');
+    assert.equal(ColorsModule.rgbToHex({ r: 300, g: -4, b: 127.6 }), '#FF0080');
+    assert.equal(ColorsModule.isValidHex('#FF5733'), true);
+    assert.equal(ColorsModule.isValidHex('#F53'), false);
+    assert.equal(ColorsModule.isValidHex(null), false);
+});
+
+test('sRGB colors round-trip through OKLCH', () => {
+    ['#FF5733', '#2C3E50', '#27AE60', '#FFFFFF', '#000000', '#808080'].forEach(hex => {
+        assert.equal(ColorsModule.oklchToHex(oklch(hex)), hex);
+    });
+});
+
+test('oklchToHex reduces the chroma of out-of-gamut colors and keeps lightness and hue', () => {
+    const hex = ColorsModule.oklchToHex({ l: 0.7, c: 0.4, h: 150 });
+    const { l, c, h } = oklch(hex);
+    assert.ok(Math.abs(l - 0.7) < 0.01);
+    assert.ok(c < 0.4);
+    assert.ok(Math.abs(h - 150) < 2);
+});
+
+test('generateScale keeps the base color at 500 and darkens step by step', () => {
+    const scale = ColorsModule.generateScale('#ff5733');
+    assert.deepEqual(Object.keys(scale).map(Number), ColorsModule.SCALE_STEPS);
+    assert.equal(scale[500], '#FF5733');
+
+    const lightness = ColorsModule.SCALE_STEPS.map(step => oklch(scale[step]).l);
+    lightness.slice(1).forEach((l, index) => assert.ok(l < lightness[index], `step ${ColorsModule.SCALE_STEPS[index + 1]} is darker`));
+    // 8-bit rounding moves the hue of near-white tints a few degrees
+    const hue = oklch('#FF5733').h;
+    ColorsModule.SCALE_STEPS.forEach(step => assert.ok(Math.abs(oklch(scale[step]).h - hue) < 5, `step ${step} keeps the hue`));
+});
+
+test('generateScale spreads the steps of white, black and dark bases', () => {
+    const darker = (scale, steps) => steps.slice(1).forEach((step, index) =>
+        assert.ok(oklch(scale[step]).l < oklch(scale[steps[index]]).l, `step ${step} is darker than ${steps[index]}`));
+
+    ['#FFFFFF', '#000000', '#1B2A4A'].forEach(hex => {
+        const scale = ColorsModule.generateScale(hex);
+        assert.equal(scale[500], hex);
+        darker(scale, [50, 100, 200, 300, 400]);
+        darker(scale, [600, 700, 800, 900]);
+        // Only the very end of a side may meet the base color
+        const others = ColorsModule.SCALE_STEPS.filter(step => ![50, 500, 900].includes(step));
+        others.forEach(step => assert.notEqual(scale[step], hex, `step ${step} of ${hex} differs from the base`));
+    });
+
+    darker(ColorsModule.generateScale('#1B2A4A'), ColorsModule.SCALE_STEPS);
+});
+
+test('getRoundedColorValues converts a color to every color space', () => {
+    assert.deepEqual(ColorsModule.getRoundedColorValues({ hex: '#FF5733' }), {
+        hex: '#FF5733',
+        rgb: { r: 255, g: 87, b: 51 },
+        hsl: { h: 11, s: 100, l: 60 },
+        cmyk: { c: 0, m: 66, y: 80, k: 0 },
+        cmykOverride: false,
+        lab: { l: 60.2, a: 62.1, b: 54.3 },
+        oklch: { l: 0.68, c: 0.21, h: 34 }
+    });
+});
+
+test('conversions handle black, white and grays', () => {
+    assert.deepEqual(ColorsModule.rgbToCmyk({ r: 0, g: 0, b: 0 }), { c: 0, m: 0, y: 0, k: 100 });
+    assert.deepEqual(ColorsModule.rgbToCmyk({ r: 255, g: 255, b: 255 }), { c: 0, m: 0, y: 0, k: 0 });
+    const white = ColorsModule.getRoundedColorValues({ hex: '#FFFFFF' });
+    assert.equal(white.lab.l, 100);
+    assert.equal(Math.abs(white.lab.a) + Math.abs(white.lab.b), 0);
+    assert.equal(white.oklch.l, 1);
+    assert.equal(white.oklch.c, 0);
+    assert.equal(ColorsModule.getRoundedColorValues({ hex: '#000000' }).lab.l, 0);
+    assert.deepEqual(ColorsModule.getRoundedColorValues({ hex: '#808080' }).hsl, { h: 0, s: 0, l: 50 });
+    assert.equal(oklch('#808080').h, 0, 'neutrals have no hue');
+});
+
+test('a valid CMYK override replaces the computed CMYK values', () => {
+    const pinned = { hex: '#FF5733', cmyk: { c: 0, m: 70, y: 85, k: 0 } };
+    assert.equal(ColorsModule.formatColorValues(pinned).cmyk, 'CMYK(0, 70, 85, 0)');
+    assert.equal(ColorsModule.getColorValues(pinned).cmykOverride, true);
+
+    const invalid = { hex: '#FF5733', cmyk: { c: 0, m: 70, y: 85, k: 101 } };
+    assert.equal(ColorsModule.isValidCmyk(invalid.cmyk), false);
+    assert.equal(ColorsModule.formatColorValues(invalid).cmyk, 'CMYK(0, 66, 80, 0)');
+    assert.equal(ColorsModule.getColorValues(invalid).cmykOverride, false);
+});
+
+test('formatColorValues formats values for display', () => {
+    assert.deepEqual(ColorsModule.formatColorValues({ hex: '#FF5733' }), {
+        hex: '#FF5733',
+        rgb: 'RGB(255, 87, 51)',
+        cmyk: 'CMYK(0, 66, 80, 0)',
+        hsl: 'HSL(11, 100%, 60%)',
+        lab: 'LAB(60.2, 62.1, 54.3)',
+        oklch: 'OKLCH(68%, 0.21, 34)'
+    });
+});
+
+test('getContrastRatio follows WCAG 2.x', () => {
+    assert.equal(ColorsModule.getRelativeLuminance('#FFFFFF'), 1);
+    assert.equal(ColorsModule.getRelativeLuminance('#000000'), 0);
+    assert.equal(ColorsModule.getContrastRatio('#FFFFFF', '#000000'), 21);
+    assert.equal(ColorsModule.getContrastRatio('#FF5733', '#FF5733'), 1);
+    assert.equal(ColorsModule.getContrastRatio('#777777', '#FFFFFF'), ColorsModule.getContrastRatio('#FFFFFF', '#777777'));
+    assert.equal(ColorsModule.getContrastRatio('#777777', '#FFFFFF').toFixed(2), '4.48');
+});
+
+test('getHarmonies derives secondary and accent colors from the primary hue', () => {
+    const harmonies = ColorsModule.getHarmonies('#FF5733');
+    assert.deepEqual(harmonies.map(harmony => harmony.id), ['complementary', 'analogous', 'triadic', 'split-complementary', 'monochrome']);
+
+    const hueOf = (hex) => oklch(hex).h;
+    const hueDistance = (a, b) => Math.abs(((a - b) % 360 + 540) % 360 - 180);
+    const primaryHue = hueOf('#FF5733');
+    const byId = Object.fromEntries(harmonies.map(harmony => [harmony.id, harmony]));
+
+    assert.ok(hueDistance(hueOf(byId.complementary.secondary), primaryHue + 180) < 2);
+    assert.ok(hueDistance(hueOf(byId.triadic.secondary), primaryHue + 120) < 2);
+    assert.ok(hueDistance(hueOf(byId.triadic.accent), primaryHue + 240) < 2);
+    assert.ok(hueDistance(hueOf(byId.monochrome.secondary), primaryHue) < 2);
+    assert.ok(oklch(byId.monochrome.secondary).l < oklch('#FF5733').l, 'a light primary gets a darker monochrome secondary');
+    harmonies.forEach(harmony => {
+        assert.ok(ColorsModule.isValidHex(harmony.secondary));
+        assert.ok(ColorsModule.isValidHex(harmony.accent));
+    });
+});
+
+test('rgbToHsv matches HSL hue and uses the brightest channel as value', () => {
+    const hsv = ColorsModule.rgbToHsv({ r: 255, g: 87, b: 51 });
+    assert.equal(hsv.h, ColorsModule.rgbToHsl({ r: 255, g: 87, b: 51 }).h);
+    assert.equal(hsv.s, 80);
+    assert.equal(hsv.v, 100);
+    assert.deepEqual(ColorsModule.rgbToHsv({ r: 0, g: 0, b: 0 }), { h: 0, s: 0, v: 0 });
+});
@@ -0,0 +1,187 @@
+/**
+ * Unit tests for the environment-agnostic brandbook core (js/core.js)
+ *
+ * Run with: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const BrandbookCore = require('../../js/core.js');
+const SvgModule = require('../../js/svg.js');
+
+function roundTrip(brandbook) {
+    return BrandbookCore.parseJson(BrandbookCore.toJson(brandbook));
+}
+
+test('createEmptyBrandbook fills every color scale', () => {
+    const brandbook = BrandbookCore.createEmptyBrandbook();
+    assert.equal(brandbook.version, BrandbookCore.FORMAT_VERSION);
+    assert.deepEqual(brandbook.colors.map(color => color.role), ['primary', 'secondary', 'accent']);
+    brandbook.colors.forEach(color => {
+        assert.equal(Object.keys(color.scale).length, 10);
+    });
+});
+
+test('toJson output parses back to the same brandbook', () => {
+    const brandbook = BrandbookCore.createEmptyBrandbook();
+    brandbook.meta.name = 'Acme';
+    brandbook.colors[0].cmyk = { c: 0, m: 70, y: 85, k: 0 };
+    brandbook.colors[1].dark = '#112233';
+
+    const parsed = roundTrip(brandbook);
+    assert.equal(parsed.meta.name, 'Acme');
+    assert.deepEqual(parsed.colors, brandbook.colors);
+    assert.deepEqual(parsed.typography, brandbook.typography);
+});
+
+test('toJson adds derived color values that are ignored on import', () => {
+    const brandbook = BrandbookCore.createEmptyBrandbook();
+    const exported = JSON.parse(BrandbookCore.toJson(brandbook));
+    assert.ok(exported.colors[0].values.rgb);
+    assert.equal(roundTrip(brandbook).colors[0].values, undefined);
+});
+
+test('parseJson reports invalid JSON', () => {
+    assert.throws(() => BrandbookCore.parseJson('{'), /^Error: Failed to parse brandbook file/);
+});
+
+test('parse rejects invalid data with per-field errors', () => {
+    const data = { version: '1.1', meta: { name: 'Acme' }, colors: [{ hex: 'red' }] };
+    assert.throws(() => BrandbookCore.parse(data), error => {
+        assert.deepEqual(error.errors, [
+            { path: 'typography', message: 'is required' },
+            { path: 'colors[0].hex', message: 'must be a hex color like #FF5733' }
+        ]);
+        assert.equal(error.message, 'typography is required (+1 more)');
+        return true;
+    });
+});
+
+test('parse migrates 1.0 files and fills the color scales', () => {
+    const parsed = BrandbookCore.parse({
+        version: '1.0',
+        meta: { name: 'Legacy' },
+        colors: { primary: { hex: '#FF5733' }, secondary: { hex: '#2C3E50' } },
+        typography: { primary: { family: 'Montserrat' } }
+    });
+    assert.equal(parsed.version, BrandbookCore.FORMAT_VERSION);
+    assert.deepEqual(parsed.colors.map(color => [color.role, color.hex]), [['primary', '#FF5733'], ['secondary', '#2C3E50']]);
+    assert.equal(Object.keys(parsed.colors[0].scale).length, 10);
+});
+
+test('parse keeps locked scale steps and regenerates the others', () => {
+    const brandbook = BrandbookCore.createEmptyBrandbook();
+    brandbook.colors[0].scale[500] = { hex: '#123456', locked: true };
+    brandbook.colors[0].scale[100] = { hex: '#654321', locked: false };
+
+    const parsed = roundTrip(brandbook);
+    assert.deepEqual(parsed.colors[0].scale[500], { hex: '#123456', locked: true });
+    assert.notEqual(parsed.colors[0].scale[100].hex, '#654321');
+});
+
+test('normalizeColors assigns ids to colors without one or with a duplicate', () => {
+    const colors = BrandbookCore.normalizeColors([
+        { id: 'a', role: 'primary', hex: '#FF0000' },
+        { id: 'a', role: 'accent', hex: '#00FF00' },
+        { hex: '#0000FF' }
+    ]);
+    const ids = colors.map(color => color.id);
+    assert.equal(ids[0], 'a');
+    assert.equal(new Set(ids).size, 3);
+    assert.equal(colors[2].role, 'neutral');
+});
+
+test('getRoleColors falls back to palette order', () => {
+    const brandbook = BrandbookCore.createEmptyBrandbook();
+    brandbook.colors.forEach(color => { color.role = 'neutral'; });
+    assert.deepEqual(BrandbookCore.getRoleColors(brandbook), {
+        primary: brandbook.colors[0].hex,
+        secondary: brandbook.colors[1].hex,
+        accent: brandbook.colors[0].hex
+    });
+});
+
+test('getContrastColor picks the text color with the higher contrast', () => {
+    assert.equal(BrandbookCore.getContrastColor('#FFFFFF'), '#000000');
+    assert.equal(BrandbookCore.getContrastColor('#2C3E50'), '#FFFFFF');
+    assert.equal(BrandbookCore.getContrastColor('#FF5733'), '#000000');
+});
+
+test('getLogoUrl prefers the requested variants, then the primary logo', () => {
+    const brandbook = BrandbookCore.createEmptyBrandbook();
+    assert.equal(BrandbookCore.getLogoUrl(brandbook, ['icon']), null);
+
+    brandbook.logo.png = 'data:image/png;base64,AAAA';
+    brandbook.logo.variants.stacked = { svg: null, png: 'data:image/png;base64,BBBB', usage: '' };
+    assert.equal(BrandbookCore.getLogoUrl(brandbook, ['icon']), brandbook.logo.png);
+    assert.equal(BrandbookCore.getLogoUrl(brandbook, ['icon', 'stacked']), 'data:image/png;base64,BBBB');
+    assert.equal(BrandbookCore.getLogoVariantUrl(brandbook, 'icon'), null);
+});
+
+test('share links round-trip the palette and fonts without the logo', () => {
+    const brandbook = BrandbookCore.createEmptyBrandbook();
+    brandbook.meta.name = 'Åcme ✓';
+    brandbook.logo.png = 'data:image/png;base64,AAAA';
+    brandbook.colors[0].scale[500] = { hex: '#123456', locked: true };
+
+    const url = BrandbookCore.generateShareUrl(brandbook, 'https://example.com/app/');
+    assert.ok(url.startsWith('https://example.com/app/?data='));
+    assert.doesNotMatch(url, /=$/);
+
+    const decoded = BrandbookCore.decodeShareData(BrandbookCore.getShareDataFromUrl(url));
+    assert.equal(decoded.meta.name, 'Åcme ✓');
+    assert.deepEqual(decoded.colors, brandbook.colors);
+    assert.deepEqual(decoded.typography, brandbook.typography);
+    assert.equal(decoded.logo.png, null);
+});
+
+test('getShareDataFromUrl accepts a bare data parameter and rejects a URL without one', () => {
+    assert.equal(BrandbookCore.getShareDataFromUrl('eyJhIjoxfQ'), 'eyJhIjoxfQ');
+    assert.throws(() => BrandbookCore.getShareDataFromUrl('https://example.com/?x=1'), /no data parameter/);
+});
+
+function withLogos(logo, icon) {
+    const data = JSON.parse(BrandbookCore.toJson(BrandbookCore.createEmptyBrandbook()));
+    data.logo.svg = SvgModule.toDataUrl(logo);
+    data.logo.variants = { icon: { svg: SvgModule.toDataUrl(icon), png: null, usage: '' } };
+    return data;
+}
+
+test('parse rejects imported logos with unsafe content or malformed markup', () => {
+    const data = withLogos(
+        '<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>',
+        '<svg xmlns="http://www.w3.org/2000/svg"><g></svg>'
+    );
+    assert.throws(() => BrandbookCore.parse(data), error => {
+        assert.deepEqual(error.errors, [
+            { path: 'logo.svg', message: 'contains 1 script or event handler; upload the logo again to remove them' },
+            { path: 'logo.variants.icon.svg', message: 'is not a usable SVG: The SVG file is malformed: <g> is closed by </svg> (line 1)' }
+        ]);
+        return true;
+    });
+});
+
+test('parse removes editor leftovers from imported logos', () => {
+    const data = withLogos(
+        '<svg xmlns="http://www.w3.org/2000/svg"><!-- Generator --><path d="M0 0"/></svg>',
+        '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0,0,1,1"/>'
+    );
+    const parsed = BrandbookCore.parse(data);
+    assert.equal(SvgModule.decodeDataUrl(parsed.logo.svg), '<svg xmlns="http://www.w3.org/2000/svg"><path d="M0 0"/></svg>');
+    assert.equal(SvgModule.decodeDataUrl(parsed.logo.variants.icon.svg), '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 1 1"/>');
+});
+
+test('parse with unsafeLogos strip cleans saved logos and drops unreadable ones', t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const data = withLogos(
+        '<svg xmlns="http://www.w3.org/2000/svg"><path d="M0 0" onload="alert(1)"/></svg>',
+        '<svg><g></svg>'
+    );
+    const parsed = BrandbookCore.parse(data, { unsafeLogos: 'strip' });
+
+    assert.equal(SvgModule.decodeDataUrl(parsed.logo.svg), '<svg xmlns="http://www.w3.org/2000/svg"><path d="M0 0"/></svg>');
+    assert.equal(parsed.logo.variants.icon.svg, null);
+    assert.equal(warn.mock.callCount(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /^Dropped unreadable logo\.variants\.icon\.svg/);
+});
@@ -0,0 +1,358 @@
+/**
+ * Unit tests for the export generators (js/exporters.js)
+ *
+ * Run with: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ExportersModule = require('../../js/exporters.js');
+const BrandbookCore = require('../../js/core.js');
+
+function createBrandbook() {
+    const brandbook = BrandbookCore.createEmptyBrandbook();
+    brandbook.meta.name = 'Acme';
+    return brandbook;
+}
+
+test('getColorKeys numbers repeated roles', () => {
+    const brandbook = createBrandbook();
+    brandbook.colors.push({ ...brandbook.colors[2], id: 'accent-2' }, { ...brandbook.colors[2], id: 'accent-3' });
+    assert.deepEqual(ExportersModule.getColorKeys(brandbook).map(({ key }) => key),
+        ['primary', 'secondary', 'accent', 'accent-2', 'accent-3']);
+});
+
+test('slugify makes file names from brand names', () => {
+    assert.equal(ExportersModule.slugify('Café  Crème!'), 'cafe-creme');
+    assert.equal(ExportersModule.slugify('***'), 'brand');
+});
+
+test('design tokens follow the DTCG structure', () => {
+    const tokens = ExportersModule.toDesignTokens(createBrandbook());
+
+    assert.equal(tokens.$description, 'Design tokens for Acme');
+    assert.equal(tokens.color.$type, 'color');
+    assert.deepEqual(Object.keys(tokens.color), ['$type', 'primary', 'secondary', 'accent']);
+    assert.equal(tokens.color.primary.$description, 'Sunset Orange (primary)');
+    assert.deepEqual(tokens.color.primary.base, { $value: '#ff5733' });
+    assert.deepEqual(tokens.color.primary[500], { $value: '#ff5733' });
+    assert.equal(Object.keys(tokens.color.primary).filter(key => /^\d+$/.test(key)).length, 10);
+
+    assert.deepEqual(tokens.font.family.primary, { $value: 'Montserrat', $description: 'Headings' });
+    assert.deepEqual(tokens.font.weight.secondary, { regular: { $value: 400 }, 'semi-bold': { $value: 600 } });
+    assert.equal(tokens.$extensions, undefined);
+});
+
+test('design tokens reference the logo through an extension', () => {
+    const brandbook = createBrandbook();
+    brandbook.logo.png = 'data:image/png;base64,AAAA';
+    brandbook.logo.usage = 'Keep clear space';
+
+    assert.deepEqual(ExportersModule.toDesignTokens(brandbook).$extensions, {
+        'com.brandbook-visualizer': { logo: { png: 'data:image/png;base64,AAAA', usage: 'Keep clear space' } }
+    });
+    assert.deepEqual(
+        ExportersModule.toDesignTokens(brandbook, { logoFiles: { svg: 'logo.svg' } }).$extensions['com.brandbook-visualizer'].logo,
+        { svg: 'logo.svg', usage: 'Keep clear space' }
+    );
+});
+
+test('toDesignTokensJson is formatted JSON', () => {
+    const json = ExportersModule.toDesignTokensJson(createBrandbook());
+    assert.match(json, /^\{\n {2}"\$description"/);
+    assert.deepEqual(JSON.parse(json), ExportersModule.toDesignTokens(createBrandbook()));
+});
+
+test('formatName joins name parts in each naming convention', () => {
+    const parts = ['brand', 'neutral-2', 500];
+    assert.equal(ExportersModule.formatName(parts), 'brand-neutral-2-500');
+    assert.equal(ExportersModule.formatName(parts, 'camel'), 'brandNeutral2500');
+    assert.equal(ExportersModule.formatName(parts, 'snake'), 'brand_neutral_2_500');
+    assert.equal(ExportersModule.formatName(['', 'primary'], 'snake'), 'primary');
+});
+
+test('CSS export declares colors, scales and fonts on :root', () => {
+    const css = ExportersModule.toCss(createBrandbook(), { prefix: 'acme' });
+    const lines = css.split('\n');
+
+    assert.equal(lines[0], '/* Brand variables for Acme, generated by Brandbook Visualizer */');
+    assert.ok(lines.includes("@import url('https://fonts.googleapis.com/css2?family=Open%20Sans:wght@400;600&display=swap');"));
+    assert.ok(lines.includes('    --acme-primary: #FF5733; /* Sunset Orange */'));
+    assert.ok(lines.includes('    --acme-primary-500: #FF5733;'));
+    assert.ok(lines.includes("    --acme-font-secondary: 'Open Sans', sans-serif;"));
+    assert.equal(lines.filter(line => line.startsWith('    --acme-accent-')).length, 10);
+    assert.match(css, /:root \{\n[\s\S]*\n\}\n$/);
+});
+
+test('stylesheet exports keep user text inside comments', () => {
+    const brandbook = createBrandbook();
+    brandbook.meta.name = 'Acme */ body { color: red }';
+    brandbook.colors[0].name = 'Orange\n*/';
+
+    const css = ExportersModule.toCss(brandbook);
+    assert.equal((css.match(/\*\//g) || []).length, (css.match(/\/\*/g) || []).length);
+    assert.doesNotMatch(ExportersModule.toScss(brandbook), /\n\*\//);
+});
+
+test('SCSS export has variables and color and font maps', () => {
+    const scss = ExportersModule.toScss(createBrandbook(), { naming: 'camel', prefix: 'acme' });
+
+    assert.match(scss, /^\/\/ Brand variables for Acme/);
+    assert.match(scss, /^\$acmePrimary: #FF5733; \/\/ Sunset Orange$/m);
+    assert.match(scss, /^\$acmeSecondary900: #00040C;$/m);
+    assert.match(scss, /^\$acmeColors: \(\n {4}'primary': \(\n {8}'base': #FF5733,\n {8}'50': #FFF2EE,/m);
+    assert.match(scss, /^\$acmeFonts: \(\n {4}'primary': \('Montserrat', sans-serif\),\n {4}'secondary': \('Open Sans', sans-serif\),\n\);$/m);
+});
+
+test('Less export has variables and detached ruleset maps', () => {
+    const less = ExportersModule.toLess(createBrandbook(), { naming: 'snake' });
+
+    assert.match(less, /^@import \(css\) url\('https:\/\/fonts\.googleapis\.com\/css2\?family=Montserrat:wght@400;700&display=swap'\);$/m);
+    assert.match(less, /^@brand_accent_600: #008946;$/m);
+    assert.match(less, /^@brand_font_primary: 'Montserrat', sans-serif;$/m);
+    assert.match(less, /^@brand_colors: \{\n {4}primary: #FF5733;\n {4}primary_50: #FFF2EE;/m);
+    assert.match(less, /^@brand_fonts: \{\n {4}primary: 'Montserrat', sans-serif;\n {4}secondary: 'Open Sans', sans-serif;\n\}$/m);
+});
+
+test('fonts that are not from Google Fonts are not imported', () => {
+    const brandbook = createBrandbook();
+    brandbook.typography.primary.source = 'custom';
+    const css = ExportersModule.toCss(brandbook);
+    assert.doesNotMatch(css, /family=Montserrat/);
+    assert.match(css, /--brand-font-primary: 'Montserrat', sans-serif;/);
+});
+
+function loadTailwindConfig(source) {
+    const module = { exports: {} };
+    new Function('module', source)(module);
+    return module.exports;
+}
+
+test('Tailwind v3 config is a loadable theme extension', () => {
+    const brandbook = createBrandbook();
+    brandbook.typography.secondary.family = "Bob's Grotesk";
+    const config = loadTailwindConfig(ExportersModule.toTailwindConfig(brandbook));
+    const { colors, fontFamily } = config.theme.extend;
+
+    assert.deepEqual(Object.keys(colors), ['primary', 'secondary', 'accent']);
+    assert.equal(colors.primary.DEFAULT, '#FF5733');
+    assert.equal(colors.accent[600], '#008946');
+    assert.equal(Object.keys(colors.secondary).length, 11);
+    assert.deepEqual(fontFamily, { primary: ['Montserrat', 'sans-serif'], secondary: ["Bob's Grotesk", 'sans-serif'] });
+});
+
+test('Tailwind v3 config quotes keys that are not identifiers', () => {
+    const source = ExportersModule.toTailwindConfig(createBrandbook(), { prefix: 'acme' });
+    assert.match(source, /^ {16}'acme-primary': \{$/m);
+    assert.deepEqual(Object.keys(loadTailwindConfig(source).theme.extend.colors), ['acme-primary', 'acme-secondary', 'acme-accent']);
+
+    const camel = loadTailwindConfig(ExportersModule.toTailwindConfig(createBrandbook(), { naming: 'camel', prefix: 'acme' }));
+    assert.deepEqual(Object.keys(camel.theme.extend.fontFamily), ['acmePrimary', 'acmeSecondary']);
+});
+
+test('Tailwind v4 theme puts the prefix after the namespace', () => {
+    const css = ExportersModule.toTailwindTheme(createBrandbook(), { prefix: 'acme' });
+    const lines = css.split('\n');
+
+    assert.ok(lines.indexOf('@import "tailwindcss";') > lines.findIndex(line => line.startsWith('@import url(')));
+    assert.ok(lines.includes('    --color-acme-primary: #FF5733;'));
+    assert.ok(lines.includes('    --color-acme-accent-900: #00220C;'));
+    assert.ok(lines.includes("    --font-acme-secondary: 'Open Sans', sans-serif;"));
+    assert.ok(ExportersModule.toTailwindTheme(createBrandbook()).includes('    --color-primary: #FF5733;'));
+});
+
+test('Tailwind formats default to no prefix in the handoff panel', () => {
+    const formats = ExportersModule.getHandoffFormats();
+    assert.deepEqual(formats.filter(format => format.id.startsWith('tailwind')).map(format => format.defaultPrefix), ['', '']);
+    assert.equal(formats.find(format => format.id === 'tailwind').fileName, 'tailwind.config.js');
+});
+
+test('ASE export writes a header, one group and a global RGB swatch per color', () => {
+    const bytes = ExportersModule.toAse(createBrandbook());
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const readName = (offset) => {
+        const length = view.getUint16(offset);
+        const chars = [];
+        for (let i = 0; i < length - 1; i++) chars.push(view.getUint16(offset + 2 + i * 2));
+        assert.equal(view.getUint16(offset + 2 + (length - 1) * 2), 0, 'names are null-terminated');
+        return String.fromCharCode(...chars);
+    };
+
+    assert.equal(String.fromCharCode(...bytes.slice(0, 4)), 'ASEF');
+    assert.equal(view.getUint16(4), 1);
+    assert.equal(view.getUint16(6), 0);
+    assert.equal(view.getUint32(8), 5, 'group start, three colors, group end');
+
+    let offset = 12;
+    assert.equal(view.getUint16(offset), 0xC001);
+    assert.equal(readName(offset + 6), 'Acme');
+    offset += 6 + view.getUint32(offset + 2);
+
+    const swatches = [];
+    for (let i = 0; i < 3; i++) {
+        assert.equal(view.getUint16(offset), 0x0001);
+        const size = view.getUint32(offset + 2);
+        const name = readName(offset + 6);
+        const modelOffset = offset + 6 + 2 + (name.length + 1) * 2;
+        assert.equal(String.fromCharCode(...bytes.slice(modelOffset, modelOffset + 4)), 'RGB ');
+        const rgb = [0, 1, 2].map(channel => Math.round(view.getFloat32(modelOffset + 4 + channel * 4) * 255));
+        assert.equal(view.getUint16(modelOffset + 16), 0, 'global color');
+        assert.equal(modelOffset + 18, offset + 6 + size, 'block size matches its contents');
+        swatches.push({ name, rgb });
+        offset += 6 + size;
+    }
+
+    assert.deepEqual(swatches, [
+        { name: 'Sunset Orange', rgb: [255, 87, 51] },
+        { name: 'Midnight Blue', rgb: [44, 62, 80] },
+        { name: 'Emerald', rgb: [39, 174, 96] }
+    ]);
+    assert.equal(view.getUint16(offset), 0xC002);
+    assert.equal(view.getUint32(offset + 2), 0);
+    assert.equal(offset + 6, bytes.length);
+});
+
+test('swatch names fall back to the color key and non-ASCII names survive', () => {
+    const brandbook = createBrandbook();
+    brandbook.meta.name = 'Café';
+    brandbook.colors[1].name = '';
+    brandbook.colors[2].name = 'Grün  Blatt';
+
+    const bytes = ExportersModule.toAse(brandbook);
+    const names = ExportersModule.toGpl(brandbook).split('\n').slice(4, 7).map(line => line.split('\t')[1]);
+    assert.deepEqual(names, ['Sunset Orange', 'secondary', 'Grün Blatt']);
+
+    const utf16 = (text) => Buffer.from(text, 'utf16le').swap16();
+    assert.ok(Buffer.from(bytes).includes(utf16('Café')));
+    assert.ok(Buffer.from(bytes).includes(utf16('Grün Blatt')));
+});
+
+test('GPL export is a GIMP palette with padded channels', () => {
+    assert.equal(ExportersModule.toGpl(createBrandbook()), [
+        'GIMP Palette',
+        'Name: Acme',
+        'Columns: 4',
+        '#',
+        '255  87  51\tSunset Orange',
+        ' 44  62  80\tMidnight Blue',
+        ' 39 174  96\tEmerald',
+        ''
+    ].join('\n'));
+});
+
+test('Procreate swatches store HSB fractions for at most 30 colors', () => {
+    const brandbook = createBrandbook();
+    const [palette] = ExportersModule.toProcreateSwatches(brandbook);
+
+    assert.equal(palette.name, 'Acme');
+    const { hue, ...orange } = palette.swatches[0];
+    assert.equal(Math.round(hue * 360), 11);
+    assert.deepEqual(orange, { saturation: 0.8, brightness: 1, alpha: 1, colorSpace: 0 });
+    palette.swatches.forEach(swatch => {
+        ['hue', 'saturation', 'brightness'].forEach(key => assert.ok(swatch[key] >= 0 && swatch[key] <= 1));
+    });
+
+    brandbook.colors = Array.from({ length: 35 }, (_, i) => ({ ...brandbook.colors[0], id: `color-${i}`, role: 'neutral' }));
+    assert.equal(ExportersModule.toProcreateSwatches(brandbook)[0].swatches.length, 30);
+});
+
+test('ZIP-based files report when JSZip is unavailable', async () => {
+    // The .swatches archive is built with JSZip, which the app loads from a CDN
+    await assert.rejects(ExportersModule.toProcreateSwatchesFile(createBrandbook()), /JSZip failed to load/);
+});
+
+test('Android colors list each color, its scale and a contrasting on-color', () => {
+    const xml = ExportersModule.toAndroidColors(createBrandbook());
+    const lines = xml.split('\n');
+
+    assert.equal(lines[0], '<?xml version="1.0" encoding="utf-8"?>');
+    assert.ok(lines.includes('    <color name="brand_primary">#FF5733</color>'));
+    assert.ok(lines.includes('    <color name="brand_primary_900">#380500</color>'));
+    assert.equal(lines.filter(line => line.includes('name="brand_secondary_')).length, 10);
+
+    // The on-colors match BrandbookCore.getContrastColor
+    createBrandbook().colors.forEach(color => {
+        assert.ok(lines.includes(`    <color name="brand_on_${color.role}">${BrandbookCore.getContrastColor(color.hex)}</color>`));
+    });
+});
+
+test('Android night colors hold only the dark variants', () => {
+    const brandbook = createBrandbook();
+    brandbook.colors[1].dark = '#DDE4EA';
+    const xml = ExportersModule.toAndroidColors(brandbook, { night: true });
+
+    assert.match(xml, /<!-- Dark mode brand colors for Acme/);
+    assert.deepEqual(xml.match(/<color name="[^"]+">[^<]+<\/color>/g), [
+        '<color name="brand_secondary">#DDE4EA</color>',
+        '<color name="brand_on_secondary">#000000</color>'
+    ]);
+});
+
+test('Android XML comments cannot be closed by user text', () => {
+    const brandbook = createBrandbook();
+    brandbook.meta.name = 'Acme --> <evil/>';
+    brandbook.colors[0].name = 'Orange -- dark';
+    const xml = ExportersModule.toAndroidColors(brandbook);
+
+    xml.match(/<!--[\s\S]*?-->/g).forEach(comment => {
+        assert.doesNotMatch(comment.slice(4, -3), /--/);
+    });
+    assert.equal(xml.match(/<!--/g).length, xml.match(/-->/g).length);
+});
+
+test('Android theme maps roles to Material 3 attributes', () => {
+    const brandbook = createBrandbook();
+    brandbook.meta.name = 'My Brand';
+    brandbook.colors.push(
+        { ...brandbook.colors[1], id: 'background', role: 'background', hex: '#FAFAFA' },
+        { ...brandbook.colors[1], id: 'text', role: 'text', hex: '#111111' }
+    );
+    const items = ExportersModule.toAndroidTheme(brandbook, { prefix: '' }).match(/<item name="[^"]+">[^<]+<\/item>/g);
+
+    assert.match(ExportersModule.toAndroidTheme(brandbook), /<style name="Theme\.MyBrand" parent="Theme\.Material3\.DayNight\.NoActionBar">/);
+    assert.deepEqual(items, [
+        '<item name="colorPrimary">@color/primary</item>',
+        '<item name="colorOnPrimary">@color/on_primary</item>',
+        '<item name="colorSecondary">@color/secondary</item>',
+        '<item name="colorOnSecondary">@color/on_secondary</item>',
+        '<item name="colorTertiary">@color/accent</item>',
+        '<item name="colorOnTertiary">@color/on_accent</item>',
+        '<item name="android:colorBackground">@color/background</item>',
+        '<item name="colorSurface">@color/background</item>',
+        '<item name="colorOnBackground">@color/text</item>',
+        '<item name="colorOnSurface">@color/text</item>'
+    ]);
+});
+
+test('iOS asset catalog has a namespaced colorset per color and scale step', () => {
+    const brandbook = createBrandbook();
+    brandbook.colors[0].dark = '#112233';
+    const files = ExportersModule.toXcassets(brandbook, { prefix: 'acme' });
+    const file = (name) => JSON.parse(files.find(entry => entry.name === name).content);
+
+    assert.equal(files.length, 2 + 3 * 11);
+    assert.deepEqual(file('Assets.xcassets/Acme/Contents.json').properties, { 'provides-namespace': true });
+
+    const primary = file('Assets.xcassets/Acme/Primary.colorset/Contents.json');
+    assert.deepEqual(primary.colors[0].color.components, { alpha: '1.000', blue: '0x33', green: '0x57', red: '0xFF' });
+    assert.deepEqual(primary.colors[1].appearances, [{ appearance: 'luminosity', value: 'dark' }]);
+    assert.deepEqual(primary.colors[1].color.components, { alpha: '1.000', blue: '0x33', green: '0x22', red: '0x11' });
+
+    assert.equal(file('Assets.xcassets/Acme/Secondary500.colorset/Contents.json').colors.length, 1);
+});
+
+test('mobile resources bundle Android and iOS files', () => {
+    const names = (brandbook) => ExportersModule.toMobileResources(brandbook).map(file => file.name);
+    const brandbook = createBrandbook();
+
+    assert.deepEqual(names(brandbook).slice(0, 3), [
+        'android/res/values/colors.xml',
+        'android/res/values/themes.xml',
+        'ios/Assets.xcassets/Contents.json'
+    ]);
+    assert.ok(names(brandbook).includes('ios/Assets.xcassets/Brand/Accent900.colorset/Contents.json'));
+
+    brandbook.colors[2].dark = '#1E8449';
+    assert.equal(names(brandbook)[2], 'android/res/values-night/colors.xml');
+});
@@ -0,0 +1,102 @@
+/**
+ * Unit tests for the environment-agnostic parts of the icon set (js/icons.js):
+ * ICO encoding, the web app manifest and the <head> tags
+ *
+ * Run with: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const IconsModule = require('../../js/icons.js');
+const BrandbookCore = require('../../js/core.js');
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+function fakePng(size, length) {
+    const bytes = new Uint8Array(length);
+    bytes.set(PNG_SIGNATURE);
+    bytes.fill(size & 0xFF, PNG_SIGNATURE.length);
+    return { size, bytes };
+}
+
+function createBrandbook() {
+    const brandbook = BrandbookCore.createEmptyBrandbook();
+    brandbook.meta.name = 'Acme';
+    return brandbook;
+}
+
+test('encodeIco writes the header, a directory entry per image and the PNG data', () => {
+    const images = [fakePng(16, 40), fakePng(32, 70), fakePng(256, 100)];
+    const ico = IconsModule.encodeIco(images);
+    const view = new DataView(ico.buffer, ico.byteOffset, ico.byteLength);
+
+    assert.equal(view.getUint16(0, true), 0, 'reserved');
+    assert.equal(view.getUint16(2, true), 1, 'icon type');
+    assert.equal(view.getUint16(4, true), 3, 'image count');
+    assert.equal(ico.length, 6 + 3 * 16 + 40 + 70 + 100);
+
+    let expectedOffset = 6 + 3 * 16;
+    images.forEach((image, index) => {
+        const entry = 6 + index * 16;
+        const dimension = image.size >= 256 ? 0 : image.size;
+        assert.equal(view.getUint8(entry), dimension, 'width');
+        assert.equal(view.getUint8(entry + 1), dimension, 'height');
+        assert.equal(view.getUint8(entry + 2), 0, 'no palette');
+        assert.equal(view.getUint8(entry + 3), 0, 'reserved');
+        assert.equal(view.getUint16(entry + 4, true), 1, 'color planes');
+        assert.equal(view.getUint16(entry + 6, true), 32, 'bits per pixel');
+        assert.equal(view.getUint32(entry + 8, true), image.bytes.length);
+        assert.equal(view.getUint32(entry + 12, true), expectedOffset);
+        assert.deepEqual(ico.slice(expectedOffset, expectedOffset + image.bytes.length), image.bytes);
+        expectedOffset += image.bytes.length;
+    });
+});
+
+test('encodeIco of no images is an empty icon directory', () => {
+    assert.deepEqual([...IconsModule.encodeIco([])], [0, 0, 1, 0, 0, 0]);
+});
+
+test('getShortName keeps short names and uses the first word of long ones', () => {
+    assert.equal(IconsModule.getShortName('Acme'), 'Acme');
+    assert.equal(IconsModule.getShortName('Acme Industries'), 'Acme');
+    assert.equal(IconsModule.getShortName('Supercalifragilistic Co'), 'Supercalifra');
+    assert.equal(IconsModule.getShortName('   '), 'Brand');
+});
+
+test('getIconBackground prefers the chosen color, then the background role, then white', () => {
+    const brandbook = createBrandbook();
+    assert.equal(IconsModule.getIconBackground(brandbook), '#FFFFFF');
+    assert.equal(IconsModule.getIconBackground(brandbook, 'missing'), '#FFFFFF');
+
+    brandbook.colors.push({ ...brandbook.colors[1], id: 'paper', role: 'background', hex: '#F5F0E8' });
+    assert.equal(IconsModule.getIconBackground(brandbook), '#F5F0E8');
+    assert.equal(IconsModule.getIconBackground(brandbook, 'secondary'), '#2C3E50');
+});
+
+test('toWebManifest lists the Android icons and uses the brand colors', () => {
+    const manifest = JSON.parse(IconsModule.toWebManifest(createBrandbook(), { background: '#ABCDEF' }));
+
+    assert.equal(manifest.name, 'Acme');
+    assert.equal(manifest.short_name, 'Acme');
+    assert.equal(manifest.theme_color, '#ff5733');
+    assert.equal(manifest.background_color, '#abcdef');
+    assert.equal(manifest.display, 'standalone');
+    assert.deepEqual(manifest.icons.map(icon => [icon.src, icon.sizes, icon.purpose]), [
+        ['/android-chrome-192x192.png', '192x192', 'any'],
+        ['/android-chrome-512x512.png', '512x512', 'any'],
+        ['/maskable-icon-192x192.png', '192x192', 'maskable'],
+        ['/maskable-icon-512x512.png', '512x512', 'maskable']
+    ]);
+    assert.equal(JSON.parse(IconsModule.toWebManifest(createBrandbook())).background_color, '#ffffff');
+});
+
+test('getHeadTags links every icon and adds the SVG favicon when there is one', () => {
+    const tags = IconsModule.getHeadTags(createBrandbook()).trim().split('\n');
+    assert.equal(tags.length, 6);
+    assert.equal(tags[0], '<link rel="icon" href="/favicon.ico" sizes="48x48">');
+    assert.equal(tags[5], '<meta name="theme-color" content="#ff5733">');
+
+    const withSvg = IconsModule.getHeadTags(createBrandbook(), { svg: true }).trim().split('\n');
+    assert.equal(withSvg[1], '<link rel="icon" href="/favicon.svg" type="image/svg+xml">');
+});
@@ -0,0 +1,137 @@
+/**
+ * Unit tests for the palette importers (js/importers.js), including round-trips
+ * through the matching exporters
+ *
+ * Run with: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ImportersModule = require('../../js/importers.js');
+const ExportersModule = require('../../js/exporters.js');
+const BrandbookCore = require('../../js/core.js');
+
+const PALETTE = [
+    { name: 'Sunset Orange', hex: '#FF5733' },
+    { name: 'Midnight Blue', hex: '#2C3E50' },
+    { name: 'Emerald', hex: '#27AE60' }
+];
+
+function createBrandbook() {
+    const brandbook = BrandbookCore.createEmptyBrandbook();
+    brandbook.meta.name = 'Acme';
+    return brandbook;
+}
+
+function namesAndHexes(palette) {
+    return palette.colors.map(({ name, hex }) => ({ name, hex }));
+}
+
+test('ASE export round-trips through the importer', () => {
+    const palette = ImportersModule.parse('ase', ExportersModule.toAse(createBrandbook()));
+    assert.equal(palette.name, 'Acme');
+    assert.deepEqual(namesAndHexes(palette), PALETTE);
+    assert.deepEqual(palette.warnings, []);
+});
+
+test('ASE import accepts an ArrayBuffer', () => {
+    const bytes = ExportersModule.toAse(createBrandbook());
+    const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    assert.deepEqual(namesAndHexes(ImportersModule.parse('ase', buffer)), PALETTE);
+});
+
+test('GPL export round-trips through the importer', () => {
+    const palette = ImportersModule.parse('gpl', ExportersModule.toGpl(createBrandbook()));
+    assert.equal(palette.name, 'Acme');
+    assert.deepEqual(namesAndHexes(palette), PALETTE);
+});
+
+test('CSS export round-trips without its scale steps', () => {
+    const palette = ImportersModule.parse('css', ExportersModule.toCss(createBrandbook()));
+    assert.deepEqual(palette.colors.map(color => color.key), ['brand-primary', 'brand-secondary', 'brand-accent']);
+    assert.deepEqual(namesAndHexes(palette), PALETTE);
+    assert.deepEqual(palette.fonts, [
+        { key: 'brand-font-primary', family: 'Montserrat' },
+        { key: 'brand-font-secondary', family: 'Open Sans' }
+    ]);
+    assert.deepEqual(ImportersModule.suggestColorRoles(palette.colors), ['primary', 'secondary', 'accent']);
+    assert.deepEqual(ImportersModule.suggestFonts(palette.fonts), { primary: 'Montserrat', secondary: 'Open Sans' });
+});
+
+test('Tailwind v4 theme imports as CSS', () => {
+    const palette = ImportersModule.parse('css', ExportersModule.toTailwindTheme(createBrandbook()));
+    assert.deepEqual(palette.colors.map(({ key, hex }) => ({ key, hex })), [
+        { key: 'color-primary', hex: '#FF5733' },
+        { key: 'color-secondary', hex: '#2C3E50' },
+        { key: 'color-accent', hex: '#27AE60' }
+    ]);
+});
+
+test('design tokens export round-trips with names, roles and fonts', () => {
+    const brandbook = createBrandbook();
+    brandbook.colors[2].role = 'success';
+
+    const palette = ImportersModule.parse('tokens', ExportersModule.toDesignTokensJson(brandbook));
+    assert.equal(palette.name, 'Acme');
+    assert.deepEqual(palette.colors.map(color => color.key), ['color.primary', 'color.secondary', 'color.success']);
+    assert.deepEqual(namesAndHexes(palette), PALETTE);
+    assert.deepEqual(ImportersModule.suggestColorRoles(palette.colors), ['primary', 'secondary', 'success']);
+    assert.deepEqual(palette.fonts.map(font => font.family), ['Montserrat', 'Open Sans']);
+});
+
+test('design tokens resolve aliases and sRGB color objects', () => {
+    const palette = ImportersModule.parse('tokens', {
+        color: {
+            $type: 'color',
+            brand: { $value: { colorSpace: 'srgb', components: [1, 0, 0] } },
+            link: { $value: '{color.brand}' }
+        },
+        legacy: { ink: { value: '#111', type: 'color' } }
+    });
+    assert.deepEqual(palette.colors.map(({ key, hex }) => ({ key, hex })), [
+        { key: 'color.brand', hex: '#FF0000' },
+        { key: 'color.link', hex: '#FF0000' },
+        { key: 'legacy.ink', hex: '#111111' }
+    ]);
+    assert.deepEqual(ImportersModule.suggestColorRoles(palette.colors), ['primary', 'secondary', 'text']);
+});
+
+test('CSS import resolves var() references and keeps the first definition', () => {
+    const palette = ImportersModule.parse('css', `
+        :root { --ink: hsl(120, 100%, 25%); --text: var(--ink); --bg: rgb(255 255 255 / 50%); }
+        @media (prefers-color-scheme: dark) { :root { --bg: #000; } }
+    `);
+    assert.deepEqual(palette.colors.map(({ key, hex }) => ({ key, hex })), [
+        { key: 'ink', hex: '#008000' },
+        { key: 'text', hex: '#008000' },
+        { key: 'bg', hex: '#FFFFFF' }
+    ]);
+});
+
+test('parseColorValue accepts hex, rgb() and hsl() only', () => {
+    assert.equal(ImportersModule.parseColorValue('#abc'), '#AABBCC');
+    assert.equal(ImportersModule.parseColorValue('#AABBCCDD'), '#AABBCC');
+    assert.equal(ImportersModule.parseColorValue('rgba(255, 0, 0, 0.5)'), '#FF0000');
+    assert.equal(ImportersModule.parseColorValue('red'), null);
+    assert.equal(ImportersModule.parseColorValue('#12345'), null);
+});
+
+test('unreadable palette files are rejected with a reason', () => {
+    assert.throws(() => ImportersModule.parse('ase', new Uint8Array(16)), { message: 'Not an Adobe Swatch Exchange file' });
+    assert.throws(() => ImportersModule.parse('ase', ExportersModule.toAse(createBrandbook()).slice(0, 40)),
+        { message: 'Adobe Swatch Exchange file is truncated' });
+    assert.throws(() => ImportersModule.parse('gpl', 'JASC-PAL'), /Not a GIMP palette/);
+    assert.throws(() => ImportersModule.parse('gpl', 'GIMP Palette\nName: Empty\n'), { message: 'No colors found in this GIMP palette file' });
+    assert.throws(() => ImportersModule.parse('tokens', '{'), /^Error: Failed to parse token file/);
+    assert.throws(() => ImportersModule.parse('css', 'body { color: red; }'), { message: 'No colors found in this CSS custom properties file' });
+    assert.throws(() => ImportersModule.parse('scss', ''), { message: 'Unsupported palette format: scss' });
+});
+
+test('getFormat and isBrandbookData tell palettes from brandbooks', () => {
+    assert.equal(ImportersModule.getFormat('brand.ASE'), 'ase');
+    assert.equal(ImportersModule.getFormat('brand.tokens'), 'json');
+    assert.equal(ImportersModule.getFormat('brand.txt'), null);
+    assert.equal(ImportersModule.isBrandbookData(createBrandbook()), true);
+    assert.equal(ImportersModule.isBrandbookData(ExportersModule.toDesignTokens(createBrandbook())), false);
+});
@@ -0,0 +1,149 @@
+/**
+ * Unit tests for brandbook validation and format migrations (js/schema.js)
+ *
+ * Run with: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const SchemaModule = require('../../js/schema.js');
+
+function validBrandbook() {
+    return {
+        version: SchemaModule.CURRENT_VERSION,
+        meta: { name: 'Acme', created: '2026-01-16T00:00:00.000Z', generator: 'brandbook-visualizer' },
+        colors: [
+            { id: 'primary', role: 'primary', hex: '#FF5733', name: 'Sunset Orange', scale: { 500: { hex: '#FF5733', locked: false } } },
+            { id: 'secondary', role: 'secondary', hex: '#2C3E50', name: 'Midnight Blue', cmyk: { c: 45, m: 22, y: 0, k: 69 } }
+        ],
+        typography: {
+            primary: { family: 'Montserrat', source: 'google', weights: [400, 700], usage: 'Headings' },
+            secondary: { family: 'Open Sans', source: 'google', weights: [400, 600], usage: 'Body text', optional: true }
+        },
+        logo: { svg: null, png: null, usage: 'Primary logo' }
+    };
+}
+
+test('a complete brandbook is valid', () => {
+    assert.deepEqual(SchemaModule.validate(validBrandbook()), []);
+});
+
+test('validate reports type, pattern, enum and required errors with paths', () => {
+    const data = validBrandbook();
+    data.meta.name = 42;
+    data.colors[0].hex = '#FFF';
+    data.colors[1].role = 'hero';
+    delete data.typography.primary;
+
+    assert.deepEqual(SchemaModule.validate(data), [
+        { path: 'meta.name', message: 'must be a string' },
+        { path: 'colors[0].hex', message: 'must be a hex color like #FF5733' },
+        { path: 'colors[1].role', message: `must be one of: ${SchemaModule.COLOR_ROLES.join(', ')}` },
+        { path: 'typography.primary', message: 'is required' }
+    ]);
+});
+
+test('validate checks scale steps, CMYK overrides and logo data URLs', () => {
+    const data = validBrandbook();
+    data.colors[0].scale[550] = { hex: '#FF5733' };
+    data.colors[1].cmyk.k = 101;
+    data.logo.png = 'https://example.com/logo.png';
+
+    assert.deepEqual(SchemaModule.validate(data), [
+        { path: 'colors[0].scale.550', message: 'must be one of: 50, 100, 200, 300, 400, 500, 600, 700, 800, 900' },
+        { path: 'colors[1].cmyk.k', message: 'must be at most 100' },
+        { path: 'logo.png', message: 'must be an image data URL' }
+    ]);
+});
+
+test('validate rejects a non-object brandbook', () => {
+    assert.deepEqual(SchemaModule.validate(null), [{ path: '', message: 'must be an object' }]);
+});
+
+test('validate rejects unknown logo variants', () => {
+    const data = validBrandbook();
+    data.logo.variants = { icon: { svg: null, png: null, usage: '' }, wordmark: { svg: null, png: null, usage: '' } };
+    assert.deepEqual(SchemaModule.validate(data), [{ path: 'logo.variants.wordmark', message: 'is not allowed' }]);
+});
+
+test('parse throws with the errors attached', () => {
+    const data = validBrandbook();
+    data.colors = [];
+    assert.throws(() => SchemaModule.parse(data), error => {
+        assert.deepEqual(error.errors, [{ path: 'colors', message: 'must contain at least 1 item' }]);
+        assert.equal(error.message, 'colors must contain at least 1 item');
+        return true;
+    });
+});
+
+test('formatErrors lists the first errors and counts the rest', () => {
+    const errors = [
+        { path: 'a', message: 'is required' },
+        { path: '', message: 'must be an object' },
+        { path: 'c', message: 'is not allowed' }
+    ];
+    assert.equal(SchemaModule.formatErrors(errors), 'a is required (+2 more)');
+    assert.equal(SchemaModule.formatErrors(errors, 2), 'a is required; brandbook must be an object (+1 more)');
+    assert.equal(SchemaModule.formatErrors(errors, 3), 'a is required; brandbook must be an object; c is not allowed');
+});
+
+test('migrate upgrades 1.0 role-keyed colors to the ordered list', () => {
+    const legacy = {
+        version: '1.0',
+        meta: { name: 'Legacy' },
+        colors: {
+            primary: { hex: '#FF5733', name: 'Orange' },
+            secondary: { hex: '#2C3E50', name: 'Navy' },
+            accent: { hex: '#27AE60', name: 'Green' }
+        },
+        typography: validBrandbook().typography,
+        logo: { svg: null, png: null }
+    };
+
+    const migrated = SchemaModule.migrate(legacy);
+    assert.equal(migrated.version, SchemaModule.CURRENT_VERSION);
+    assert.deepEqual(migrated.colors, [
+        { id: 'primary', role: 'primary', hex: '#FF5733', name: 'Orange' },
+        { id: 'secondary', role: 'secondary', hex: '#2C3E50', name: 'Navy' },
+        { id: 'accent', role: 'accent', hex: '#27AE60', name: 'Green' }
+    ]);
+    assert.equal(legacy.version, '1.0', 'the input is not modified');
+    assert.deepEqual(SchemaModule.parse(legacy).colors, migrated.colors);
+});
+
+test('migrate drops unset 1.0 colors and gives unknown keys a valid role', () => {
+    const legacy = {
+        version: '1.0',
+        meta: { name: 'Legacy' },
+        colors: {
+            primary: { hex: '#FF5733', name: 'Orange' },
+            secondary: {},
+            accent: null,
+            highlight: { hex: '#F1C40F', name: 'Yellow' }
+        },
+        typography: validBrandbook().typography,
+        logo: { svg: null, png: null }
+    };
+
+    const migrated = SchemaModule.migrate(legacy);
+    assert.deepEqual(migrated.colors, [
+        { id: 'primary', role: 'primary', hex: '#FF5733', name: 'Orange' },
+        { id: 'highlight', role: 'neutral', hex: '#F1C40F', name: 'Yellow' }
+    ]);
+    assert.deepEqual(SchemaModule.validate(migrated), []);
+});
+
+test('migrate leaves current data untouched', () => {
+    const data = validBrandbook();
+    assert.equal(SchemaModule.migrate(data), data);
+});
+
+test('migrate rejects missing, newer and unknown versions', () => {
+    assert.throws(() => SchemaModule.migrate({}), { message: 'Invalid brandbook format: missing version' });
+    assert.throws(() => SchemaModule.migrate({ version: 1.1 }), { message: 'Invalid brandbook format: missing version' });
+    assert.throws(() => SchemaModule.migrate({ version: '2.0' }),
+        { message: `Brandbook version 2.0 is newer than this app supports (${SchemaModule.CURRENT_VERSION})` });
+    assert.throws(() => SchemaModule.migrate({ version: '1.10' }), /is newer than this app supports/);
+    assert.throws(() => SchemaModule.migrate({ version: '0.9' }), { message: 'Unsupported brandbook version: 0.9' });
+});
@@ -0,0 +1,106 @@
+/**
+ * Unit tests for persistence across IndexedDB and localStorage (js/storage.js)
+ *
+ * Run with: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const StorageModule = require('../../js/storage.js');
+
+function createLocalStorage() {
+    const items = new Map();
+    return {
+        items,
+        getItem: key => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+/**
+ * Just enough of IndexedDB for StorageModule: one database with object stores of structured values
+ */
+function createIndexedDb() {
+    const stores = new Map();
+    const db = {
+        objectStoreNames: { contains: name => stores.has(name) },
+        createObjectStore: name => stores.set(name, new Map()),
+        close() {},
+        transaction(name) {
+            const records = stores.get(name);
+            const transaction = {};
+            const request = operation => ({ result: operation() });
+            transaction.objectStore = () => ({
+                get: key => request(() => structuredClone(records.get(key))),
+                put: (value, key) => request(() => records.set(key, structuredClone(value))),
+                delete: key => request(() => records.delete(key))
+            });
+            setTimeout(() => transaction.oncomplete());
+            return transaction;
+        }
+    };
+    return {
+        open() {
+            const request = { result: db };
+            setTimeout(() => {
+                request.onupgradeneeded();
+                request.onsuccess();
+            });
+            return request;
+        }
+    };
+}
+
+test('a copy saved to localStorage while IndexedDB was unavailable wins when newer', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    let now = 1000;
+    t.mock.method(Date, 'now', () => ++now);
+
+    const indexedDB = createIndexedDb();
+    global.localStorage = createLocalStorage();
+    t.after(() => {
+        delete global.indexedDB;
+        delete global.localStorage;
+    });
+
+    global.indexedDB = indexedDB;
+    assert.equal(await StorageModule.init(), 'indexeddb');
+    await StorageModule.set('project', { name: 'Saved in IndexedDB' });
+
+    // IndexedDB fails to open for a session, so edits go to localStorage
+    delete global.indexedDB;
+    assert.equal(await StorageModule.init(), 'localstorage');
+    await StorageModule.set('project', { name: 'Edited after the fallback' });
+
+    global.indexedDB = indexedDB;
+    assert.equal(await StorageModule.init(), 'indexeddb');
+    assert.deepEqual(await StorageModule.get('project'), { name: 'Edited after the fallback' });
+    assert.equal(localStorage.items.size, 0, 'the localStorage copy moved into IndexedDB');
+    assert.deepEqual(await StorageModule.get('project'), { name: 'Edited after the fallback' });
+
+    // An older localStorage copy is dropped in favour of IndexedDB
+    localStorage.setItem('project', JSON.stringify({ name: 'Stale' }));
+    localStorage.setItem('project:savedAt', '1');
+    assert.deepEqual(await StorageModule.get('project'), { name: 'Edited after the fallback' });
+    assert.equal(localStorage.items.size, 0);
+});
+
+test('data saved in localStorage before IndexedDB was used moves over on first read', async (t) => {
+    global.indexedDB = createIndexedDb();
+    global.localStorage = createLocalStorage();
+    t.after(() => {
+        delete global.indexedDB;
+        delete global.localStorage;
+    });
+
+    localStorage.setItem('legacy', JSON.stringify({ name: 'Legacy' }));
+    assert.equal(await StorageModule.init(), 'indexeddb');
+    assert.deepEqual(await StorageModule.get('legacy'), { name: 'Legacy' });
+    assert.equal(localStorage.items.size, 0);
+    assert.deepEqual(await StorageModule.get('legacy'), { name: 'Legacy' });
+
+    await StorageModule.remove('legacy');
+    assert.equal(await StorageModule.get('legacy'), null);
+});
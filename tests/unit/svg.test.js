@@ -0,0 +1,135 @@
+/**
+ * Unit tests for the SVG sanitizer (js/svg.js)
+ *
+ * Run with: npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const SvgModule = require('../../js/svg.js');
+
+const XMLNS = 'xmlns="http://www.w3.org/2000/svg"';
+
+function sanitize(svgText) {
+    const result = SvgModule.sanitizeSvg(svgText);
+    assert.equal(SvgModule.sanitizeSvg(result.svg).svg, result.svg, 'sanitizing is idempotent');
+    return result;
+}
+
+test('clean SVGs pass through unchanged', () => {
+    const svg = `<svg ${XMLNS} viewBox="0 0 24 24"><path d="M0 0h24v24H0z" fill="#FF5733"/></svg>`;
+    assert.deepEqual(sanitize(svg), {
+        svg,
+        originalSize: svg.length,
+        size: svg.length,
+        removed: { scripts: 0, references: 0, cruft: 0 },
+        unsafe: false,
+        viewBox: null
+    });
+});
+
+test('scripts and event handlers are removed', () => {
+    const result = sanitize(`<svg ${XMLNS} viewBox="0 0 24 24"><script>alert(1)</script><path d="M0 0" onclick="steal()"/></svg>`);
+    assert.equal(result.svg, `<svg ${XMLNS} viewBox="0 0 24 24"><path d="M0 0"/></svg>`);
+    assert.deepEqual(result.removed, { scripts: 2, references: 0, cruft: 0 });
+    assert.equal(result.unsafe, true);
+});
+
+test('javascript: links and animations that rewrite links count as scripts', () => {
+    const result = sanitize(`<svg ${XMLNS} viewBox="0 0 1 1"><a href=" java&#10;script:alert(1)"><rect/></a><set attributeName="href" to="javascript:alert(1)"/><animate attributeName="onbegin"/></svg>`);
+    assert.equal(result.svg, `<svg ${XMLNS} viewBox="0 0 1 1"><a><rect/></a></svg>`);
+    assert.equal(result.removed.scripts, 3);
+});
+
+test('external references and foreign content are removed, local references kept', () => {
+    const result = sanitize(`<svg ${XMLNS} xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 1 1">` +
+        '<use xlink:href="https://evil.example/sprite.svg#a"/><use href="#a"/>' +
+        '<image href="data:image/png;base64,AAAA"/><image href="data:image/svg+xml;base64,AAAA"/>' +
+        '<rect filter="url(https://evil.example/f.svg#f)" fill="url(#gradient)"/>' +
+        '<foreignObject><div xmlns="http://www.w3.org/1999/xhtml"/></foreignObject></svg>');
+
+    assert.equal(result.svg, `<svg ${XMLNS} xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 1 1">` +
+        '<use/><use href="#a"/><image href="data:image/png;base64,AAAA"/><image/><rect fill="url(#gradient)"/></svg>');
+    assert.deepEqual(result.removed, { scripts: 0, references: 4, cruft: 0 });
+    assert.equal(result.unsafe, true);
+});
+
+test('stylesheets lose imports, comments and external url() declarations', () => {
+    const result = sanitize(`<svg ${XMLNS} viewBox="0 0 1 1">` +
+        '<style><![CDATA[@import url(https://evil.example/a.css); /* note */ .a{fill:red;background:url("http://evil.example/b.png")}]]></style>' +
+        '<rect class="a" style="fill:url(#g); stroke:url(http://evil.example/c); opacity:0.5"/><circle style="behavior:url(x.htc)"/></svg>');
+
+    assert.equal(result.svg, `<svg ${XMLNS} viewBox="0 0 1 1"><style><![CDATA[.a{fill:red}]]></style>` +
+        '<rect class="a" style="fill:url(#g);opacity:0.5"/><circle/></svg>');
+    assert.equal(result.removed.references, 4);
+});
+
+test('CSS escapes cannot hide url() and image-set() or src() loads are removed', () => {
+    const result = sanitize(`<svg ${XMLNS} viewBox="0 0 1 1">` +
+        '<style>@\\69mport "https://evil.example/a.css"; .a{fill:red;mask:src("https://evil.example/m.svg")}</style>' +
+        '<rect filter="\\75rl(https://evil.example/f.svg#f)" style="fill:u\\72l(http://evil.example/a);background:-webkit-image-set(\'http://evil.example/b.png\' 1x);opacity:0.5"/>' +
+        '<circle style="fill:ur\\l(#g)"/></svg>');
+
+    assert.equal(result.svg, `<svg ${XMLNS} viewBox="0 0 1 1"><style>.a{fill:red}</style>` +
+        '<rect style="opacity:0.5"/><circle style="fill:ur\\l(#g)"/></svg>');
+    assert.deepEqual(result.removed, { scripts: 0, references: 5, cruft: 0 });
+});
+
+test('editor leftovers are removed without marking the file unsafe', () => {
+    const result = sanitize('<?xml version="1.0" encoding="UTF-8"?><!-- Generator: Editor --><!DOCTYPE svg>' +
+        `<svg ${XMLNS} xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" inkscape:version="1.3" viewBox="0 0 10 10">` +
+        '<metadata><rdf/></metadata><inkscape:grid/><g data-name="Layer 1">\n  <g/>\n  <path d="M0 0"/></g>' +
+        '<defs></defs><defs id="kept"/><text> spaced  text </text></svg>');
+
+    assert.equal(result.svg, `<svg ${XMLNS} viewBox="0 0 10 10"><g><path d="M0 0"/></g><defs id="kept"/><text> spaced  text </text></svg>`);
+    // The XML declaration is dropped but not counted
+    assert.deepEqual(result.removed, { scripts: 0, references: 0, cruft: 7 });
+    assert.equal(result.unsafe, false);
+    assert.ok(result.size < result.originalSize);
+});
+
+test('the viewBox is normalized or derived from width and height', () => {
+    const normalized = sanitize(`<svg ${XMLNS} viewBox=" 0,0, 24 24 "/>`);
+    assert.equal(normalized.svg, `<svg ${XMLNS} viewBox="0 0 24 24"/>`);
+    assert.equal(normalized.viewBox, 'normalized');
+
+    const added = sanitize(`<svg ${XMLNS} width="120px" height="40"/>`);
+    assert.equal(added.svg, `<svg ${XMLNS} width="120px" height="40" viewBox="0 0 120 40"/>`);
+    assert.equal(added.viewBox, 'added');
+
+    const invalid = sanitize(`<svg ${XMLNS} width="10cm" height="5cm" viewBox="0 0 0 0"/>`);
+    assert.equal(invalid.svg, `<svg ${XMLNS} width="10cm" height="5cm"/>`);
+    assert.equal(invalid.viewBox, null);
+});
+
+test('files that cannot be made safe or read are rejected', () => {
+    const rejects = (svgText, message) => assert.throws(() => SvgModule.sanitizeSvg(svgText), { message });
+
+    rejects(`<!DOCTYPE svg [<!ENTITY lol "lol">]><svg ${XMLNS}>&lol;</svg>`,
+        'The SVG declares XML entities, which are not allowed. Re-export it without a DOCTYPE.');
+    rejects('<html xmlns="http://www.w3.org/1999/xhtml"/>', 'The file is not an SVG image');
+    rejects('<svg viewBox="0 0 1 1"/>', 'The SVG is missing xmlns="http://www.w3.org/2000/svg" and cannot be displayed');
+    rejects(`<svg ${XMLNS}><g></svg>`, 'The SVG file is malformed: <g> is closed by </svg> (line 1)');
+    rejects(`<svg ${XMLNS}\n  fill="a" fill="b"/>`, 'The SVG file is malformed: duplicate attribute fill (line 2)');
+    rejects(`<svg ${XMLNS}><x:rect/></svg>`, 'The SVG file is malformed: namespace prefix x is not declared (line 1)');
+    rejects(`<svg ${XMLNS}>&nbsp;</svg>`, 'The SVG file is malformed: undefined entity &nbsp; (line 1)');
+    rejects(`<svg ${XMLNS} width=10/>`, 'The SVG file is malformed: the value of width is not quoted (line 1)');
+    rejects(`<svg ${XMLNS}/><svg ${XMLNS}/>`, 'The SVG file is malformed: more than one root element (line 1)');
+    rejects(`<svg ${XMLNS}/>trailing`, 'The SVG file is malformed: text outside the root element (line 1)');
+});
+
+test('describeRemoved lists counts in words', () => {
+    const removed = { scripts: 1, references: 2, cruft: 3 };
+    assert.equal(SvgModule.describeRemoved(removed), '1 script or event handler, 2 external references and 3 editor leftovers');
+    assert.equal(SvgModule.describeRemoved(removed, ['scripts', 'references']), '1 script or event handler and 2 external references');
+    assert.equal(SvgModule.describeRemoved({ scripts: 0, references: 0, cruft: 1 }), '1 editor leftover');
+    assert.equal(SvgModule.describeRemoved({ scripts: 0, references: 0, cruft: 0 }), '');
+});
+
+test('data URLs round-trip in both encodings', () => {
+    const svg = `<svg ${XMLNS}><title>Café #1 &amp; 100%</title></svg>`;
+    assert.equal(SvgModule.decodeDataUrl(SvgModule.toDataUrl(svg)), svg);
+    assert.equal(SvgModule.decodeDataUrl(`data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`), svg);
+    assert.match(SvgModule.toDataUrl(svg), /^data:image\/svg\+xml;charset=utf-8,%3Csvg/);
+});